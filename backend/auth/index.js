@@ -0,0 +1,174 @@
+// backend/auth/index.js
+// Token authentication and per-audit authorization.
+//   AUTH_MODE=firebase - verifies Firebase ID tokens (default with the Firestore backend)
+//   AUTH_MODE=local    - verifies JWTs issued by POST /api/auth/login, signed with AUTH_JWT_SECRET
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getFirebaseAdmin } = require('../firebaseAdmin');
+const { PERMISSIONS, getAuditRole, hasPermission } = require('./roles');
+
+const PASSWORD_KEY_LENGTH = 64;
+
+// Hashes a password with scrypt; the result stores the salt alongside the hash
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, PASSWORD_KEY_LENGTH).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+}
+
+function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = (storedHash || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const candidate = crypto.scryptSync(password, salt, PASSWORD_KEY_LENGTH);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+}
+
+// Any member of the audit team (or an administrator) may see an audit
+function canAccessAudit(user, audit) {
+  return hasPermission(user, audit, PERMISSIONS.VIEW);
+}
+
+function createAuth(repos, env = process.env) {
+  const mode = (env.AUTH_MODE || (repos.backend === 'firestore' ? 'firebase' : 'local')).toLowerCase();
+  if (!['firebase', 'local'].includes(mode)) {
+    throw new Error(`Unknown AUTH_MODE "${mode}". Use firebase or local.`);
+  }
+
+  let jwtSecret = env.AUTH_JWT_SECRET;
+  if (mode === 'local' && !jwtSecret) {
+    jwtSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('[Backend Warning] AUTH_JWT_SECRET is not set. Using a random secret; issued tokens will stop working when the server restarts.');
+  }
+  const tokenTtl = env.AUTH_TOKEN_TTL || '12h';
+
+  const issueToken = (user) => {
+    if (mode !== 'local') {
+      throw new Error('Tokens are issued by Firebase Authentication when AUTH_MODE is firebase.');
+    }
+    return jwt.sign(
+      { email: user.email, name: user.name || null, admin: !!user.is_admin },
+      jwtSecret,
+      { subject: user.id, expiresIn: tokenTtl, algorithm: 'HS256' }
+    );
+  };
+
+  // Resolves a bearer token to { uid, email, name, admin } or throws
+  const verifyToken = async (token) => {
+    if (mode === 'firebase') {
+      const decoded = await getFirebaseAdmin(env.FIREBASE_SERVICE_ACCOUNT_PATH).auth().verifyIdToken(token);
+      return { uid: decoded.uid, email: decoded.email || null, name: decoded.name || null, admin: decoded.admin === true };
+    }
+    const decoded = jwt.verify(token, jwtSecret, { algorithms: ['HS256'] });
+    return { uid: decoded.sub, email: decoded.email || null, name: decoded.name || null, admin: decoded.admin === true };
+  };
+
+  const getBearerToken = (req) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+  };
+
+  // Resolves the caller of a request, or null when no valid token was sent
+  const identify = async (req) => {
+    const token = getBearerToken(req);
+    return token ? verifyToken(token).catch(() => null) : null;
+  };
+
+  // Middleware: rejects requests without a valid "Authorization: Bearer <token>" header
+  const authenticate = async (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).send('Authentication required.');
+    }
+    try {
+      req.user = await verifyToken(token);
+      next();
+    } catch (error) {
+      console.error('[Backend Error] Token verification failed:', error.message);
+      res.status(401).send('Invalid or expired authentication token.');
+    }
+  };
+
+  const requireAdmin = (req, res, next) => {
+    if (!req.user || !req.user.admin) {
+      return res.status(403).send('Administrator access required.');
+    }
+    next();
+  };
+
+  // Looks up a user by email in Firebase Authentication or the local users collection
+  const findUserByEmail = async (email) => {
+    if (mode === 'firebase') {
+      try {
+        const record = await getFirebaseAdmin(env.FIREBASE_SERVICE_ACCOUNT_PATH).auth().getUserByEmail(email);
+        return { uid: record.uid, email: record.email, name: record.displayName || null };
+      } catch (error) {
+        if (error.code === 'auth/user-not-found') return null;
+        throw error;
+      }
+    }
+    const user = await repos.users.findByEmail(email.trim().toLowerCase());
+    return user ? { uid: user.id, email: user.email, name: user.name || null } : null;
+  };
+
+  // Looks up a user by ID in Firebase Authentication or the local users collection
+  const findUserById = async (uid) => {
+    if (mode === 'firebase') {
+      try {
+        const record = await getFirebaseAdmin(env.FIREBASE_SERVICE_ACCOUNT_PATH).auth().getUser(uid);
+        return { uid: record.uid, email: record.email, name: record.displayName || null };
+      } catch (error) {
+        if (error.code === 'auth/user-not-found') return null;
+        throw error;
+      }
+    }
+    const user = await repos.users.get(uid);
+    return user ? { uid: user.id, email: user.email, name: user.name || null } : null;
+  };
+
+  // Middleware: loads the audit named by req.params[paramName] into req.audit (and the caller's
+  // role into req.auditRole) after checking the caller holds `permission` on it
+  // Deleted audits are not found, except by routes that handle them ({ allowDeleted: true })
+  const requireAuditPermission = (paramName, permission, { allowDeleted = false } = {}) => async (req, res, next) => {
+    try {
+      const audit = await repos.audits.get(req.params[paramName]);
+      if (!audit || (audit.deleted_at && !allowDeleted)) {
+        return res.status(404).send('Audit not found.');
+      }
+      if (!canAccessAudit(req.user, audit)) {
+        console.warn(`[Backend Warning] User ${req.user?.uid} denied access to audit ${audit.id}.`);
+        return res.status(403).send('You do not have access to this audit.');
+      }
+      if (!hasPermission(req.user, audit, permission)) {
+        console.warn(`[Backend Warning] User ${req.user?.uid} lacks ${permission} on audit ${audit.id}.`);
+        return res.status(403).send(`Your role on this audit does not allow this action (${permission}).`);
+      }
+      req.audit = audit;
+      req.auditRole = getAuditRole(req.user, audit);
+      next();
+    } catch (error) {
+      console.error('[Backend Error] Error checking audit access:', error);
+      res.status(500).send('Error checking audit access: ' + error.message);
+    }
+  };
+
+  const requireAuditAccess = (paramName = 'id') => requireAuditPermission(paramName, PERMISSIONS.VIEW);
+
+  return {
+    mode,
+    issueToken,
+    verifyToken,
+    identify,
+    authenticate,
+    requireAdmin,
+    requireAuditAccess,
+    requireAuditPermission,
+    findUserByEmail,
+    findUserById,
+    canAccessAudit,
+    hasPermission,
+  };
+}
+
+module.exports = { createAuth, hashPassword, verifyPassword, canAccessAudit, hasPermission, PERMISSIONS };
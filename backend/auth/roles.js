@@ -0,0 +1,66 @@
+// backend/auth/roles.js
+// Audit team roles and the permissions each role grants on the audit routes.
+
+const PERMISSIONS = {
+  VIEW: 'audit:view', // read the audit, its responses and its reports
+  ANSWER: 'responses:answer', // answer questionnaires, justify answers, attach evidence
+  ASSESS: 'responses:assess', // set compliance status, maturity level and recommendations
+  MANAGE_MEMBERS: 'members:manage', // invite, re-assign and remove team members
+  SIGN_OFF: 'audit:sign_off', // record the QA review sign-off, approve or return the audit
+  MANAGE_LIFECYCLE: 'audit:lifecycle', // start fieldwork, issue and archive the audit
+  MANAGE_AUDIT: 'audit:manage', // edit the audit's details, delete, restore and duplicate it
+};
+
+const ROLES = {
+  LEAD_AUDITOR: 'lead_auditor',
+  AUDITOR: 'auditor',
+  CLIENT_RESPONDENT: 'client_respondent',
+  REVIEWER: 'reviewer',
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.LEAD_AUDITOR]: [PERMISSIONS.VIEW, PERMISSIONS.ANSWER, PERMISSIONS.ASSESS, PERMISSIONS.MANAGE_MEMBERS, PERMISSIONS.SIGN_OFF, PERMISSIONS.MANAGE_LIFECYCLE, PERMISSIONS.MANAGE_AUDIT],
+  [ROLES.AUDITOR]: [PERMISSIONS.VIEW, PERMISSIONS.ANSWER, PERMISSIONS.ASSESS],
+  [ROLES.CLIENT_RESPONDENT]: [PERMISSIONS.VIEW, PERMISSIONS.ANSWER],
+  [ROLES.REVIEWER]: [PERMISSIONS.VIEW, PERMISSIONS.SIGN_OFF],
+};
+
+// Response fields only roles with the ASSESS permission may change
+const ASSESSMENT_FIELDS = [
+  'compliance_status',
+  'status_override_justification',
+  'maturity_level_selected',
+  'ai_recommendation',
+  'auditor_observation',
+  'risk_rating',
+  'recommendation',
+];
+
+const isValidRole = (role) => Object.values(ROLES).includes(role);
+
+// The caller's role on an audit: the owner leads it, members carry their assigned role
+function getAuditRole(user, audit) {
+  if (!user || !audit) return null;
+  if (audit.user_id === user.uid) return ROLES.LEAD_AUDITOR;
+  const member = (audit.members || {})[user.uid];
+  if (member) return member.role;
+  // Collaborators added before roles existed keep field auditor rights
+  if ((audit.collaborators || []).includes(user.uid)) return ROLES.AUDITOR;
+  return null;
+}
+
+function hasPermission(user, audit, permission) {
+  if (user && user.admin) return true;
+  const role = getAuditRole(user, audit);
+  return !!role && (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  ASSESSMENT_FIELDS,
+  isValidRole,
+  getAuditRole,
+  hasPermission,
+};
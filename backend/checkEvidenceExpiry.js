@@ -0,0 +1,39 @@
+// backend/checkEvidenceExpiry.js
+// Runs the evidence expiry job once, for deployments that schedule it with cron instead of the
+// server's own timer (set EVIDENCE_EXPIRY_CHECK_HOURS=0 then). Lists the evidence that has
+// expired or expires within EVIDENCE_EXPIRY_WARNING_DAYS and records reminders for the new ones.
+//
+// Usage:
+//   node checkEvidenceExpiry.js [--dry-run]
+
+require('dotenv').config();
+
+const { createStorage } = require('./storage');
+const { createEvidenceExpiryPolicy, toDateString, daysUntil } = require('./evidence/expiry');
+const { createExpiryReminderJob } = require('./evidence/expiryReminders');
+
+async function checkEvidenceExpiry(repos, expiryPolicy, { dryRun = false } = {}) {
+  const today = toDateString(new Date());
+  const { audits, expiring, reminded } = await createExpiryReminderJob(repos, expiryPolicy).run({ today, dryRun });
+
+  console.log(`Evidence expired or expiring within ${expiryPolicy.warningDays} days (${audits} open audits, as of ${today}):`);
+  expiring.forEach(({ audit, record }) => {
+    const days = daysUntil(record.valid_until, today);
+    const when = days < 0 ? `expired ${-days} days ago` : `expires in ${days} days`;
+    const isNew = reminded.some(item => item.record === record);
+    console.log(`  ${audit.id} ${record.control_id} ${record.filename}: ${record.valid_until}, ${when}${isNew ? (dryRun ? ' (would remind)' : ' (reminded)') : ''}`);
+  });
+  console.log(`${expiring.length} records; ${dryRun ? 'would record' : 'recorded'} ${reminded.length} new reminders.`);
+  return { expiring: expiring.length, reminded: reminded.length };
+}
+
+if (require.main === module) {
+  checkEvidenceExpiry(createStorage(), createEvidenceExpiryPolicy(), { dryRun: process.argv.includes('--dry-run') })
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Error checking evidence expiry:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { checkEvidenceExpiry };
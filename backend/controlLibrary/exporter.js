@@ -0,0 +1,114 @@
+// backend/controlLibrary/exporter.js
+// Writes a framework's control library as XLSX or JSON in the layout the importer reads back,
+// so the library can be edited in Excel and re-imported without losing anything.
+
+const ExcelJS = require('exceljs');
+
+// Header texts match the importer's column aliases (and the checklist sheet where one exists)
+const EXPORT_COLUMNS = [
+  { header: 'Control Ref. No', key: 'id', width: 15 },
+  { header: 'Control Name', key: 'control_objective', width: 35 },
+  { header: 'Control Description', key: 'control_description', width: 60 },
+  { header: 'Questionnares', key: 'questionnaire', width: 80 },
+  { header: 'Evidence Required', key: 'evidence', width: 35 },
+  { header: 'Control Evidence Hint', key: 'control_evidence', width: 35 },
+  { header: 'Option Scores', key: 'option_scores', width: 30 },
+  { header: 'Finding Templates', key: 'finding_templates', width: 50 },
+  { header: 'Criticality', key: 'criticality', width: 12 },
+  { header: 'Maturity Levels', key: 'maturity_levels_config', width: 40 },
+  { header: 'Related Controls', key: 'related_controls', width: 25 },
+  { header: 'Framework', key: 'framework_id', width: 15 },
+];
+
+// Timestamps and IDs are managed by the store, not by the content team
+const stripStoredFields = ({ created_at, updated_at, ...control }) => control;
+
+const sortControls = (controls) => [...controls].sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+
+// Renders one question the way the checklist sheet writes it: "1. Question?\n \n A) ...\n B) ..."
+function formatQuestionnaireCell(question) {
+  const lines = [question.question_text, ' '];
+  Object.keys(question.options || {}).sort().forEach(letter => {
+    lines.push(` ${letter}) ${question.options[letter]}`);
+  });
+  if (question.expected_answer) {
+    lines.push(` Answer: ${question.expected_answer}`);
+  }
+  return lines.join('\n');
+}
+
+// "A=1 (Yes); B=0.5 (Partial)" - the importer's Option Scores column
+const formatOptionScores = (details) => Object.keys(details || {}).sort()
+  .filter(letter => details[letter].score !== undefined || details[letter].suggested_status)
+  .map(letter => {
+    const { score, suggested_status: status } = details[letter];
+    return `${letter}${score !== undefined ? `=${score}` : ''}${status ? ` (${status})` : ''}`;
+  })
+  .join('; ');
+
+// One "C: Finding text" line per option with a template
+const formatFindingTemplates = (details) => Object.keys(details || {}).sort()
+  .filter(letter => details[letter].finding_template)
+  .map(letter => `${letter}: ${details[letter].finding_template}`)
+  .join('\n');
+
+const formatMaturityLevels = (levels) => Object.entries(levels || {})
+  .map(([level, label]) => `${level}=${label}`)
+  .join('; ');
+
+// One row per question; control-level columns are only filled on the control's first row
+function controlToRows(control) {
+  const questions = control.questionnaires || [];
+  return questions.map((question, idx) => {
+    const first = idx === 0;
+    return {
+      id: first ? control.id : '',
+      control_objective: first ? control.control_objective : '',
+      control_description: first ? control.control_description || '' : '',
+      questionnaire: formatQuestionnaireCell(question),
+      evidence: question.evidence_hint || '',
+      control_evidence: first ? control.evidence_required_hint || '' : '',
+      option_scores: formatOptionScores(question.option_details),
+      finding_templates: formatFindingTemplates(question.option_details),
+      criticality: first ? control.criticality || '' : '',
+      maturity_levels_config: first ? formatMaturityLevels(control.maturity_levels_config) : '',
+      related_controls: first ? (control.related_controls || []).join(', ') : '',
+      framework_id: first ? control.framework_id : '',
+    };
+  });
+}
+
+async function buildControlLibraryWorkbook(framework, controls) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Controls');
+  worksheet.columns = EXPORT_COLUMNS;
+  worksheet.getRow(1).eachCell((cell) => {
+    cell.font = { bold: true };
+  });
+
+  sortControls(controls).forEach(control => {
+    controlToRows(control).forEach(row => {
+      const added = worksheet.addRow(row);
+      added.alignment = { vertical: 'top', wrapText: true };
+    });
+  });
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+  workbook.title = `${framework.name || framework.id} control library`;
+  return workbook;
+}
+
+function buildControlLibraryJson(framework, controls, exportedAt) {
+  return {
+    framework_id: framework.id,
+    framework_name: framework.name || null,
+    exported_at: exportedAt,
+    controls: sortControls(controls).map(stripStoredFields),
+  };
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  formatQuestionnaireCell,
+  buildControlLibraryWorkbook,
+  buildControlLibraryJson,
+};
@@ -0,0 +1,442 @@
+// backend/controlLibrary/importer.js
+// Parses control libraries from the checklist spreadsheet layout (CSV/XLSX) or JSON and
+// upserts them into the `controls` collection.
+//
+// Spreadsheet layout (one row per question, see "cldseccnts - Sheet1.csv"):
+//   Control Ref. No | Control Name | Control Description | Questionnares | Evidence Required | ...
+// The control ID is only filled on a control's first row; following rows without an ID add
+// more questions to it. A questionnaire cell holds "1. Question?" followed by "A) ..." options
+// and optionally an "Answer: A" line naming the expected answer.
+//
+// Optional per-question columns describe what the answers mean (see option_details in schema.js):
+//   Option Scores      "A=1 (Yes); B=0.5 (Partial); C=0 (No)" - score and/or suggested status per option
+//   Finding Templates  one "C: Finding text" entry per line
+//
+// The checklist sheet has no control-level evidence column, so a control's first Evidence Required
+// cell doubles as its evidence_required_hint. Exports add a Control Evidence Hint column instead,
+// which keeps the two apart when a file is read back.
+
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { DEFAULT_MATURITY_LEVELS, CONTROL_CONTENT_FIELDS, validateControl, stableStringify } = require('./schema');
+const { recordControlVersions } = require('./versions');
+
+// Normalized header text -> control field
+const COLUMN_ALIASES = {
+  controlrefno: 'id',
+  controlid: 'id',
+  controlname: 'control_objective',
+  controlobjective: 'control_objective',
+  controldescription: 'control_description',
+  questionnares: 'questionnaires',
+  questionnaires: 'questionnaires',
+  questions: 'questionnaires',
+  evidencerequired: 'evidence',
+  evidencerequiredhint: 'evidence',
+  controlevidencehint: 'control_evidence',
+  criticality: 'criticality',
+  framework: 'framework_id',
+  frameworkid: 'framework_id',
+  maturitylevels: 'maturity_levels_config',
+  relatedcontrols: 'related_controls',
+  optionscores: 'option_scores',
+  optionscoring: 'option_scores',
+  findingtemplates: 'finding_templates',
+  findingtemplate: 'finding_templates',
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const QUESTION_START_PATTERN = /^\d+[.)]\s+/;
+const OPTION_PATTERN = /^([A-Z])[).]\s*(.*)$/;
+const ANSWER_PATTERN = /^(?:correct\s+)?answer\s*[:-]\s*([A-Z])\b/i;
+const OPTION_SCORE_PATTERN = /^([A-Z])\s*(?:=\s*([^\s(]+))?\s*(?:\(([^)]*)\))?$/;
+const FINDING_TEMPLATE_PATTERN = /^([A-Z])\s*:\s*(.*)$/;
+
+// Flattens ExcelJS cell values (rich text, formulas, hyperlinks, booleans) into plain strings
+function cellToString(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return cellToString(value.result);
+    if (value.text !== undefined) return cellToString(value.text);
+    if (value instanceof Date) return value.toISOString();
+  }
+  return String(value);
+}
+
+// Splits a questionnaire cell into [{ question_text, options: { A: '...', B: '...' }, expected_answer? }]
+function parseQuestionnaireCell(text) {
+  const questions = [];
+  let current = null;
+  let lastOption = null;
+
+  String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+    const optionMatch = line.match(OPTION_PATTERN);
+    const answerMatch = line.match(ANSWER_PATTERN);
+    if (answerMatch && current) {
+      current.expected_answer = answerMatch[1].toUpperCase();
+      lastOption = null;
+    } else if (QUESTION_START_PATTERN.test(line) || !current) {
+      current = { question_text: line, options: {} };
+      questions.push(current);
+      lastOption = null;
+    } else if (optionMatch) {
+      lastOption = optionMatch[1];
+      current.options[lastOption] = optionMatch[2].trim();
+    } else if (lastOption) {
+      // Wrapped option text continues on the next line
+      current.options[lastOption] = `${current.options[lastOption]} ${line}`;
+    } else {
+      current.question_text = `${current.question_text} ${line}`;
+    }
+  });
+  return questions;
+}
+
+// Parses "A=1 (Yes); B=0.5 (Partial)" into { A: { score: 1, suggested_status: 'Yes' }, ... };
+// throws on entries it cannot read
+function parseOptionScores(text) {
+  const details = {};
+  String(text || '').split(/[;\n]/).map(part => part.trim()).filter(Boolean).forEach(part => {
+    const match = part.match(OPTION_SCORE_PATTERN);
+    if (!match || (match[2] === undefined && match[3] === undefined)) {
+      throw new Error(`cannot read "${part}" (expected e.g. "A=1 (Yes)")`);
+    }
+    const detail = {};
+    if (match[2] !== undefined) {
+      detail.score = Number(match[2]);
+      if (Number.isNaN(detail.score)) throw new Error(`score "${match[2]}" for option ${match[1]} is not a number`);
+    }
+    if (match[3] !== undefined && match[3].trim()) detail.suggested_status = match[3].trim();
+    details[match[1]] = detail;
+  });
+  return details;
+}
+
+// Parses "C: Finding text" lines (continuation lines are appended) into { C: { finding_template } }
+function parseFindingTemplates(text) {
+  const details = {};
+  let lastLetter = null;
+  String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach(line => {
+    const match = line.match(FINDING_TEMPLATE_PATTERN);
+    if (match) {
+      lastLetter = match[1];
+      details[lastLetter] = { finding_template: match[2].trim() };
+    } else if (lastLetter) {
+      details[lastLetter].finding_template = `${details[lastLetter].finding_template} ${line}`;
+    } else {
+      throw new Error(`cannot read "${line}" (expected e.g. "C: Finding text")`);
+    }
+  });
+  return details;
+}
+
+// Merges the option score and finding template maps; returns undefined when both are empty
+function mergeOptionDetails(...maps) {
+  const merged = {};
+  maps.forEach(map => Object.entries(map).forEach(([letter, detail]) => {
+    merged[letter] = { ...merged[letter], ...detail };
+  }));
+  return Object.keys(merged).length > 0 ? merged : undefined;
+}
+
+// Accepts "1=Ad Hoc; 2=Repeatable" or a JSON object
+function parseMaturityLevels(text) {
+  const value = String(text || '').trim();
+  if (!value) return undefined;
+  if (value.startsWith('{')) return JSON.parse(value);
+  const levels = {};
+  value.split(/[;\n]/).map(part => part.trim()).filter(Boolean).forEach(part => {
+    const [level, ...label] = part.split('=');
+    levels[level.trim()] = label.join('=').trim();
+  });
+  return levels;
+}
+
+const parseList = (text) => String(text || '').split(/[,;\n]/).map(item => item.trim()).filter(Boolean);
+
+// Fills defaults and converts the legacy seed shape (audit_question blob, evidence_hint)
+function normalizeControl(raw, defaults = {}) {
+  const control = { ...raw };
+  if (!control.questionnaires && control.audit_question) {
+    control.questionnaires = parseQuestionnaireCell(control.audit_question);
+  }
+  if (control.evidence_required_hint === undefined && control.evidence_hint !== undefined) {
+    control.evidence_required_hint = control.evidence_hint;
+  }
+  delete control.audit_question;
+  delete control.evidence_hint;
+  delete control.created_at;
+  delete control.updated_at;
+
+  return {
+    ...control,
+    id: control.id ? String(control.id).trim() : control.id,
+    framework_id: control.framework_id || defaults.framework_id,
+    control_description: control.control_description || '',
+    evidence_required_hint: control.evidence_required_hint || '',
+    criticality: control.criticality || defaults.criticality || 'High',
+    maturity_levels_config: control.maturity_levels_config || { ...DEFAULT_MATURITY_LEVELS },
+    related_controls: control.related_controls || [],
+  };
+}
+
+async function loadWorksheetRows(buffer, format) {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+  if (format === 'csv') {
+    // Keep every value as text; ExcelJS would otherwise turn "FALSE" or "5.1" into other types
+    worksheet = await workbook.csv.read(Readable.from([buffer]), { map: value => value });
+  } else {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  }
+  const rows = [];
+  if (!worksheet) return rows;
+  worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    // row.values is 1-based; drop the empty first slot
+    rows.push({ rowNumber, cells: (row.values || []).slice(1).map(cellToString) });
+  });
+  return rows;
+}
+
+// Returns { entries: [{ row, control }], errors: [...], warnings: [...] } where errors and
+// warnings are { row, control_id, message }
+async function parseSpreadsheet(buffer, format, defaults) {
+  const rows = await loadWorksheetRows(buffer, format);
+  const errors = [];
+  const warnings = [];
+  const entries = [];
+  const headerRow = rows.find(row => row.cells.some(cell => cell.trim()));
+  if (!headerRow) {
+    return { entries, errors: [{ row: 1, control_id: null, message: 'The file contains no header row.' }], warnings };
+  }
+
+  const columns = {};
+  headerRow.cells.forEach((header, idx) => {
+    const field = COLUMN_ALIASES[normalizeHeader(header)];
+    if (field && columns[field] === undefined) columns[field] = idx;
+  });
+  ['id', 'control_objective', 'questionnaires'].forEach(field => {
+    if (columns[field] === undefined) {
+      errors.push({ row: headerRow.rowNumber, control_id: null, message: `Missing required column for ${field}.` });
+    }
+  });
+  if (errors.length > 0) return { entries, errors, warnings };
+
+  const cell = (row, field) => (columns[field] === undefined ? '' : (row.cells[columns[field]] || '').trim());
+  let current = null;
+
+  rows.filter(row => row.rowNumber > headerRow.rowNumber).forEach(row => {
+    if (!row.cells.some(value => value.trim())) return; // skip blank rows
+    const id = cell(row, 'id');
+    const questions = parseQuestionnaireCell(row.cells[columns.questionnaires]);
+    const evidence = cell(row, 'evidence');
+    let optionDetails;
+    try {
+      optionDetails = mergeOptionDetails(parseOptionScores(cell(row, 'option_scores')), parseFindingTemplates(cell(row, 'finding_templates')));
+    } catch (error) {
+      errors.push({ row: row.rowNumber, control_id: id || (current && current.control.id) || null, message: `Option details: ${error.message}.` });
+    }
+
+    if (id) {
+      let maturityLevels;
+      try {
+        maturityLevels = parseMaturityLevels(cell(row, 'maturity_levels_config'));
+      } catch (error) {
+        errors.push({ row: row.rowNumber, control_id: id, message: `Maturity levels are not valid JSON: ${error.message}` });
+      }
+      current = {
+        row: row.rowNumber,
+        control: {
+          id,
+          framework_id: cell(row, 'framework_id') || undefined,
+          control_objective: cell(row, 'control_objective'),
+          control_description: cell(row, 'control_description'),
+          questionnaires: [],
+          evidence_required_hint: columns.control_evidence === undefined ? evidence : cell(row, 'control_evidence'),
+          criticality: cell(row, 'criticality') || undefined,
+          maturity_levels_config: maturityLevels,
+          related_controls: columns.related_controls === undefined ? undefined : parseList(cell(row, 'related_controls')),
+        },
+      };
+      entries.push(current);
+    } else if (!current) {
+      errors.push({ row: row.rowNumber, control_id: null, message: 'Question row appears before any row with a control ID.' });
+      return;
+    }
+
+    if (questions.length === 0) {
+      errors.push({ row: row.rowNumber, control_id: current.control.id, message: 'Row has no question text.' });
+    }
+    questions.forEach((question, questionIdx) => {
+      // The row's evidence and option details belong to the question the row starts with
+      const evidenceHint = questionIdx === 0 ? evidence : '';
+      const details = questionIdx === 0 ? optionDetails : undefined;
+      const questionnaires = current.control.questionnaires;
+      const duplicate = questionnaires.find(existing => existing.question_text === question.question_text);
+      if (duplicate) {
+        // Cells sometimes spill into the next question; identical repeats are dropped
+        if (stableStringify(duplicate.options) !== stableStringify(question.options)) {
+          errors.push({ row: row.rowNumber, control_id: current.control.id, message: `Question "${question.question_text}" is repeated with different options.` });
+        } else {
+          warnings.push({ row: row.rowNumber, control_id: current.control.id, message: `Skipped repeated question "${question.question_text}".` });
+          if (question.expected_answer && !duplicate.expected_answer) duplicate.expected_answer = question.expected_answer;
+          if (evidenceHint && !duplicate.evidence_hint) duplicate.evidence_hint = evidenceHint;
+          if (details && !duplicate.option_details) duplicate.option_details = details;
+        }
+        return;
+      }
+      questionnaires.push({
+        ...question,
+        ...(evidenceHint ? { evidence_hint: evidenceHint } : {}),
+        ...(details ? { option_details: details } : {}),
+      });
+    });
+  });
+
+  entries.forEach(entry => {
+    entry.control = normalizeControl(entry.control, defaults);
+  });
+  return { entries, errors, warnings };
+}
+
+// For JSON the "row" is the 1-based position in the array
+const parseJsonList = (list, defaults) => ({
+  entries: list.map((control, idx) => ({ row: idx + 1, control: normalizeControl(control, defaults) })),
+  errors: [],
+  warnings: [],
+});
+
+function parseJson(buffer, defaults) {
+  const data = JSON.parse(buffer.toString('utf8'));
+  const list = Array.isArray(data) ? data : data.controls;
+  if (!Array.isArray(list)) {
+    return { entries: [], errors: [{ row: null, control_id: null, message: 'JSON must be an array of controls or { "controls": [...] }.' }], warnings: [] };
+  }
+  return parseJsonList(list, defaults);
+}
+
+// Adds schema and duplicate-ID errors to a parse result
+function validateEntries({ entries, errors, warnings }) {
+  const seen = new Map();
+  entries.forEach(({ row, control }) => {
+    validateControl(control).forEach(message => errors.push({ row, control_id: control.id || null, message }));
+    if (control.id && seen.has(control.id)) {
+      errors.push({ row, control_id: control.id, message: `Duplicate control ID (first defined at row ${seen.get(control.id)}).` });
+    } else if (control.id) {
+      seen.set(control.id, row);
+    }
+  });
+  errors.sort((a, b) => (a.row || 0) - (b.row || 0));
+  return { entries, errors, warnings };
+}
+
+const detectFormat = (filename) => {
+  const ext = path.extname(filename || '').toLowerCase().replace('.', '');
+  return ['csv', 'xlsx', 'json'].includes(ext) ? ext : null;
+};
+
+// Parses and validates a control library file.
+// options: { format: 'csv'|'xlsx'|'json', filename, defaults: { framework_id, criticality } }
+async function parseControlFile(buffer, options = {}) {
+  const format = options.format || detectFormat(options.filename);
+  if (!format) {
+    throw new Error('Unsupported control library format. Use .csv, .xlsx or .json.');
+  }
+  const defaults = options.defaults || {};
+  let parsed;
+  try {
+    parsed = format === 'json' ? parseJson(buffer, defaults) : await parseSpreadsheet(buffer, format, defaults);
+  } catch (error) {
+    return { format, entries: [], errors: [{ row: null, control_id: null, message: `Could not read file: ${error.message}` }], warnings: [] };
+  }
+  return { format, ...validateEntries(parsed) };
+}
+
+// Validates an array of control objects (the JSON layout, already parsed)
+function parseControlList(list, options = {}) {
+  return { format: 'json', ...validateEntries(parseJsonList(list, options.defaults || {})) };
+}
+
+// Compares parsed controls with the stored library and, unless dryRun, writes the differences
+// as a new library version (source and createdBy are recorded on it).
+// Nothing is written when any entry has an error.
+async function upsertControls(repos, parsed, { dryRun = false, source = null, createdBy = null } = {}) {
+  const errors = [...parsed.errors];
+  const frameworkIds = new Set((await repos.frameworks.list()).map(framework => framework.id));
+  const preview = [];
+
+  for (const { row, control } of parsed.entries) {
+    if (control.framework_id && !frameworkIds.has(control.framework_id)) {
+      errors.push({ row, control_id: control.id, message: `Unknown framework "${control.framework_id}".` });
+      continue;
+    }
+    if (!control.id) continue;
+    const existing = await repos.controls.get(control.id);
+    const changedFields = existing
+      ? CONTROL_CONTENT_FIELDS.filter(field => stableStringify(existing[field]) !== stableStringify(control[field]))
+      : CONTROL_CONTENT_FIELDS.filter(field => control[field] !== undefined);
+    const action = !existing ? 'create' : (changedFields.length > 0 ? 'update' : 'unchanged');
+    preview.push({ row, control_id: control.id, action, changed_fields: action === 'unchanged' ? [] : changedFields, existing, control });
+  }
+
+  const summary = {
+    total: parsed.entries.length,
+    created: preview.filter(p => p.action === 'create').length,
+    updated: preview.filter(p => p.action === 'update').length,
+    unchanged: preview.filter(p => p.action === 'unchanged').length,
+    errors: errors.length,
+    warnings: (parsed.warnings || []).length,
+  };
+  const committed = !dryRun && errors.length === 0;
+
+  let versioning = null;
+  if (committed) {
+    const batch = repos.batch();
+    const now = repos.now();
+    const changed = preview.filter(p => p.action !== 'unchanged');
+    versioning = await recordControlVersions(repos, changed, { batch, source, createdBy });
+    changed.forEach(({ existing, control }) => {
+      const { id, ...stored } = existing || {};
+      repos.controls.set(control.id, {
+        ...stored,
+        ...control,
+        version: versioning.versions.get(control.id),
+        library_version: versioning.library_version,
+        created_at: (existing && existing.created_at) || now,
+        updated_at: now,
+      }, { batch });
+    });
+    await batch.commit();
+  }
+
+  return {
+    dry_run: dryRun,
+    committed,
+    library_version: versioning ? versioning.library_version : null,
+    summary,
+    errors: errors.sort((a, b) => (a.row || 0) - (b.row || 0)),
+    warnings: parsed.warnings || [],
+    controls: preview.map(({ row, control_id, action, changed_fields, control, existing }) => ({
+      row,
+      control_id,
+      action,
+      changed_fields,
+      questions: (control.questionnaires || []).length,
+      version: versioning?.versions.get(control_id) ?? existing?.version ?? null,
+    })),
+  };
+}
+
+module.exports = {
+  parseControlFile,
+  parseControlList,
+  parseQuestionnaireCell,
+  upsertControls,
+  detectFormat,
+  normalizeHeader,
+  loadWorksheetRows,
+};
@@ -0,0 +1,252 @@
+// backend/controlLibrary/mappings.js
+// Cross-framework control mappings. A mapping links a control of one framework to a control of
+// another, so an answer and evidence gathered for one can be offered to the other. Mappings are
+// loaded from crosswalk spreadsheets (CSV/XLSX), one mapping per row:
+//   Source Framework | Source Control | Target Framework | Target Control | Relationship | Notes
+// The framework columns are optional for controls already in the library. Relationships are
+//   equivalent - either control is satisfied by the other
+//   partial    - the controls overlap (crosswalk terms "subset of", "superset of", "intersects with")
+//   related    - same topic, no satisfaction implied
+// Mappings work in both directions; a pair is stored once whichever way round it was imported.
+
+const { detectFormat, normalizeHeader, loadWorksheetRows } = require('./importer');
+
+const MAPPING_RELATIONSHIPS = ['equivalent', 'partial', 'related'];
+
+const NOTES_MAX_LENGTH = 2000;
+
+// Crosswalk wording -> relationship (NIST OLIR style terms included)
+const RELATIONSHIP_ALIASES = {
+  equivalent: 'equivalent',
+  equal: 'equivalent',
+  'equal to': 'equivalent',
+  '=': 'equivalent',
+  partial: 'partial',
+  subset: 'partial',
+  'subset of': 'partial',
+  superset: 'partial',
+  'superset of': 'partial',
+  intersects: 'partial',
+  'intersects with': 'partial',
+  overlap: 'partial',
+  related: 'related',
+  'related to': 'related',
+};
+
+const COLUMN_ALIASES = {
+  sourceframework: 'source_framework_id',
+  sourceframeworkid: 'source_framework_id',
+  fromframework: 'source_framework_id',
+  sourcecontrol: 'source_control_id',
+  sourcecontrolid: 'source_control_id',
+  fromcontrol: 'source_control_id',
+  targetframework: 'target_framework_id',
+  targetframeworkid: 'target_framework_id',
+  toframework: 'target_framework_id',
+  targetcontrol: 'target_control_id',
+  targetcontrolid: 'target_control_id',
+  tocontrol: 'target_control_id',
+  relationship: 'relationship',
+  mappingtype: 'relationship',
+  notes: 'notes',
+  rationale: 'notes',
+  comment: 'notes',
+};
+
+// One document per control pair, independent of the direction it was imported in
+const mappingId = (controlA, controlB) => [controlA, controlB].sort().map(encodeURIComponent).join('~');
+
+const parseRelationship = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return 'equivalent';
+  return RELATIONSHIP_ALIASES[text] || null;
+};
+
+// Reads a crosswalk file. Returns { format, entries: [{ row, mapping }], errors, warnings } with
+// errors and warnings as { row, control_id, message }.
+async function parseCrosswalk(buffer, options = {}) {
+  const format = options.format || detectFormat(options.filename);
+  if (!['csv', 'xlsx'].includes(format)) {
+    throw new Error('Unsupported crosswalk format. Use .csv or .xlsx.');
+  }
+  const entries = [];
+  const errors = [];
+  const warnings = [];
+  let rows;
+  try {
+    rows = await loadWorksheetRows(buffer, format);
+  } catch (error) {
+    return { format, entries, errors: [{ row: null, control_id: null, message: `Could not read file: ${error.message}` }], warnings };
+  }
+  const headerRow = rows.find(row => row.cells.some(cell => cell.trim()));
+  if (!headerRow) {
+    return { format, entries, errors: [{ row: 1, control_id: null, message: 'The file contains no header row.' }], warnings };
+  }
+  const columns = {};
+  headerRow.cells.forEach((header, idx) => {
+    const field = COLUMN_ALIASES[normalizeHeader(header)];
+    if (field && columns[field] === undefined) columns[field] = idx;
+  });
+  ['source_control_id', 'target_control_id'].forEach(field => {
+    if (columns[field] === undefined) {
+      errors.push({ row: headerRow.rowNumber, control_id: null, message: `Missing required column for ${field}.` });
+    }
+  });
+  if (errors.length > 0) return { format, entries, errors, warnings };
+
+  const cell = (row, field) => (columns[field] === undefined ? '' : (row.cells[columns[field]] || '').trim());
+  rows.filter(row => row.rowNumber > headerRow.rowNumber && row.cells.some(value => value.trim())).forEach(row => {
+    const sourceControlId = cell(row, 'source_control_id');
+    const targetControlId = cell(row, 'target_control_id');
+    if (!sourceControlId || !targetControlId) {
+      errors.push({ row: row.rowNumber, control_id: sourceControlId || targetControlId || null, message: 'Both a source and a target control are required.' });
+      return;
+    }
+    const relationshipText = cell(row, 'relationship');
+    if (/^not related/i.test(relationshipText)) {
+      warnings.push({ row: row.rowNumber, control_id: sourceControlId, message: `Skipped "${relationshipText}" row.` });
+      return;
+    }
+    const relationship = parseRelationship(relationshipText);
+    if (!relationship) {
+      errors.push({ row: row.rowNumber, control_id: sourceControlId, message: `Unknown relationship "${relationshipText}"; use one of: ${MAPPING_RELATIONSHIPS.join(', ')}.` });
+      return;
+    }
+    const notes = cell(row, 'notes');
+    if (notes.length > NOTES_MAX_LENGTH) {
+      errors.push({ row: row.rowNumber, control_id: sourceControlId, message: `Notes must be at most ${NOTES_MAX_LENGTH} characters.` });
+      return;
+    }
+    entries.push({
+      row: row.rowNumber,
+      mapping: {
+        source_framework_id: cell(row, 'source_framework_id') || null,
+        source_control_id: sourceControlId,
+        target_framework_id: cell(row, 'target_framework_id') || null,
+        target_control_id: targetControlId,
+        relationship,
+        notes: notes || null,
+      },
+    });
+  });
+  return { format, entries, errors, warnings };
+}
+
+// Fields compared when deciding whether an imported mapping differs from the stored one
+const MAPPING_CONTENT_FIELDS = ['source_framework_id', 'source_control_id', 'target_framework_id', 'target_control_id', 'relationship', 'notes'];
+
+// Checks the parsed mappings against the frameworks and control library and, unless dryRun,
+// writes the new and changed ones. Controls not in the library yet are accepted with a warning
+// when their framework is given. Nothing is written when any entry has an error.
+async function upsertMappings(repos, parsed, { dryRun = false, source = null, createdBy = null } = {}) {
+  const errors = [...parsed.errors];
+  const warnings = [...parsed.warnings];
+  const frameworkIds = new Set((await repos.frameworks.list()).map(framework => framework.id));
+  const seen = new Map();
+  const preview = [];
+
+  for (const { row, mapping } of parsed.entries) {
+    const resolved = { ...mapping };
+    let valid = true;
+    for (const side of ['source', 'target']) {
+      const controlId = mapping[`${side}_control_id`];
+      const givenFramework = mapping[`${side}_framework_id`];
+      const control = await repos.controls.get(controlId);
+      if (control) {
+        if (givenFramework && givenFramework !== control.framework_id) {
+          errors.push({ row, control_id: controlId, message: `${controlId} belongs to ${control.framework_id}, not ${givenFramework}.` });
+          valid = false;
+        }
+        resolved[`${side}_framework_id`] = control.framework_id;
+      } else if (!givenFramework) {
+        errors.push({ row, control_id: controlId, message: `${controlId} is not in the control library; give its framework.` });
+        valid = false;
+      } else if (!frameworkIds.has(givenFramework)) {
+        errors.push({ row, control_id: controlId, message: `Unknown framework "${givenFramework}".` });
+        valid = false;
+      } else {
+        warnings.push({ row, control_id: controlId, message: `${controlId} is not in the control library yet; the mapping applies once it is imported.` });
+      }
+    }
+    if (!valid) continue;
+    if (resolved.source_framework_id === resolved.target_framework_id) {
+      errors.push({ row, control_id: resolved.source_control_id, message: 'A mapping links controls of two different frameworks.' });
+      continue;
+    }
+    const id = mappingId(resolved.source_control_id, resolved.target_control_id);
+    if (seen.has(id)) {
+      errors.push({ row, control_id: resolved.source_control_id, message: `Duplicate mapping of ${resolved.source_control_id} and ${resolved.target_control_id} (first at row ${seen.get(id)}).` });
+      continue;
+    }
+    seen.set(id, row);
+    const existing = await repos.controlMappings.get(id);
+    const changed = !existing || MAPPING_CONTENT_FIELDS.some(field => (existing[field] ?? null) !== (resolved[field] ?? null));
+    preview.push({ row, id, mapping: resolved, existing, action: !existing ? 'create' : (changed ? 'update' : 'unchanged') });
+  }
+
+  const committed = !dryRun && errors.length === 0;
+  if (committed) {
+    const batch = repos.batch();
+    const now = repos.now();
+    preview.filter(p => p.action !== 'unchanged').forEach(({ id, mapping, existing }) => {
+      repos.controlMappings.set(id, {
+        ...mapping,
+        control_ids: [mapping.source_control_id, mapping.target_control_id],
+        framework_ids: [mapping.source_framework_id, mapping.target_framework_id],
+        source,
+        created_by: (existing && existing.created_by) || createdBy,
+        created_at: (existing && existing.created_at) || now,
+        updated_at: now,
+      }, { batch });
+    });
+    await batch.commit();
+  }
+
+  return {
+    dry_run: dryRun,
+    committed,
+    summary: {
+      total: parsed.entries.length,
+      created: preview.filter(p => p.action === 'create').length,
+      updated: preview.filter(p => p.action === 'update').length,
+      unchanged: preview.filter(p => p.action === 'unchanged').length,
+      errors: errors.length,
+      warnings: warnings.length,
+    },
+    errors: errors.sort((a, b) => (a.row || 0) - (b.row || 0)),
+    warnings: warnings.sort((a, b) => (a.row || 0) - (b.row || 0)),
+    mappings: preview.map(({ row, id, mapping, action }) => ({
+      row,
+      id,
+      source_control_id: mapping.source_control_id,
+      target_control_id: mapping.target_control_id,
+      relationship: mapping.relationship,
+      action,
+    })),
+  };
+}
+
+// The controls a control is mapped to, seen from that control:
+// [{ mapping_id, control_id, framework_id, relationship, notes }]
+function mappedControls(mappings, controlId) {
+  return mappings
+    .filter(mapping => mapping.source_control_id === controlId || mapping.target_control_id === controlId)
+    .map(mapping => {
+      const forward = mapping.source_control_id === controlId;
+      return {
+        mapping_id: mapping.id,
+        control_id: forward ? mapping.target_control_id : mapping.source_control_id,
+        framework_id: forward ? mapping.target_framework_id : mapping.source_framework_id,
+        relationship: mapping.relationship,
+        notes: mapping.notes || null,
+      };
+    });
+}
+
+module.exports = {
+  MAPPING_RELATIONSHIPS,
+  mappingId,
+  parseCrosswalk,
+  upsertMappings,
+  mappedControls,
+};
@@ -0,0 +1,150 @@
+// backend/controlLibrary/schema.js
+// Canonical shape of a control definition (see controls_data.json) and its validation.
+//
+// A question may describe what its answers mean in `option_details`, keyed by option letter:
+//   { A: { score: 1, suggested_status: 'Yes' }, D: { score: 0, suggested_status: 'No', finding_template: '...' } }
+// score is 0 (gap) to 1 (compliant); suggested_status is the compliance status the answer points to;
+// finding_template is the observation text proposed to the auditor when the option is selected.
+
+const { COMPLIANCE_STATUSES } = require('../models/responses');
+
+const CRITICALITY_LEVELS = ['Low', 'Medium', 'High', 'Critical'];
+
+const DEFAULT_MATURITY_LEVELS = { "1": "Ad Hoc", "2": "Repeatable", "3": "Defined", "4": "Managed", "5": "Optimized" };
+
+const OPTION_LETTER_PATTERN = /^[A-Z]$/;
+
+// Statuses an answer can point to ('Not Answered' is not an outcome)
+const SUGGESTED_STATUSES = COMPLIANCE_STATUSES.filter(status => status !== 'Not Answered');
+
+const FINDING_TEMPLATE_MAX_LENGTH = 5000;
+const OPTION_DETAIL_FIELDS = ['score', 'suggested_status', 'finding_template'];
+
+// Returns error messages for one question's option_details map
+function validateOptionDetails(label, question) {
+  const errors = [];
+  const details = question.option_details;
+  if (details === undefined) return errors;
+  if (!details || typeof details !== 'object' || Array.isArray(details)) {
+    return [`${label} option details must be a letter-to-details map.`];
+  }
+  Object.entries(details).forEach(([letter, detail]) => {
+    const optionLabel = `${label} option ${letter}`;
+    if (!question.options || question.options[letter] === undefined) {
+      errors.push(`${optionLabel} has details but is not one of the question's options.`);
+      return;
+    }
+    if (!detail || typeof detail !== 'object' || Array.isArray(detail)) {
+      errors.push(`${optionLabel} details must be an object.`);
+      return;
+    }
+    const unknownFields = Object.keys(detail).filter(field => !OPTION_DETAIL_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      errors.push(`${optionLabel} has unknown detail fields: ${unknownFields.join(', ')}.`);
+    }
+    if (detail.score !== undefined && (typeof detail.score !== 'number' || !Number.isFinite(detail.score) || detail.score < 0 || detail.score > 1)) {
+      errors.push(`${optionLabel} score must be a number from 0 to 1.`);
+    }
+    if (detail.suggested_status !== undefined && !SUGGESTED_STATUSES.includes(detail.suggested_status)) {
+      errors.push(`${optionLabel} suggested status "${detail.suggested_status}" must be one of: ${SUGGESTED_STATUSES.join(', ')}.`);
+    }
+    if (detail.finding_template !== undefined) {
+      if (typeof detail.finding_template !== 'string' || !detail.finding_template.trim()) {
+        errors.push(`${optionLabel} finding template must be non-empty text.`);
+      } else if (detail.finding_template.length > FINDING_TEMPLATE_MAX_LENGTH) {
+        errors.push(`${optionLabel} finding template must be at most ${FINDING_TEMPLATE_MAX_LENGTH} characters.`);
+      }
+    }
+  });
+  return errors;
+}
+
+// Fields compared when deciding whether an imported control differs from the stored one
+const CONTROL_CONTENT_FIELDS = [
+  'framework_id',
+  'control_objective',
+  'control_description',
+  'questionnaires',
+  'evidence_required_hint',
+  'criticality',
+  'maturity_levels_config',
+  'related_controls',
+];
+
+// Serializes with sorted object keys so stored and imported content compare reliably
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Returns a list of error messages for one control definition (empty when valid)
+function validateControl(control) {
+  const errors = [];
+  if (!control.id || typeof control.id !== 'string') {
+    errors.push('Control ID is required.');
+  } else if (/[/\s]/.test(control.id)) {
+    errors.push(`Control ID "${control.id}" must not contain spaces or slashes.`);
+  }
+  if (!control.framework_id) {
+    errors.push('Framework ID is required.');
+  }
+  if (!control.control_objective) {
+    errors.push('Control name/objective is required.');
+  }
+  if (!CRITICALITY_LEVELS.includes(control.criticality)) {
+    errors.push(`Criticality "${control.criticality}" must be one of: ${CRITICALITY_LEVELS.join(', ')}.`);
+  }
+
+  const questionnaires = control.questionnaires;
+  if (!Array.isArray(questionnaires) || questionnaires.length === 0) {
+    errors.push('At least one question is required.');
+  } else {
+    questionnaires.forEach((q, idx) => {
+      const label = `Question ${idx + 1}`;
+      if (!q.question_text || typeof q.question_text !== 'string') {
+        errors.push(`${label} has no text.`);
+      }
+      if (!q.options || typeof q.options !== 'object' || Array.isArray(q.options)) {
+        errors.push(`${label} options must be a letter-to-text map.`);
+        return;
+      }
+      const letters = Object.keys(q.options);
+      if (letters.length < 2) {
+        errors.push(`${label} needs at least two lettered options (A), B), ...).`);
+      }
+      letters.forEach(letter => {
+        if (!OPTION_LETTER_PATTERN.test(letter)) {
+          errors.push(`${label} has an invalid option key "${letter}".`);
+        } else if (!q.options[letter]) {
+          errors.push(`${label} option ${letter} has no text.`);
+        }
+      });
+      if (q.expected_answer !== undefined && !letters.includes(q.expected_answer)) {
+        errors.push(`${label} expected answer "${q.expected_answer}" is not one of its options.`);
+      }
+      errors.push(...validateOptionDetails(label, q));
+    });
+  }
+
+  const maturity = control.maturity_levels_config;
+  if (maturity !== undefined && (typeof maturity !== 'object' || Array.isArray(maturity) || maturity === null)) {
+    errors.push('Maturity levels must be a level-to-label map.');
+  }
+  if (control.related_controls !== undefined && !Array.isArray(control.related_controls)) {
+    errors.push('Related controls must be a list of control IDs.');
+  }
+  return errors;
+}
+
+module.exports = {
+  CRITICALITY_LEVELS,
+  DEFAULT_MATURITY_LEVELS,
+  SUGGESTED_STATUSES,
+  CONTROL_CONTENT_FIELDS,
+  validateControl,
+  stableStringify,
+};
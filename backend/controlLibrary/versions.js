@@ -0,0 +1,193 @@
+// backend/controlLibrary/versions.js
+// Versioned control definitions. Every change made to a control through the importer is kept as
+// an immutable snapshot in `control_versions`, and the changes of one import are grouped under a
+// numbered library version in `control_library_versions`. Audits pin the control versions they
+// were created against, so later library edits do not change past audits or their reports.
+
+const { CONTROL_CONTENT_FIELDS, stableStringify } = require('./schema');
+
+const pickContent = (control) => {
+  const content = {};
+  CONTROL_CONTENT_FIELDS.forEach(field => {
+    if (control[field] !== undefined) content[field] = control[field];
+  });
+  return content;
+};
+
+const buildSnapshot = (control, version, libraryVersion, createdAt) => ({
+  control_id: control.id,
+  version,
+  library_version: libraryVersion,
+  ...pickContent(control),
+  created_at: createdAt,
+});
+
+// Turns a snapshot back into a control definition shaped like a `controls` document
+const snapshotToControl = ({ id, control_id, created_at, ...content }) => ({ id: control_id, ...content });
+
+// Controls stored before versioning existed get their current content recorded as version 1 of
+// library version 0. Returns the version number the control is at.
+function ensureBaselineVersion(repos, control, { batch, now }) {
+  if (control.version) return control.version;
+  repos.controlVersions.set(control.id, 1, buildSnapshot(control, 1, 0, control.updated_at || now), { batch });
+  return 1;
+}
+
+// Records new versions for the changed controls on the caller's batch.
+// changes: [{ existing, control, action, changed_fields }] as built by upsertControls.
+// Returns { library_version, versions: Map(control id -> new version) } or null when nothing changed.
+async function recordControlVersions(repos, changes, { batch, source = null, createdBy = null }) {
+  if (changes.length === 0) return null;
+  const now = repos.now();
+  const libraryVersion = (await repos.controlLibraryVersions.latestVersion()) + 1;
+  const versions = new Map();
+
+  const entries = changes.map(({ existing, control, action, changed_fields }) => {
+    const fromVersion = existing ? ensureBaselineVersion(repos, existing, { batch, now }) : null;
+    const version = (fromVersion || 0) + 1;
+    repos.controlVersions.set(control.id, version, buildSnapshot(control, version, libraryVersion, now), { batch });
+    versions.set(control.id, version);
+    return { control_id: control.id, framework_id: control.framework_id, action, from_version: fromVersion, to_version: version, changed_fields };
+  });
+
+  repos.controlLibraryVersions.set(libraryVersion, {
+    version: libraryVersion,
+    source,
+    created_by: createdBy,
+    created_at: now,
+    changes: entries,
+  }, { batch });
+  return { library_version: libraryVersion, versions };
+}
+
+// Pins an audit to the current version of each of its controls, versioning legacy controls on the
+// way. Returns { pinned_control_versions: { control id: version }, control_library_version }.
+async function pinControlVersions(repos, controls, { batch }) {
+  const now = repos.now();
+  const pinned = {};
+  controls.forEach(control => {
+    const version = ensureBaselineVersion(repos, control, { batch, now });
+    if (!control.version) {
+      repos.controls.set(control.id, { version, library_version: 0 }, { merge: true, batch });
+    }
+    pinned[control.id] = version;
+  });
+  return { pinned_control_versions: pinned, control_library_version: await repos.controlLibraryVersions.latestVersion() };
+}
+
+// The control definitions of pinned versions ({ control id: version }) of an audit
+async function loadPinnedControls(repos, audit, pinned) {
+  const snapshots = await Promise.all(Object.entries(pinned).map(([controlId, version]) => repos.controlVersions.get(controlId, version)));
+  snapshots.forEach((snapshot, idx) => {
+    if (!snapshot) console.warn(`[Backend Warning] Pinned control version ${Object.keys(pinned)[idx]}@${Object.values(pinned)[idx]} of audit ${audit.id} is missing.`);
+  });
+  return snapshots.filter(Boolean).map(snapshotToControl);
+}
+
+// The control definitions an audit renders: its pinned versions, or the live library for audits
+// created before versioning existed
+async function loadAuditControls(repos, audit) {
+  const pinned = audit.pinned_control_versions;
+  if (!pinned || Object.keys(pinned).length === 0) {
+    return repos.controls.listByFrameworkIds(audit.frameworks_audited || []);
+  }
+  return loadPinnedControls(repos, audit, pinned);
+}
+
+// The definitions of the controls the audit's scope left out (see models/scope), at the versions
+// current when the audit was created
+async function loadOutOfScopeControls(repos, audit) {
+  const outOfScope = (audit.scope?.out_of_scope || []).filter(entry => entry.version);
+  return loadPinnedControls(repos, audit, Object.fromEntries(outOfScope.map(entry => [entry.control_id, entry.version])));
+}
+
+// One control definition as the audit sees it (null when the control is not part of the audit)
+async function loadAuditControl(repos, audit, controlId) {
+  const version = audit.pinned_control_versions?.[controlId];
+  if (version) {
+    const snapshot = await repos.controlVersions.get(controlId, version);
+    return snapshot ? snapshotToControl(snapshot) : null;
+  }
+  if (audit.pinned_control_versions && Object.keys(audit.pinned_control_versions).length > 0) return null;
+  // Audits created before versioning cover the live controls of their frameworks
+  const control = await repos.controls.get(controlId);
+  return control && (audit.frameworks_audited || []).includes(control.framework_id) ? control : null;
+}
+
+// Question-level changes between two questionnaires, compared by position (the position is what
+// question_responses refer to)
+function diffQuestions(before = [], after = []) {
+  const changes = [];
+  for (let index = 0; index < Math.max(before.length, after.length); index++) {
+    const was = before[index];
+    const now = after[index];
+    if (!was) changes.push({ index, change: 'added', after: now });
+    else if (!now) changes.push({ index, change: 'removed', before: was });
+    else if (stableStringify(was) !== stableStringify(now)) changes.push({ index, change: 'modified', before: was, after: now });
+  }
+  return changes;
+}
+
+// The snapshot of each control in effect at a library version
+function libraryStateAt(snapshots, libraryVersion) {
+  const state = new Map();
+  snapshots.filter(snapshot => snapshot.library_version <= libraryVersion).forEach(snapshot => {
+    const current = state.get(snapshot.control_id);
+    if (!current || snapshot.version > current.version) state.set(snapshot.control_id, snapshot);
+  });
+  return state;
+}
+
+// Compares the control library between two library versions, optionally for one framework
+async function diffLibraryVersions(repos, fromVersion, toVersion, { frameworkId } = {}) {
+  const snapshots = await repos.controlVersions.listUpToLibraryVersion(Math.max(fromVersion, toVersion));
+  const before = libraryStateAt(snapshots, fromVersion);
+  const after = libraryStateAt(snapshots, toVersion);
+  const controlIds = Array.from(new Set([...before.keys(), ...after.keys()]))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  const changes = [];
+  controlIds.forEach(controlId => {
+    const was = before.get(controlId);
+    const now = after.get(controlId);
+    if (frameworkId && (was || now).framework_id !== frameworkId && (now || was).framework_id !== frameworkId) return;
+    if (was && now && was.version === now.version) return;
+
+    const fields = {};
+    CONTROL_CONTENT_FIELDS.filter(field => field !== 'questionnaires').forEach(field => {
+      if (stableStringify(was?.[field]) !== stableStringify(now?.[field])) {
+        fields[field] = { before: was?.[field] ?? null, after: now?.[field] ?? null };
+      }
+    });
+    changes.push({
+      control_id: controlId,
+      change: !was ? 'added' : (!now ? 'removed' : 'modified'),
+      from_version: was ? was.version : null,
+      to_version: now ? now.version : null,
+      fields,
+      question_changes: diffQuestions(was?.questionnaires, now?.questionnaires),
+    });
+  });
+
+  return {
+    from: fromVersion,
+    to: toVersion,
+    framework_id: frameworkId || null,
+    summary: {
+      added: changes.filter(c => c.change === 'added').length,
+      modified: changes.filter(c => c.change === 'modified').length,
+      removed: changes.filter(c => c.change === 'removed').length,
+    },
+    changes,
+  };
+}
+
+module.exports = {
+  recordControlVersions,
+  pinControlVersions,
+  loadAuditControls,
+  loadAuditControl,
+  loadOutOfScopeControls,
+  diffLibraryVersions,
+  diffQuestions,
+};
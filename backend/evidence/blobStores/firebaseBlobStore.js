@@ -0,0 +1,52 @@
+// backend/evidence/blobStores/firebaseBlobStore.js
+// Evidence files in a Firebase Storage (Google Cloud Storage) bucket, using the service account
+// the Firestore backend already uses.
+
+const { getFirebaseAdmin } = require('../../firebaseAdmin');
+
+const isNotFound = (error) => error.code === 404;
+
+function createFirebaseBlobStore({ bucket, serviceAccountPath, prefix = '' }) {
+  if (!bucket) {
+    throw new Error('EVIDENCE_FIREBASE_BUCKET is required when EVIDENCE_STORAGE is firebase.');
+  }
+  const storageBucket = getFirebaseAdmin(serviceAccountPath).storage().bucket(bucket);
+  const file = (key) => storageBucket.file(`${prefix}${key}`);
+
+  return {
+    name: 'firebase',
+
+    put: (key, buffer, { contentType } = {}) => file(key).save(buffer, {
+      contentType,
+      resumable: false,
+      // Never replace an existing object; keys are unique per upload
+      preconditionOpts: { ifGenerationMatch: 0 },
+    }),
+
+    read: async (key) => {
+      try {
+        const [content] = await file(key).download();
+        return content;
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    stat: async (key) => {
+      try {
+        const [metadata] = await file(key).getMetadata();
+        return { size: Number(metadata.size) };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    createReadStream: async (key, { start, end } = {}) => file(key).createReadStream({ start, end, validation: false }),
+
+    delete: (key) => file(key).delete({ ignoreNotFound: true }),
+  };
+}
+
+module.exports = { createFirebaseBlobStore };
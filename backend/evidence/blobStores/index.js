@@ -0,0 +1,71 @@
+// backend/evidence/blobStores/index.js
+// Selects where evidence files are kept from the environment:
+//   EVIDENCE_STORAGE=local (default) - files under EVIDENCE_LOCAL_DIR (default: backend/uploads)
+//   EVIDENCE_STORAGE=s3              - EVIDENCE_S3_BUCKET, with EVIDENCE_S3_REGION, EVIDENCE_S3_ENDPOINT
+//                                      (e.g. http://localhost:9000 for MinIO), EVIDENCE_S3_FORCE_PATH_STYLE,
+//                                      EVIDENCE_S3_ACCESS_KEY_ID and EVIDENCE_S3_SECRET_ACCESS_KEY
+//   EVIDENCE_STORAGE=firebase        - EVIDENCE_FIREBASE_BUCKET via firebase-service-account.json
+// EVIDENCE_STORAGE_PREFIX is prepended to every object key in the s3 and firebase buckets.
+//
+// Evidence records store the file's key (e.g. "audits/<audit id>/evidence-<uuid>.pdf"). Files
+// uploaded before storage drivers existed are referenced as "/uploads/<file>" and are read from the
+// local uploads folder until `node migrateEvidence.js` moves them.
+
+const path = require('path');
+const { createLocalBlobStore } = require('./localBlobStore');
+const { createS3BlobStore } = require('./s3BlobStore');
+const { createFirebaseBlobStore } = require('./firebaseBlobStore');
+
+const LEGACY_UPLOADS_DIR = path.join(__dirname, '..', '..', 'uploads');
+const LEGACY_PATH_PREFIX = '/uploads/';
+
+const parseBoolean = (value) => (value === undefined || value === '' ? undefined : value === 'true');
+
+function createBlobStore(env = process.env) {
+  const driver = (env.EVIDENCE_STORAGE || 'local').toLowerCase();
+  const prefix = env.EVIDENCE_STORAGE_PREFIX || '';
+  switch (driver) {
+    case 'local':
+      return createLocalBlobStore({ root: env.EVIDENCE_LOCAL_DIR || LEGACY_UPLOADS_DIR });
+    case 's3':
+      return createS3BlobStore({
+        bucket: env.EVIDENCE_S3_BUCKET,
+        region: env.EVIDENCE_S3_REGION,
+        endpoint: env.EVIDENCE_S3_ENDPOINT,
+        forcePathStyle: parseBoolean(env.EVIDENCE_S3_FORCE_PATH_STYLE),
+        accessKeyId: env.EVIDENCE_S3_ACCESS_KEY_ID,
+        secretAccessKey: env.EVIDENCE_S3_SECRET_ACCESS_KEY,
+        prefix,
+      });
+    case 'firebase':
+      return createFirebaseBlobStore({ bucket: env.EVIDENCE_FIREBASE_BUCKET, serviceAccountPath: env.FIREBASE_SERVICE_ACCOUNT_PATH, prefix });
+    default:
+      throw new Error(`Unknown EVIDENCE_STORAGE "${driver}". Use local, s3 or firebase.`);
+  }
+}
+
+const isLegacyEvidencePath = (evidencePath) => typeof evidencePath === 'string' && evidencePath.startsWith(LEGACY_PATH_PREFIX);
+
+// Where evidence files live: `locate(evidencePath)` returns { store, key } for a stored path,
+// sending legacy "/uploads/<file>" paths to the local uploads folder
+function createEvidenceFiles(env = process.env) {
+  const store = createBlobStore(env);
+  let legacyStore = null;
+  const locate = (evidencePath) => {
+    if (!isLegacyEvidencePath(evidencePath)) return { store, key: evidencePath };
+    legacyStore = legacyStore || createLocalBlobStore({ root: LEGACY_UPLOADS_DIR });
+    return { store: legacyStore, key: path.basename(evidencePath) };
+  };
+  return { store, locate };
+}
+
+// Key of a new evidence file of an audit
+const evidenceKey = (auditId, fileName) => `audits/${auditId}/${fileName}`;
+
+module.exports = {
+  LEGACY_UPLOADS_DIR,
+  createBlobStore,
+  createEvidenceFiles,
+  isLegacyEvidencePath,
+  evidenceKey,
+};
@@ -0,0 +1,48 @@
+// backend/evidence/blobStores/localBlobStore.js
+// Evidence files on the local filesystem, one file per key under a root directory. Only suitable
+// for a single API instance with a persistent disk.
+
+const fs = require('fs');
+const path = require('path');
+
+function createLocalBlobStore({ root }) {
+  fs.mkdirSync(root, { recursive: true });
+
+  // Keys are "/"-separated; anything that would leave the root is refused
+  const resolve = (key) => {
+    const segments = String(key).split('/');
+    if (segments.some(segment => !segment || segment === '.' || segment === '..' || segment.includes('\\'))) {
+      throw new Error(`Invalid evidence storage key "${key}".`);
+    }
+    return path.join(root, ...segments);
+  };
+
+  const ignoreMissing = (error) => {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+
+    read: (key) => fs.promises.readFile(resolve(key)).catch(ignoreMissing),
+
+    stat: async (key) => {
+      const stats = await fs.promises.stat(resolve(key)).catch(ignoreMissing);
+      return stats && stats.isFile() ? { size: stats.size } : null;
+    },
+
+    // Readable stream of the bytes start..end (inclusive), or of the whole file
+    createReadStream: async (key, range = {}) => fs.createReadStream(resolve(key), range),
+
+    delete: (key) => fs.promises.unlink(resolve(key)).catch(ignoreMissing),
+  };
+}
+
+module.exports = { createLocalBlobStore };
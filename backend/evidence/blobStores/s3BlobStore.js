@@ -0,0 +1,69 @@
+// backend/evidence/blobStores/s3BlobStore.js
+// Evidence files in an S3 bucket or an S3-compatible service such as MinIO.
+
+const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+const isNotFound = (error) => error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+
+function createS3BlobStore({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, prefix = '' }) {
+  if (!bucket) {
+    throw new Error('EVIDENCE_S3_BUCKET is required when EVIDENCE_STORAGE is s3.');
+  }
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    // MinIO and most self-hosted services address buckets by path, not by subdomain
+    forcePathStyle: forcePathStyle ?? !!endpoint,
+    // Without explicit keys the SDK's default chain applies (environment, profile, instance role)
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+  });
+  const objectKey = (key) => `${prefix}${key}`;
+
+  const readBody = async (body) => Buffer.from(await body.transformToByteArray());
+
+  return {
+    name: 's3',
+
+    put: (key, buffer, { contentType } = {}) => client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: objectKey(key),
+      Body: buffer,
+      ContentType: contentType,
+      // Never replace an existing object; keys are unique per upload
+      IfNoneMatch: '*',
+    })),
+
+    read: async (key) => {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return readBody(object.Body);
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    stat: async (key) => {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return { size: head.ContentLength };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    createReadStream: async (key, { start, end } = {}) => {
+      const object = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Range: start !== undefined ? `bytes=${start}-${end ?? ''}` : undefined,
+      }));
+      return object.Body;
+    },
+
+    delete: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) })),
+  };
+}
+
+module.exports = { createS3BlobStore };
@@ -0,0 +1,128 @@
+// backend/evidence/expiry.js
+// Validity of evidence. Certificates, pen-test reports, access reviews and the like are only good
+// for a period; a record's `valid_until` (YYYY-MM-DD) is its expiry or review-by date:
+//   EVIDENCE_VALIDITY_DAYS        - default validity per evidence category as "category=days,...",
+//                                   merged over DEFAULT_VALIDITY_DAYS; "off" disables the defaults
+//   EVIDENCE_EXPIRY_WARNING_DAYS  - evidence expiring within this many days is "expiring" (default: 30)
+//   EVIDENCE_EXPIRY_CHECK_HOURS   - how often the server runs the reminder job (default: 24, 0 = never)
+// When the uploader gives no date, the category is recognised from the control's
+// evidence_required_hint and the default validity of that category applies.
+
+const DEFAULT_WARNING_DAYS = 30;
+const DEFAULT_CHECK_HOURS = 24;
+
+// Categories in matching order: the first whose pattern matches the hint wins
+const EVIDENCE_CATEGORIES = [
+  { category: 'access_review', pattern: /access review|user access|recertification/i },
+  { category: 'penetration_test', pattern: /pen(etration)?[ -]?test/i },
+  { category: 'vulnerability_scan', pattern: /vulnerability|scan/i },
+  { category: 'certificate', pattern: /certificat/i },
+  { category: 'risk_assessment', pattern: /risk assessment|risk rating/i },
+  { category: 'agreement', pattern: /agreement|contract|\bsla\b/i },
+  { category: 'policy', pattern: /polic|procedure|\bplan\b|standard/i },
+  { category: 'report', pattern: /report|\blogs?\b/i },
+];
+
+const DEFAULT_VALIDITY_DAYS = {
+  access_review: 90,
+  penetration_test: 365,
+  vulnerability_scan: 90,
+  certificate: 365,
+  risk_assessment: 365,
+  agreement: 730,
+  policy: 365,
+  report: 365,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar date (YYYY-MM-DD, UTC) of a Date
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (dateString, days) => toDateString(new Date(Date.parse(`${dateString}T00:00:00Z`) + days * DAY_MS));
+
+// Whole days from `today` until a validity date; negative once it has passed
+const daysUntil = (validUntil, today) => Math.round((Date.parse(`${validUntil}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) / DAY_MS);
+
+// 'expired', 'expiring' (within warningDays) or 'valid'; null when the evidence has no date.
+// Evidence is still valid on its valid_until date.
+function expiryStatus(validUntil, today, warningDays) {
+  if (!validUntil) return null;
+  const days = daysUntil(validUntil, today);
+  if (days < 0) return 'expired';
+  return days <= warningDays ? 'expiring' : 'valid';
+}
+
+function parseValidityDays(value) {
+  if (!value) return { ...DEFAULT_VALIDITY_DAYS };
+  if (value.trim().toLowerCase() === 'off') return {};
+  const days = { ...DEFAULT_VALIDITY_DAYS };
+  value.split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+    const [category, count] = pair.split('=').map(part => part.trim());
+    if (!DEFAULT_VALIDITY_DAYS[category]) {
+      throw new Error(`Unknown evidence category "${category}" in EVIDENCE_VALIDITY_DAYS. Use: ${Object.keys(DEFAULT_VALIDITY_DAYS).join(', ')}.`);
+    }
+    const number = Number(count);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new Error(`EVIDENCE_VALIDITY_DAYS must give whole days per category (0 = no default), got "${pair}".`);
+    }
+    if (number === 0) delete days[category];
+    else days[category] = number;
+  });
+  return days;
+}
+
+function createEvidenceExpiryPolicy(env = process.env) {
+  const validityDays = parseValidityDays(env.EVIDENCE_VALIDITY_DAYS);
+  const warningDays = Number(env.EVIDENCE_EXPIRY_WARNING_DAYS || DEFAULT_WARNING_DAYS);
+  if (!Number.isInteger(warningDays) || warningDays < 0) {
+    throw new Error(`EVIDENCE_EXPIRY_WARNING_DAYS must be a whole number of days, got "${env.EVIDENCE_EXPIRY_WARNING_DAYS}".`);
+  }
+  const checkHours = Number(env.EVIDENCE_EXPIRY_CHECK_HOURS ?? DEFAULT_CHECK_HOURS);
+  if (!(checkHours >= 0)) {
+    throw new Error(`EVIDENCE_EXPIRY_CHECK_HOURS must be a number of hours, got "${env.EVIDENCE_EXPIRY_CHECK_HOURS}".`);
+  }
+
+  // Category of the evidence a control asks for, or null when the hint names none
+  const categoryFor = (control) => {
+    const hint = control.evidence_required_hint || '';
+    const match = EVIDENCE_CATEGORIES.find(({ pattern }) => pattern.test(hint));
+    return match ? match.category : null;
+  };
+
+  // Default { valid_until, validity_category } for evidence uploaded on `today`, or null
+  const defaultValidity = (control, today) => {
+    const category = categoryFor(control);
+    if (!category || !validityDays[category]) return null;
+    return { valid_until: addDays(today, validityDays[category]), validity_category: category };
+  };
+
+  return {
+    validityDays,
+    warningDays,
+    checkIntervalMs: checkHours * 60 * 60 * 1000,
+    categoryFor,
+    defaultValidity,
+    status: (validUntil, today) => expiryStatus(validUntil, today, warningDays),
+  };
+}
+
+// Evidence records of the given audits with a validity date on or before `until`, oldest date
+// first: [{ audit, record }]
+async function findExpiringEvidence(repos, audits, until) {
+  const found = [];
+  for (const audit of audits) {
+    (await repos.evidence.listValidUntil(audit.id, until)).forEach(record => found.push({ audit, record }));
+  }
+  return found.sort((a, b) => a.record.valid_until.localeCompare(b.record.valid_until));
+}
+
+module.exports = {
+  EVIDENCE_CATEGORIES,
+  DEFAULT_VALIDITY_DAYS,
+  toDateString,
+  addDays,
+  daysUntil,
+  createEvidenceExpiryPolicy,
+  findExpiringEvidence,
+};
@@ -0,0 +1,70 @@
+// backend/evidence/expiryReminders.js
+// Re-collection reminders. The job finds evidence that has expired or expires within
+// EVIDENCE_EXPIRY_WARNING_DAYS on audits that can still change (not issued, archived or deleted),
+// and records one reminder per record and validity date in the audit's activity log (a new date
+// gets a new reminder). The server runs it every EVIDENCE_EXPIRY_CHECK_HOURS;
+// `node checkEvidenceExpiry.js` runs it once, e.g. from cron.
+
+const { isLocked } = require('../models/lifecycle');
+const { isDeleted } = require('../models/audits');
+const { ACTIVITY_ACTIONS, buildSystemActivityEntry } = require('../models/activity');
+const { toDateString, addDays, daysUntil, findExpiringEvidence } = require('./expiry');
+
+const JOB_NAME = 'evidence-expiry';
+
+function createExpiryReminderJob(repos, expiryPolicy) {
+  let timer = null;
+
+  // Returns { audits, expiring: [{ audit, record }], reminded: [{ audit, record }] }
+  async function run({ today = toDateString(new Date()), dryRun = false } = {}) {
+    const audits = (await repos.audits.list()).filter(audit => !isLocked(audit) && !isDeleted(audit));
+    const expiring = await findExpiringEvidence(repos, audits, addDays(today, expiryPolicy.warningDays));
+    const reminded = expiring.filter(({ record }) => record.expiry_reminder_for !== record.valid_until);
+    if (dryRun || reminded.length === 0) return { audits: audits.length, expiring, reminded };
+
+    const now = repos.now();
+    for (const audit of audits) {
+      const due = reminded.filter(item => item.audit.id === audit.id);
+      if (due.length === 0) continue;
+      const batch = repos.batch();
+      due.forEach(({ record }) => {
+        repos.evidence.set(audit.id, record.id, { expiry_reminder_for: record.valid_until, expiry_reminded_at: now }, { merge: true, batch });
+        repos.activity.add(audit.id, buildSystemActivityEntry(JOB_NAME, {
+          action: ACTIVITY_ACTIONS.EVIDENCE_EXPIRY_REMINDER,
+          controlId: record.control_id,
+          details: {
+            evidence_id: record.id,
+            evidence_filename: record.filename,
+            valid_until: record.valid_until,
+            expiry_status: expiryPolicy.status(record.valid_until, today),
+            days_until_expiry: daysUntil(record.valid_until, today),
+          },
+          at: now,
+        }), { batch });
+      });
+      await batch.commit();
+    }
+    return { audits: audits.length, expiring, reminded };
+  }
+
+  const runLogged = () => run()
+    .then(({ expiring, reminded }) => console.log(`[Backend Debug] Evidence expiry check: ${expiring.length} records expired or expiring, ${reminded.length} new reminders.`))
+    .catch(error => console.error('[Backend Error] Evidence expiry check failed:', error));
+
+  // Runs the job now and then every EVIDENCE_EXPIRY_CHECK_HOURS; the timer does not keep the process alive
+  const start = () => {
+    if (timer || !expiryPolicy.checkIntervalMs) return;
+    timer = setInterval(runLogged, expiryPolicy.checkIntervalMs);
+    timer.unref();
+    runLogged();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { run, start, stop };
+}
+
+module.exports = { createExpiryReminderJob };
@@ -0,0 +1,116 @@
+// backend/evidence/integrity.js
+// Checks applied to every evidence upload before it is stored:
+//   EVIDENCE_ALLOWED_TYPES  - comma-separated type names from EVIDENCE_FILE_TYPES (default: all of them)
+//   EVIDENCE_MAX_FILE_MB    - largest accepted file in megabytes (default: 25)
+// The file type is taken from the content (magic bytes), never from the client's name or MIME type,
+// and the stored file gets a server-generated name with the type's own extension. The SHA-256 of
+// the content is kept on the evidence record so the artifact can be verified later.
+
+const crypto = require('crypto');
+const path = require('path');
+
+const DEFAULT_MAX_FILE_MB = 25;
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, idx) => buffer[offset + idx] === byte);
+
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+const OLE_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+
+// Office Open XML files are ZIP archives with a content types part and a folder per application
+const isOfficeOpenXml = (folder) => (buffer) =>
+  startsWith(buffer, ZIP_SIGNATURE) && buffer.includes('[Content_Types].xml') && buffer.includes(folder);
+
+// Plain text: no NUL bytes and valid UTF-8
+const isText = (buffer) => !buffer.includes(0) && Buffer.from(buffer.toString('utf8'), 'utf8').equals(buffer);
+
+// Accepted evidence types. `extensions` lists the names the type is known by; types that share a
+// signature (Office formats, text) are told apart by the client's extension.
+const EVIDENCE_FILE_TYPES = {
+  pdf: { mimetype: 'application/pdf', extensions: ['.pdf'], matches: buffer => startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2d]) },
+  png: { mimetype: 'image/png', extensions: ['.png'], matches: buffer => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  jpeg: { mimetype: 'image/jpeg', extensions: ['.jpg', '.jpeg'], matches: buffer => startsWith(buffer, [0xff, 0xd8, 0xff]) },
+  gif: { mimetype: 'image/gif', extensions: ['.gif'], matches: buffer => startsWith(buffer, [0x47, 0x49, 0x46, 0x38]) },
+  docx: { mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extensions: ['.docx'], matches: isOfficeOpenXml('word/') },
+  xlsx: { mimetype: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extensions: ['.xlsx'], matches: isOfficeOpenXml('xl/') },
+  pptx: { mimetype: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extensions: ['.pptx'], matches: isOfficeOpenXml('ppt/') },
+  doc: { mimetype: 'application/msword', extensions: ['.doc'], matches: buffer => startsWith(buffer, OLE_SIGNATURE) },
+  xls: { mimetype: 'application/vnd.ms-excel', extensions: ['.xls'], matches: buffer => startsWith(buffer, OLE_SIGNATURE) },
+  csv: { mimetype: 'text/csv', extensions: ['.csv'], matches: isText },
+  txt: { mimetype: 'text/plain', extensions: ['.txt', '.log'], matches: isText },
+};
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+function createEvidencePolicy(env = process.env) {
+  const allowedTypes = (env.EVIDENCE_ALLOWED_TYPES || Object.keys(EVIDENCE_FILE_TYPES).join(','))
+    .split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+  const unknown = allowedTypes.filter(type => !EVIDENCE_FILE_TYPES[type]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown EVIDENCE_ALLOWED_TYPES ${unknown.join(', ')}. Use: ${Object.keys(EVIDENCE_FILE_TYPES).join(', ')}.`);
+  }
+  const maxFileMb = Number(env.EVIDENCE_MAX_FILE_MB || DEFAULT_MAX_FILE_MB);
+  if (!(maxFileMb > 0)) {
+    throw new Error(`EVIDENCE_MAX_FILE_MB must be a positive number, got "${env.EVIDENCE_MAX_FILE_MB}".`);
+  }
+
+  // The allowed type the content matches, preferring the one the client's extension names
+  const detectType = (buffer, originalName) => {
+    const extension = path.extname(originalName || '').toLowerCase();
+    const candidates = allowedTypes.filter(type => EVIDENCE_FILE_TYPES[type].matches(buffer));
+    return candidates.find(type => EVIDENCE_FILE_TYPES[type].extensions.includes(extension)) ||
+      // Binary signatures are unambiguous; text is only accepted under a text extension
+      candidates.find(type => !['csv', 'txt'].includes(type)) ||
+      null;
+  };
+
+  // Checks an in-memory upload (a multer file). Returns { file_type, mimetype, extension, sha256,
+  // size } or { error }.
+  const inspect = (file) => {
+    if (!file.buffer || file.buffer.length === 0) {
+      return { error: 'The uploaded file is empty.' };
+    }
+    const fileType = detectType(file.buffer, file.originalname);
+    if (!fileType) {
+      return { error: `The content of ${file.originalname} is not an accepted evidence type. Accepted: ${allowedTypes.join(', ')}.` };
+    }
+    const type = EVIDENCE_FILE_TYPES[fileType];
+    return {
+      file_type: fileType,
+      mimetype: type.mimetype,
+      extension: type.extensions[0],
+      sha256: sha256(file.buffer),
+      size: file.buffer.length,
+    };
+  };
+
+  return {
+    allowedTypes,
+    maxFileSize: Math.round(maxFileMb * 1024 * 1024),
+    inspect,
+  };
+}
+
+// Browsers send UTF-8 file names, which multipart parsing reads as latin1
+const decodeUploadName = (name) => {
+  if (/[^\u0000-\u00ff]/.test(name)) return name;
+  const utf8 = Buffer.from(name, 'latin1').toString('utf8');
+  return utf8.includes('\ufffd') ? name : utf8;
+};
+
+// The client's file name as shown in reports and downloads: no directories, control characters or
+// excess length
+const displayFileName = (originalName) => (decodeUploadName(String(originalName || '')).split(/[\\/]/).pop() || 'evidence')
+  .replace(/[\u0000-\u001f\u007f]/g, '')
+  .slice(0, 255) || 'evidence';
+
+// Server-side name for a stored evidence file; nothing of the client's name is kept
+const storedFileName = (extension) => `evidence-${crypto.randomUUID()}${extension}`;
+
+module.exports = {
+  EVIDENCE_FILE_TYPES,
+  createEvidencePolicy,
+  displayFileName,
+  storedFileName,
+  sha256,
+};
@@ -0,0 +1,58 @@
+// backend/evidence/links.js
+// Time-limited signed links to evidence files, for report recipients who have no account:
+//   EVIDENCE_LINK_SECRET    - HMAC key for the signatures (default: AUTH_JWT_SECRET)
+//   EVIDENCE_LINK_TTL_DAYS  - validity of the links printed in reports (default: 30)
+// A link names the audit and evidence item and carries its expiry time and an HMAC-SHA256 signature
+// over both, so it cannot be pointed at other evidence or extended.
+
+const crypto = require('crypto');
+
+const DEFAULT_LINK_TTL_DAYS = 30;
+const MAX_LINK_TTL_DAYS = 365;
+
+function createEvidenceLinkSigner(env = process.env) {
+  let secret = env.EVIDENCE_LINK_SECRET || env.AUTH_JWT_SECRET;
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('[Backend Warning] EVIDENCE_LINK_SECRET is not set. Using a random secret; signed evidence links will stop working when the server restarts.');
+  }
+  const ttlDays = Number(env.EVIDENCE_LINK_TTL_DAYS || DEFAULT_LINK_TTL_DAYS);
+  if (!(ttlDays > 0)) {
+    throw new Error(`EVIDENCE_LINK_TTL_DAYS must be a positive number, got "${env.EVIDENCE_LINK_TTL_DAYS}".`);
+  }
+
+  const signature = (auditId, evidenceId, expires) =>
+    crypto.createHmac('sha256', secret).update(`evidence:${auditId}:${evidenceId}:${expires}`).digest('base64url');
+
+  // Returns { expires (unix seconds), signature } for a link valid for ttlSeconds
+  const sign = (auditId, evidenceId, ttlSeconds = ttlDays * 24 * 60 * 60) => {
+    const expires = Math.floor(Date.now() / 1000) + Math.round(ttlSeconds);
+    return { expires, signature: signature(auditId, evidenceId, expires) };
+  };
+
+  // Returns null for a valid, unexpired link, otherwise the reason it is refused
+  const verify = (auditId, evidenceId, expires, providedSignature) => {
+    const expiresAt = Number(expires);
+    if (!Number.isInteger(expiresAt) || typeof providedSignature !== 'string') {
+      return 'The link is incomplete.';
+    }
+    const expected = Buffer.from(signature(auditId, evidenceId, expiresAt));
+    const provided = Buffer.from(providedSignature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return 'The link signature is invalid.';
+    }
+    if (expiresAt < Date.now() / 1000) {
+      return 'The link has expired.';
+    }
+    return null;
+  };
+
+  return {
+    defaultTtlSeconds: ttlDays * 24 * 60 * 60,
+    maxTtlSeconds: MAX_LINK_TTL_DAYS * 24 * 60 * 60,
+    sign,
+    verify,
+  };
+}
+
+module.exports = { createEvidenceLinkSigner };
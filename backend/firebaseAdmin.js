@@ -0,0 +1,21 @@
+// backend/firebaseAdmin.js
+// Shared Firebase Admin SDK initialization for the Firestore store and Firebase ID token verification.
+
+const path = require('path');
+
+function getFirebaseAdmin(serviceAccountPath = process.env.FIREBASE_SERVICE_ACCOUNT_PATH) {
+  // Required lazily so local-only setups work without firebase credentials
+  const admin = require('firebase-admin');
+
+  // Initialize only once, even when several modules ask for the SDK
+  if (!admin.apps.length) {
+    const resolvedPath = path.resolve(__dirname, serviceAccountPath || 'firebase-service-account.json');
+    const serviceAccount = require(resolvedPath);
+    admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount),
+    });
+  }
+  return admin;
+}
+
+module.exports = { getFirebaseAdmin };
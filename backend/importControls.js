@@ -0,0 +1,65 @@
+// backend/importControls.js
+// Command line control library import. Uses the same parser and upsert as POST /api/controls/import.
+//
+// Usage:
+//   node importControls.js <file.csv|file.xlsx|file.json> --framework iso27017 [--criticality High] [--dry-run]
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { createStorage } = require('./storage');
+const { parseControlFile, upsertControls } = require('./controlLibrary/importer');
+
+function parseArgs(argv) {
+  const args = { file: null, framework: undefined, criticality: undefined, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--framework') args.framework = argv[++i];
+    else if (arg === '--criticality') args.criticality = argv[++i];
+    else if (!args.file) args.file = arg;
+  }
+  return args;
+}
+
+const printIssues = (label, issues) => {
+  issues.forEach(issue => {
+    console.log(`  ${label} row ${issue.row ?? '-'}${issue.control_id ? ` [${issue.control_id}]` : ''}: ${issue.message}`);
+  });
+};
+
+// Imports one file into the given repositories and prints a report; returns the report
+async function importControlFile(repos, filePath, { framework, criticality, dryRun = false } = {}) {
+  const parsed = await parseControlFile(fs.readFileSync(filePath), {
+    filename: filePath,
+    defaults: { framework_id: framework, criticality },
+  });
+  const report = await upsertControls(repos, parsed, { dryRun, source: `cli:${path.basename(filePath)}` });
+
+  console.log(`${dryRun ? 'Dry run' : 'Import'} of ${filePath}:`);
+  report.controls.filter(c => c.action !== 'unchanged').forEach(c => {
+    console.log(`  ${c.action.padEnd(9)} ${c.control_id} (${c.questions} questions${c.changed_fields.length ? `; ${c.changed_fields.join(', ')}` : ''})`);
+  });
+  printIssues('warning', report.warnings);
+  printIssues('error', report.errors);
+  const { created, updated, unchanged, errors } = report.summary;
+  console.log(`  ${created} created, ${updated} updated, ${unchanged} unchanged, ${errors} errors${report.committed ? '' : ' - nothing written'}${report.library_version ? ` (library version ${report.library_version})` : ''}.`);
+  return report;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.error('Usage: node importControls.js <file.csv|file.xlsx|file.json> --framework <framework_id> [--criticality High] [--dry-run]');
+    process.exit(1);
+  }
+  importControlFile(createStorage(), args.file, args)
+    .then(report => process.exit(report.summary.errors > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('Error importing controls:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { importControlFile };
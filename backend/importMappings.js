@@ -0,0 +1,61 @@
+// backend/importMappings.js
+// Command line import of a cross-framework control crosswalk. Uses the same parser and upsert as
+// POST /api/control-mappings/import.
+//
+// Usage:
+//   node importMappings.js <file.csv|file.xlsx> [--dry-run]
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { createStorage } = require('./storage');
+const { parseCrosswalk, upsertMappings } = require('./controlLibrary/mappings');
+
+function parseArgs(argv) {
+  const args = { file: null, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (!args.file) args.file = arg;
+  }
+  return args;
+}
+
+const printIssues = (label, issues) => {
+  issues.forEach(issue => {
+    console.log(`  ${label} row ${issue.row ?? '-'}${issue.control_id ? ` [${issue.control_id}]` : ''}: ${issue.message}`);
+  });
+};
+
+// Imports one crosswalk into the given repositories and prints a report; returns the report
+async function importMappingFile(repos, filePath, { dryRun = false } = {}) {
+  const parsed = await parseCrosswalk(fs.readFileSync(filePath), { filename: filePath });
+  const report = await upsertMappings(repos, parsed, { dryRun, source: `cli:${path.basename(filePath)}` });
+
+  console.log(`${dryRun ? 'Dry run' : 'Import'} of ${filePath}:`);
+  report.mappings.filter(m => m.action !== 'unchanged').forEach(m => {
+    console.log(`  ${m.action.padEnd(9)} ${m.source_control_id} <-> ${m.target_control_id} (${m.relationship})`);
+  });
+  printIssues('warning', report.warnings);
+  printIssues('error', report.errors);
+  const { created, updated, unchanged, errors } = report.summary;
+  console.log(`  ${created} created, ${updated} updated, ${unchanged} unchanged, ${errors} errors${report.committed ? '' : ' - nothing written'}.`);
+  return report;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.error('Usage: node importMappings.js <file.csv|file.xlsx> [--dry-run]');
+    process.exit(1);
+  }
+  importMappingFile(createStorage(), args.file, args)
+    .then(report => process.exit(report.summary.errors > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('Error importing control mappings:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { importMappingFile };
@@ -0,0 +1,139 @@
+// backend/migrateEvidence.js
+// Moves evidence files uploaded before storage drivers existed ("/uploads/<file>" paths) from
+// backend/uploads to the driver selected by EVIDENCE_STORAGE, and rewrites every evidence record,
+// response and response revision that references them. Safe to run again after a partial run.
+//
+// Usage:
+//   node migrateEvidence.js [--dry-run] [--keep-source]
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { createStorage } = require('./storage');
+const { createEvidenceFiles, isLegacyEvidencePath, evidenceKey, LEGACY_UPLOADS_DIR } = require('./evidence/blobStores');
+const { sha256 } = require('./evidence/integrity');
+
+function parseArgs(argv) {
+  return {
+    dryRun: argv.includes('--dry-run'),
+    keepSource: argv.includes('--keep-source'),
+  };
+}
+
+// Legacy paths referenced by an audit: path -> { records, responses, revisions } that use it
+async function collectLegacyReferences(repos, auditId) {
+  const references = new Map();
+  const reference = (evidencePath) => {
+    if (!references.has(evidencePath)) references.set(evidencePath, { records: [], responses: [], revisions: [] });
+    return references.get(evidencePath);
+  };
+
+  (await repos.evidence.list(auditId)).filter(record => isLegacyEvidencePath(record.path)).forEach(record => {
+    reference(record.path).records.push(record);
+  });
+  for (const response of await repos.responses.list(auditId)) {
+    if (isLegacyEvidencePath(response.evidence_path)) reference(response.evidence_path).responses.push(response);
+    (await repos.responseRevisions.list(auditId, response.id))
+      .filter(revision => isLegacyEvidencePath(revision.evidence_path))
+      .forEach(revision => reference(revision.evidence_path).revisions.push({ controlId: response.id, revision }));
+  }
+  return references;
+}
+
+// Copies one legacy file to the target store; returns the new key, or null when the file is missing
+async function copyLegacyFile(evidenceFiles, auditId, legacyPath, references, { dryRun }) {
+  const source = evidenceFiles.locate(legacyPath);
+  const content = await source.store.read(source.key);
+  if (!content) {
+    console.log(`  ${'missing'.padEnd(11)}${legacyPath} - references left unchanged`);
+    return null;
+  }
+  const contentHash = sha256(content);
+  const recorded = references.records.find(record => record.sha256);
+  if (recorded && recorded.sha256 !== contentHash) {
+    console.log(`  ${'warning'.padEnd(11)}${legacyPath} no longer matches the SHA-256 recorded at upload`);
+  }
+
+  // A file already at the key (from an earlier, partial run) is only reused when it is this file
+  const key = evidenceKey(auditId, source.key);
+  const existing = await evidenceFiles.store.read(key);
+  if (existing && sha256(existing) !== contentHash) {
+    throw new Error(`${key} already exists in the ${evidenceFiles.store.name} store with different content.`);
+  }
+  if (!existing && !dryRun) {
+    const contentType = references.records.find(record => record.mimetype)?.mimetype;
+    await evidenceFiles.store.put(key, content, { contentType });
+  }
+  console.log(`  ${(dryRun ? 'would move' : 'moved').padEnd(11)}${legacyPath} -> ${key} (${references.records.length} records, ${references.responses.length} responses, ${references.revisions.length} revisions)`);
+  return key;
+}
+
+async function migrateEvidence(repos, evidenceFiles, { dryRun = false, keepSource = false } = {}) {
+  const summary = { files: 0, missing: 0, references: 0 };
+  const referencedFiles = new Set();
+  // Audits duplicated or carried forward share legacy files, so sources are only removed once
+  // every audit has been rewritten
+  const movedSources = new Set();
+
+  for (const audit of await repos.audits.list()) {
+    const references = await collectLegacyReferences(repos, audit.id);
+    if (references.size === 0) continue;
+    console.log(`Audit ${audit.id} (${audit.title || 'untitled'}):`);
+
+    const moved = [];
+    const batch = repos.batch();
+    for (const [legacyPath, refs] of references) {
+      referencedFiles.add(path.basename(legacyPath));
+      const key = await copyLegacyFile(evidenceFiles, audit.id, legacyPath, refs, { dryRun });
+      if (!key) {
+        summary.missing++;
+        continue;
+      }
+      refs.records.forEach(record => repos.evidence.set(audit.id, record.id, { path: key }, { merge: true, batch }));
+      refs.responses.forEach(response => repos.responses.set(audit.id, response.id, { evidence_path: key }, { merge: true, batch }));
+      refs.revisions.forEach(({ controlId, revision }) => {
+        const { id, ...revisionData } = revision;
+        repos.responseRevisions.set(audit.id, controlId, revision.revision, { ...revisionData, evidence_path: key }, { batch });
+      });
+      summary.files++;
+      summary.references += refs.records.length + refs.responses.length + refs.revisions.length;
+      moved.push(legacyPath);
+    }
+    if (dryRun) continue;
+
+    await batch.commit();
+    moved.forEach(legacyPath => movedSources.add(legacyPath));
+  }
+
+  if (!dryRun && !keepSource) {
+    for (const legacyPath of movedSources) {
+      const source = evidenceFiles.locate(legacyPath);
+      await source.store.delete(source.key);
+    }
+  }
+
+  const unreferenced = fs.existsSync(LEGACY_UPLOADS_DIR)
+    ? fs.readdirSync(LEGACY_UPLOADS_DIR, { withFileTypes: true })
+      .filter(entry => entry.isFile() && !referencedFiles.has(entry.name))
+      .map(entry => entry.name)
+    : [];
+  if (unreferenced.length > 0) {
+    console.log(`Not referenced by any audit, left in ${LEGACY_UPLOADS_DIR}:`);
+    unreferenced.forEach(name => console.log(`  ${name}`));
+  }
+  console.log(`${dryRun ? 'Dry run: would move' : 'Moved'} ${summary.files} files to the ${evidenceFiles.store.name} store, ${dryRun ? 'rewriting' : 'rewrote'} ${summary.references} references; ${summary.missing} missing files.`);
+  return summary;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  migrateEvidence(createStorage(), createEvidenceFiles(), args)
+    .then(summary => process.exit(summary.missing > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('Error migrating evidence files:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateEvidence };
@@ -0,0 +1,139 @@
+// backend/models/activity.js
+// Append-only activity log entries stored under audits/{id}/activity. Entries are written in the
+// same batch as the change they describe and are never updated or deleted.
+
+const { stableStringify } = require('../controlLibrary/schema');
+
+// Keeps the log readable: long free-text values are cut in field changes
+const MAX_LOGGED_VALUE_LENGTH = 2000;
+
+const ACTIVITY_ACTIONS = {
+  AUDIT_CREATE: 'audit.create',
+  AUDIT_UPDATE: 'audit.update',
+  AUDIT_DELETE: 'audit.delete',
+  AUDIT_RESTORE: 'audit.restore',
+  RESPONSE_UPDATE: 'response.update',
+  RESPONSE_RESTORE: 'response.restore',
+  RESPONSE_RECONFIRM: 'response.reconfirm',
+  EVIDENCE_UPLOAD: 'evidence.upload',
+  EVIDENCE_REMOVE: 'evidence.remove',
+  EVIDENCE_UPDATE: 'evidence.update',
+  EVIDENCE_REVIEW: 'evidence.review',
+  EVIDENCE_RECONFIRM: 'evidence.reconfirm',
+  EVIDENCE_EXPIRY_REMINDER: 'evidence.expiry_reminder',
+  LIFECYCLE_TRANSITION: 'lifecycle.transition',
+  SIGN_OFF: 'audit.sign_off',
+  MEMBER_ADD: 'member.add',
+  MEMBER_UPDATE: 'member.update',
+  MEMBER_REMOVE: 'member.remove',
+};
+
+// Audit fields whose changes are logged (client and engagement details)
+const AUDIT_DETAIL_FIELDS = [
+  'title',
+  'description',
+  'domain_type',
+  'client_company_name',
+  'client_spoc_name',
+  'client_spoc_email',
+  'client_spoc_phone',
+  'evidence_review_required',
+];
+
+// Response fields whose changes are logged besides the per-question answers
+const RESPONSE_LOGGED_FIELDS = [
+  'compliance_status',
+  'proposed_compliance_status',
+  'status_overridden',
+  'status_override_justification',
+  'justification_text',
+  'maturity_level_selected',
+  'evidence_path',
+  'evidence_filename',
+  'ai_recommendation',
+  'client_remark',
+  'auditor_observation',
+  'risk_rating',
+  'recommendation',
+];
+
+const loggedValue = (value) => {
+  if (value === undefined) return null;
+  if (typeof value === 'string' && value.length > MAX_LOGGED_VALUE_LENGTH) {
+    return `${value.slice(0, MAX_LOGGED_VALUE_LENGTH)}... (${value.length} characters)`;
+  }
+  return value;
+};
+
+// Field-level changes between two documents: [{ field, before, after }] for the given fields
+function diffFields(before = {}, after = {}, fields) {
+  return fields
+    .filter(field => stableStringify(before[field] ?? null) !== stableStringify(after[field] ?? null))
+    .map(field => ({ field, before: loggedValue(before[field] ?? null), after: loggedValue(after[field] ?? null) }));
+}
+
+// Per-question answer changes, named "question_responses[<index>].selected_option"
+function diffQuestionResponses(before = [], after = []) {
+  const changes = [];
+  for (let idx = 0; idx < Math.max(before.length, after.length); idx++) {
+    const was = before[idx]?.selected_option ?? null;
+    const now = after[idx]?.selected_option ?? null;
+    if (was !== now) {
+      changes.push({ field: `question_responses[${idx}].selected_option`, before: was, after: now });
+    }
+  }
+  return changes;
+}
+
+// The user a change is attributed to
+const actorFromRequest = (req) => ({
+  user_id: req.user.uid,
+  name: req.user.name || req.user.email || req.user.uid,
+  role: req.auditRole || (req.user.admin ? 'admin' : null),
+});
+
+// Route pattern of the request, e.g. "PUT /api/audits/:id/responses"
+const routeFromRequest = (req) => `${req.method} ${req.route ? req.baseUrl + req.route.path : req.originalUrl}`;
+
+function buildActivityEntry(req, { action, controlId = null, changes = [], details = null, at }) {
+  return {
+    action,
+    actor: actorFromRequest(req),
+    route: routeFromRequest(req),
+    control_id: controlId,
+    changes,
+    details,
+    at,
+  };
+}
+
+// Entry for a change made by a scheduled job rather than a user; `job` names the job
+function buildSystemActivityEntry(job, { action, controlId = null, changes = [], details = null, at }) {
+  return {
+    action,
+    actor: { user_id: null, name: 'System', role: null },
+    route: `job ${job}`,
+    control_id: controlId,
+    changes,
+    details,
+    at,
+  };
+}
+
+// One-line rendering of a logged value for reports
+function formatActivityValue(value, maxLength = 200) {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > maxLength ? `${text.slice(0, maxLength)}...` : text;
+}
+
+module.exports = {
+  ACTIVITY_ACTIONS,
+  AUDIT_DETAIL_FIELDS,
+  RESPONSE_LOGGED_FIELDS,
+  diffFields,
+  diffQuestionResponses,
+  buildActivityEntry,
+  buildSystemActivityEntry,
+  formatActivityValue,
+};
@@ -0,0 +1,109 @@
+// backend/models/audits.js
+// Audit documents: creation, metadata updates and soft deletion. A deleted audit keeps all of its
+// documents: the audit, its responses and evidence records carry the same `deleted_at`, which a
+// restore clears again.
+
+const { LIFECYCLE_STATES } = require('./lifecycle');
+
+// Metadata that can be changed after creation, with the maximum length of the text fields.
+// domain_type is not editable: the audit's controls were chosen from it.
+const AUDIT_EDITABLE_FIELDS = {
+  title: 200,
+  description: 5000,
+  client_company_name: 200,
+  client_spoc_name: 200,
+  client_spoc_email: 254,
+  client_spoc_phone: 50,
+  evidence_review_required: null,
+};
+
+// Fields that may not be emptied
+const AUDIT_REQUIRED_FIELDS = ['title', 'client_company_name'];
+
+const isValidEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+// Returns an error message for the editable fields present in body, or null
+function validateAuditFields(body) {
+  const fields = Object.keys(body).filter(field => field in AUDIT_EDITABLE_FIELDS);
+  for (const field of fields) {
+    const value = body[field];
+    if (field === 'evidence_review_required') {
+      if (typeof value !== 'boolean') return 'evidence_review_required must be true or false.';
+      continue;
+    }
+    if (value !== null && typeof value !== 'string') return `${field} must be a string.`;
+    const text = (value || '').trim();
+    if (!text && AUDIT_REQUIRED_FIELDS.includes(field)) return `${field} cannot be empty.`;
+    if (text.length > AUDIT_EDITABLE_FIELDS[field]) return `${field} must be at most ${AUDIT_EDITABLE_FIELDS[field]} characters.`;
+    if (field === 'client_spoc_email' && text && !isValidEmail(text)) return 'client_spoc_email must be an email address.';
+  }
+  return null;
+}
+
+// Returns an error message for a metadata update, or null
+function validateAuditUpdate(body) {
+  if ('domain_type' in body) {
+    return 'domain_type cannot be changed; duplicate the audit to start one for another domain.';
+  }
+  if (!Object.keys(body).some(field => field in AUDIT_EDITABLE_FIELDS)) {
+    return `Nothing to update; editable fields are ${Object.keys(AUDIT_EDITABLE_FIELDS).join(', ')}.`;
+  }
+  return validateAuditFields(body);
+}
+
+// The field values an update writes: trimmed text, empty optional text stored as null
+function auditUpdateChanges(body) {
+  const changes = {};
+  Object.keys(body).filter(field => field in AUDIT_EDITABLE_FIELDS).forEach(field => {
+    changes[field] = typeof body[field] === 'string' ? body[field].trim() || null : body[field];
+  });
+  if ('description' in changes) changes.description = changes.description || '';
+  return changes;
+}
+
+// A new audit document in Draft. `members` is the team's role map including the owner; `details`
+// carries the title, description, client fields and evidence_review_required; `scope` is the
+// stored scope (models/scope) or null when the audit covers every control of its frameworks.
+// Scores start empty.
+function buildNewAudit({ ownerId, members, details, domainType, frameworkIds, totalControls, scope = null, now }) {
+  return {
+    title: details.title,
+    description: details.description || '',
+    user_id: ownerId,
+    members,
+    collaborators: Object.keys(members).filter(id => id !== ownerId),
+    domain_type: domainType,
+    frameworks_audited: frameworkIds,
+    lifecycle_state: LIFECYCLE_STATES.DRAFT,
+    lifecycle_history: [],
+    metadata_version: 1,
+    overall_status: 'Not Started',
+    overall_score: 0.00,
+    progress_percent: 0,
+    compliance_score: null,
+    created_at: now,
+    updated_at: now,
+    total_controls_in_audit: totalControls,
+    scope,
+    completed_controls_in_audit: 0,
+    scored_controls_in_audit: 0,
+    client_company_name: details.client_company_name,
+    client_spoc_name: details.client_spoc_name || null,
+    client_spoc_email: details.client_spoc_email || null,
+    client_spoc_phone: details.client_spoc_phone || null,
+    // Controls only count as complete once a reviewer accepted all of their evidence
+    evidence_review_required: details.evidence_review_required === true,
+    deleted_at: null,
+  };
+}
+
+const isDeleted = (audit) => !!(audit && audit.deleted_at);
+
+module.exports = {
+  AUDIT_EDITABLE_FIELDS,
+  validateAuditFields,
+  validateAuditUpdate,
+  auditUpdateChanges,
+  buildNewAudit,
+  isDeleted,
+};
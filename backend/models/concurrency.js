@@ -0,0 +1,61 @@
+// backend/models/concurrency.js
+// Optimistic concurrency. Response documents are versioned by their `revision` number and audits
+// by `metadata_version`; both are exposed as ETags. A client sends the ETag it loaded back in
+// If-Match and a write against an outdated version is refused with 409 and a conflict summary.
+// The version check and the write are committed together (commitResponseWrite and commitAuditWrite
+// in server.js), so a save that lands between them is refused as well.
+//
+// If-Match is optional. A request without it writes over whatever version is current when it
+// arrives: two clients that both leave it out still overwrite each other (last writer wins).
+
+const { stableStringify } = require('../controlLibrary/schema');
+
+const responseEtag = (response) => `"r${(response && response.revision) || 0}"`;
+
+const auditEtag = (audit) => `"a${(audit && audit.metadata_version) || 0}"`;
+
+// ETags from the If-Match header; null when the header is absent (unconditional write)
+function parseIfMatch(req) {
+  const header = req.get('If-Match');
+  if (!header) return null;
+  return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).filter(Boolean);
+}
+
+const ifMatchSatisfied = (req, currentEtag) => {
+  const tags = parseIfMatch(req);
+  return !tags || tags.includes('*') || tags.includes(currentEtag);
+};
+
+// Revision number an If-Match response ETag refers to, or null
+function ifMatchRevision(req) {
+  const tags = parseIfMatch(req) || [];
+  const match = tags.map(tag => tag.match(/^"r(\d+)"$/)).find(Boolean);
+  return match ? Number(match[1]) : null;
+}
+
+const sameValue = (a, b) => stableStringify(a ?? null) === stableStringify(b ?? null);
+
+// Field-level conflicts between a stale write and the current document. All arguments are flat
+// field -> value maps; `base` is the version the client started from (null when unknown).
+// A field conflicts when the client changes it to something other than its current value and,
+// if the base is known, someone else changed it since the base.
+function summarizeConflicts({ base, current, submitted }) {
+  return Object.keys(submitted)
+    .filter(field => !sameValue(submitted[field], current[field]))
+    .filter(field => !base || !sameValue(base[field], current[field]))
+    .map(field => ({
+      field,
+      base: base ? base[field] ?? null : undefined,
+      current: current[field] ?? null,
+      yours: submitted[field] ?? null,
+    }));
+}
+
+module.exports = {
+  responseEtag,
+  auditEtag,
+  parseIfMatch,
+  ifMatchSatisfied,
+  ifMatchRevision,
+  summarizeConflicts,
+};
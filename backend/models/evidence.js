@@ -0,0 +1,245 @@
+// backend/models/evidence.js
+// Evidence records stored under audits/{id}/evidence. Each record is one uploaded file attached to
+// a control of the audit and optionally to one of its questions.
+
+const EVIDENCE_REVIEW_STATUSES = ['Pending Review', 'Accepted', 'Rejected', 'Needs Clarification'];
+
+// Reviews that send the evidence back to the respondent must say why
+const REVIEW_COMMENT_REQUIRED_STATUSES = ['Rejected', 'Needs Clarification'];
+
+const REVIEW_COMMENT_MAX_LENGTH = 2000;
+
+const EVIDENCE_DESCRIPTION_MAX_LENGTH = 2000;
+
+// valid_until value with which an uploader opts out of the category's default validity
+const NO_EXPIRY = 'none';
+
+// Id under which the single file saved on a response by older clients is addressed
+const LEGACY_EVIDENCE_PREFIX = 'response-';
+
+const legacyEvidenceId = (controlId) => `${LEGACY_EVIDENCE_PREFIX}${controlId}`;
+
+// The control whose response file a legacy evidence id names, or null for evidence record ids
+const parseLegacyEvidenceId = (evidenceId) =>
+  evidenceId.startsWith(LEGACY_EVIDENCE_PREFIX) ? evidenceId.slice(LEGACY_EVIDENCE_PREFIX.length) : null;
+
+// Validity dates are calendar dates ("YYYY-MM-DD")
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+
+// The question index sent with a multipart upload arrives as a string; '' means the whole control
+function parseQuestionIndex(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const index = Number(value);
+  return Number.isInteger(index) ? index : NaN;
+}
+
+// Returns an error message for invalid evidence fields, or null. `control` is the audit's
+// definition of the control the evidence is attached to.
+function validateEvidenceFields(body, control) {
+  const questionIndex = parseQuestionIndex(body.question_index);
+  if (Number.isNaN(questionIndex) || (questionIndex !== null && (questionIndex < 0 || questionIndex >= (control.questionnaires || []).length))) {
+    return `question_index must be the index of one of the ${(control.questionnaires || []).length} questions of ${control.id}.`;
+  }
+  if (body.description !== undefined && body.description !== null) {
+    if (typeof body.description !== 'string') return 'description must be a string.';
+    if (body.description.length > EVIDENCE_DESCRIPTION_MAX_LENGTH) {
+      return `description must be at most ${EVIDENCE_DESCRIPTION_MAX_LENGTH} characters.`;
+    }
+  }
+  if (body.valid_until && body.valid_until !== NO_EXPIRY && !isValidDate(body.valid_until)) {
+    return `valid_until must be a date in YYYY-MM-DD format, or "${NO_EXPIRY}".`;
+  }
+  return null;
+}
+
+// Fields that can be changed on an existing record
+const EVIDENCE_EDITABLE_FIELDS = ['description', 'valid_until'];
+
+// Returns an error message for an evidence update, or null. valid_until may be cleared with null.
+function validateEvidenceUpdate(body) {
+  const fields = Object.keys(body).filter(field => EVIDENCE_EDITABLE_FIELDS.includes(field));
+  if (fields.length === 0) {
+    return `Nothing to update; editable fields are ${EVIDENCE_EDITABLE_FIELDS.join(', ')}.`;
+  }
+  if (body.description !== undefined && body.description !== null) {
+    if (typeof body.description !== 'string') return 'description must be a string.';
+    if (body.description.length > EVIDENCE_DESCRIPTION_MAX_LENGTH) {
+      return `description must be at most ${EVIDENCE_DESCRIPTION_MAX_LENGTH} characters.`;
+    }
+  }
+  if (body.valid_until !== undefined && body.valid_until !== null && !isValidDate(body.valid_until)) {
+    return 'valid_until must be a date in YYYY-MM-DD format, or null for no expiry.';
+  }
+  return null;
+}
+
+// The changes an update applies to a record; setting a date replaces any category default
+function evidenceUpdateChanges(body) {
+  const changes = {};
+  if (body.description !== undefined) changes.description = (body.description || '').trim() || null;
+  if (body.valid_until !== undefined) {
+    changes.valid_until = body.valid_until || null;
+    changes.validity_category = null;
+  }
+  return changes;
+}
+
+// Returns an error message for an evidence review ({ status, comment }), or null
+function validateEvidenceReview(body) {
+  if (!EVIDENCE_REVIEW_STATUSES.includes(body.status)) {
+    return `status must be one of: ${EVIDENCE_REVIEW_STATUSES.join(', ')}.`;
+  }
+  if (body.comment !== undefined && body.comment !== null && typeof body.comment !== 'string') {
+    return 'comment must be a string.';
+  }
+  const comment = (body.comment || '').trim();
+  if (!comment && REVIEW_COMMENT_REQUIRED_STATUSES.includes(body.status)) {
+    return `A comment explaining the decision is required for ${body.status}.`;
+  }
+  if (comment.length > REVIEW_COMMENT_MAX_LENGTH) {
+    return `comment must be at most ${REVIEW_COMMENT_MAX_LENGTH} characters.`;
+  }
+  return null;
+}
+
+// The changes a review applies to a record. The latest review is kept in the review_* fields and
+// every review is appended to review_history.
+function evidenceReviewChanges(record, { status, comment }, reviewer, now) {
+  const review = { status, comment: (comment || '').trim() || null, reviewed_by: reviewer, reviewed_at: now };
+  return {
+    review_status: review.status,
+    review_comment: review.comment,
+    reviewed_by: review.reviewed_by,
+    reviewed_at: review.reviewed_at,
+    review_history: [...(record.review_history || []), review],
+  };
+}
+
+// Number of records per control that are not (yet) accepted: control_id -> count
+function unacceptedEvidenceByControl(records) {
+  const counts = new Map();
+  records.filter(record => record.review_status !== 'Accepted').forEach(record => {
+    counts.set(record.control_id, (counts.get(record.control_id) || 0) + 1);
+  });
+  return counts;
+}
+
+// New record for a stored upload; `stored` is what the integrity checks found plus the stored path.
+// `defaultValidity` ({ valid_until, validity_category }) applies when the uploader gave no date.
+// Every record starts pending review.
+function buildEvidenceRecord({ controlId, body, originalName, stored, defaultValidity = null, uploadedBy, now }) {
+  const validity = body.valid_until === NO_EXPIRY ? null : body.valid_until ? { valid_until: body.valid_until, validity_category: null } : defaultValidity;
+  return {
+    control_id: controlId,
+    question_index: parseQuestionIndex(body.question_index),
+    filename: originalName,
+    path: stored.path,
+    size: stored.size,
+    mimetype: stored.mimetype,
+    file_type: stored.file_type,
+    sha256: stored.sha256,
+    description: (body.description || '').trim() || null,
+    valid_until: validity ? validity.valid_until : null,
+    validity_category: validity ? validity.validity_category : null, // set when valid_until is the category default
+    review_status: 'Pending Review',
+    review_comment: null,
+    reviewed_by: null,
+    reviewed_at: null,
+    review_history: [],
+    text_status: 'pending', // set by the background text extraction, see search/indexer
+    uploaded_by: uploadedBy,
+    uploaded_at: now,
+  };
+}
+
+// Record of a copy of an evidence file stored at `path`, attached to `controlId` (default: the
+// original's control). The copy keeps the original uploader and upload date and starts pending
+// review; `extra` records where it came from.
+function copyEvidenceRecord(record, { path, controlId = record.control_id, questionIndex = null, extra = {} }) {
+  return {
+    control_id: controlId,
+    question_index: questionIndex,
+    filename: record.filename,
+    path,
+    size: record.size,
+    mimetype: record.mimetype,
+    file_type: record.file_type,
+    sha256: record.sha256,
+    description: record.description || null,
+    valid_until: record.valid_until || null,
+    validity_category: record.validity_category || null,
+    review_status: 'Pending Review',
+    review_comment: null,
+    reviewed_by: null,
+    reviewed_at: null,
+    review_history: [],
+    text_status: 'pending',
+    uploaded_by: record.uploaded_by || null,
+    uploaded_at: record.uploaded_at || null,
+    ...extra,
+  };
+}
+
+// Record of an evidence file carried into a follow-up audit: marked needs_reconfirmation until the
+// respondent confirms it still applies
+const carryForwardEvidenceRecord = (record, { sourceAuditId, path, questionIndex }) => copyEvidenceRecord(record, {
+  path,
+  questionIndex,
+  extra: { needs_reconfirmation: true, carried_forward_from: { audit_id: sourceAuditId, evidence_id: record.id } },
+});
+
+// Whether a file path saved on a response is a file of the audit (a key under audits/<audit id>/,
+// as stored by uploads and by migrateEvidence.js). Anything else, such as an unmigrated
+// "/uploads/<file>" path or another audit's key, is not served as the audit's evidence.
+const isAuditEvidencePath = (auditId, evidencePath) => {
+  const prefix = `audits/${auditId}/`;
+  if (typeof evidencePath !== 'string' || !evidencePath.startsWith(prefix)) return false;
+  const fileName = evidencePath.slice(prefix.length);
+  return fileName.length > 0 && !/[\\/]/.test(fileName) && fileName !== '..' && fileName !== '.';
+};
+
+// "/uploads/<file>" paths that older clients could set on any response. Until migrateEvidence.js
+// copies them under the audit they are listed but not served.
+const isUnmigratedEvidencePath = (evidencePath) => typeof evidencePath === 'string' && evidencePath.startsWith('/uploads/');
+
+// The evidence items of one control of `auditId` for reports: its records, plus the single file
+// saved on the response by clients that predate evidence records. That file is an item when it is a
+// file of the audit, or marked not_migrated when it still has an "/uploads/<file>" path.
+function evidenceItemsForControl(records, response = {}, auditId) {
+  const items = [...records];
+  const notMigrated = isUnmigratedEvidencePath(response.evidence_path);
+  if ((notMigrated || isAuditEvidencePath(auditId, response.evidence_path)) && !records.some(record => record.path === response.evidence_path)) {
+    items.push({
+      id: legacyEvidenceId(response.control_id),
+      control_id: response.control_id,
+      question_index: null,
+      filename: response.evidence_filename || response.evidence_path,
+      path: response.evidence_path,
+      sha256: null,
+      description: null,
+      valid_until: null,
+      review_status: null,
+      uploaded_by: null,
+      uploaded_at: null,
+      ...(notMigrated ? { not_migrated: true } : {}),
+    });
+  }
+  return items;
+}
+
+module.exports = {
+  EVIDENCE_REVIEW_STATUSES,
+  EVIDENCE_EDITABLE_FIELDS,
+  validateEvidenceFields,
+  validateEvidenceUpdate,
+  evidenceUpdateChanges,
+  validateEvidenceReview,
+  evidenceReviewChanges,
+  unacceptedEvidenceByControl,
+  buildEvidenceRecord,
+  copyEvidenceRecord,
+  carryForwardEvidenceRecord,
+  isAuditEvidencePath,
+  evidenceItemsForControl,
+  parseLegacyEvidenceId,
+};
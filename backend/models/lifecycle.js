@@ -0,0 +1,63 @@
+// backend/models/lifecycle.js
+// Audit lifecycle: Draft -> Fieldwork -> Under Review -> Approved -> Issued -> Archived.
+// Stored as `lifecycle_state` on the audit, separate from the progress-derived overall_status.
+
+const { PERMISSIONS, hasPermission } = require('../auth/roles');
+
+const LIFECYCLE_STATES = {
+  DRAFT: 'Draft',
+  FIELDWORK: 'Fieldwork',
+  UNDER_REVIEW: 'Under Review',
+  APPROVED: 'Approved',
+  ISSUED: 'Issued',
+  ARCHIVED: 'Archived',
+};
+
+// action -> allowed source states, target state and the permission the caller needs
+const TRANSITIONS = {
+  start_fieldwork: { from: [LIFECYCLE_STATES.DRAFT], to: LIFECYCLE_STATES.FIELDWORK, permission: PERMISSIONS.MANAGE_LIFECYCLE },
+  submit_for_review: { from: [LIFECYCLE_STATES.FIELDWORK], to: LIFECYCLE_STATES.UNDER_REVIEW, permission: PERMISSIONS.ASSESS },
+  return_to_fieldwork: { from: [LIFECYCLE_STATES.UNDER_REVIEW, LIFECYCLE_STATES.APPROVED], to: LIFECYCLE_STATES.FIELDWORK, permission: PERMISSIONS.SIGN_OFF },
+  approve: { from: [LIFECYCLE_STATES.UNDER_REVIEW], to: LIFECYCLE_STATES.APPROVED, permission: PERMISSIONS.SIGN_OFF },
+  issue: { from: [LIFECYCLE_STATES.APPROVED], to: LIFECYCLE_STATES.ISSUED, permission: PERMISSIONS.MANAGE_LIFECYCLE },
+  archive: { from: [LIFECYCLE_STATES.ISSUED], to: LIFECYCLE_STATES.ARCHIVED, permission: PERMISSIONS.MANAGE_LIFECYCLE },
+};
+
+// Responses and evidence can no longer change in these states
+const LOCKED_STATES = [LIFECYCLE_STATES.ISSUED, LIFECYCLE_STATES.ARCHIVED];
+
+// Audits created before the lifecycle existed were already in fieldwork
+const getLifecycleState = (audit) => audit.lifecycle_state || LIFECYCLE_STATES.FIELDWORK;
+
+const isLocked = (audit) => LOCKED_STATES.includes(getLifecycleState(audit));
+
+// Actions the user may take on the audit in its current state
+const availableTransitions = (user, audit) => Object.entries(TRANSITIONS)
+  .filter(([, transition]) => transition.from.includes(getLifecycleState(audit)) && hasPermission(user, audit, transition.permission))
+  .map(([action, transition]) => ({ action, to: transition.to }));
+
+// Checks a transition; returns { to } or { status, error }
+function checkTransition(user, audit, action) {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    return { status: 400, error: `Unknown lifecycle action "${action}". Use one of: ${Object.keys(TRANSITIONS).join(', ')}.` };
+  }
+  const state = getLifecycleState(audit);
+  if (!transition.from.includes(state)) {
+    return { status: 409, error: `The ${action} action is not available while the audit is ${state}.` };
+  }
+  if (!hasPermission(user, audit, transition.permission)) {
+    return { status: 403, error: `Your role on this audit does not allow the ${action} action.` };
+  }
+  return { to: transition.to };
+}
+
+module.exports = {
+  LIFECYCLE_STATES,
+  TRANSITIONS,
+  LOCKED_STATES,
+  getLifecycleState,
+  isLocked,
+  availableTransitions,
+  checkTransition,
+};
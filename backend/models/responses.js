@@ -0,0 +1,179 @@
+// backend/models/responses.js
+// Shape and validation of the per-control response documents stored under audits/{id}/responses.
+
+const COMPLIANCE_STATUSES = ['Yes', 'Partial', 'No', 'Not Applicable', 'Not Answered'];
+
+// Matches the "Risk" column of the fieldwork checklist
+const RISK_RATINGS = ['Critical', 'High', 'Medium', 'Low'];
+
+// Free-text fieldwork columns from the checklist sheet, with their maximum length
+const FIELDWORK_TEXT_FIELDS = {
+  client_remark: 5000, // "Client Remark" - written by the client respondent
+  auditor_observation: 5000, // "Auditor Observations"
+  recommendation: 5000, // "Recommendations" - the auditor's own, separate from ai_recommendation
+  status_override_justification: 5000, // why the auditor's compliance_status differs from the proposed one
+};
+
+// Response content kept in each numbered revision (audits/{id}/responses/{controlId}/revisions/{n})
+const RESPONSE_REVISION_FIELDS = [
+  'question_responses',
+  'compliance_status',
+  'proposed_compliance_status',
+  'proposed_findings',
+  'status_overridden',
+  'status_override_justification',
+  'justification_text',
+  'maturity_level_selected',
+  'evidence_path',
+  'evidence_filename',
+  'ai_recommendation',
+  'client_remark',
+  'auditor_observation',
+  'risk_rating',
+  'recommendation',
+];
+
+// Snapshot of a response as revision number `revision`; meta carries saved_by, saved_at, restored_from
+function buildResponseRevision(response, revision, meta) {
+  const revisionData = { revision, control_id: response.control_id };
+  RESPONSE_REVISION_FIELDS.forEach(field => {
+    revisionData[field] = response[field] === undefined ? null : response[field];
+  });
+  return { ...revisionData, ...meta };
+}
+
+// Flat field -> value map of a response's content, one "question_responses[<index>].selected_option"
+// entry per answer plus the other revision fields that are present (used for conflict summaries)
+function flattenResponse(response) {
+  const flat = {};
+  (response.question_responses || []).forEach((qr, idx) => {
+    flat[`question_responses[${idx}].selected_option`] = qr ? qr.selected_option ?? null : null;
+  });
+  RESPONSE_REVISION_FIELDS.filter(field => field !== 'question_responses' && response[field] !== undefined).forEach(field => {
+    flat[field] = response[field];
+  });
+  return flat;
+}
+
+// The empty response created for every control when an audit starts
+function buildInitialResponse(control) {
+  return {
+    control_id: control.id,
+    question_responses: (control.questionnaires || []).map((q, index) => ({ // Initialize question responses based on control definition
+      question_index: index,
+      question_text: q.question_text,
+      selected_option: null,
+      option_text: null,
+    })),
+    compliance_status: 'Not Answered',
+    proposed_compliance_status: null, // derived from the answers, see scoring.proposeComplianceStatus
+    proposed_findings: [],
+    status_overridden: false,
+    status_override_justification: null,
+    justification_text: null,
+    maturity_level_selected: null,
+    evidence_path: null,
+    evidence_filename: null,
+    ai_recommendation: null,
+    client_remark: null,
+    auditor_observation: null,
+    risk_rating: null,
+    recommendation: null,
+    response_date: null,
+  };
+}
+
+// Response fields a new engagement takes over when answers are carried forward, besides the
+// answers themselves; the assessment (compliance status, observations, ratings) starts over
+const CARRIED_FORWARD_FIELDS = ['justification_text', 'client_remark'];
+
+// The starting response of a control in an audit duplicated from another one: the empty response
+// with the previous answers filled in. An answer is only carried when the question text is
+// unchanged and the selected option still exists. With `reconfirm` (follow-up audits) a response
+// that carried anything is marked needs_reconfirmation until the respondent confirms or saves it.
+function carryForwardResponse(control, previous, sourceAuditId, { reconfirm = false } = {}) {
+  const response = buildInitialResponse(control);
+  if (!previous) return response;
+  response.question_responses = response.question_responses.map((qr, idx) => {
+    const before = (previous.question_responses || [])[idx];
+    const options = (control.questionnaires || [])[idx]?.options;
+    if (!before || !before.selected_option || before.question_text !== qr.question_text) return qr;
+    if (options && options[before.selected_option] === undefined) return qr;
+    return { ...qr, selected_option: before.selected_option, option_text: before.option_text ?? null };
+  });
+  CARRIED_FORWARD_FIELDS.forEach(field => {
+    response[field] = previous[field] ?? null;
+  });
+  response.carried_forward_from = { audit_id: sourceAuditId, revision: previous.revision || 0 };
+  if (reconfirm) {
+    response.needs_reconfirmation = response.question_responses.some(qr => qr.selected_option) ||
+      CARRIED_FORWARD_FIELDS.some(field => response[field]);
+  }
+  return response;
+}
+
+// Returns an error message for invalid fieldwork fields in a response update, or null
+function validateFieldworkFields(body) {
+  for (const [field, maxLength] of Object.entries(FIELDWORK_TEXT_FIELDS)) {
+    const value = body[field];
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'string') {
+      return `${field} must be a string.`;
+    }
+    if (value.length > maxLength) {
+      return `${field} must be at most ${maxLength} characters.`;
+    }
+  }
+  if (body.risk_rating !== undefined && body.risk_rating !== null && body.risk_rating !== '' && !RISK_RATINGS.includes(body.risk_rating)) {
+    return `risk_rating must be one of: ${RISK_RATINGS.join(', ')}.`;
+  }
+  if (body.compliance_status !== undefined && body.compliance_status !== null && body.compliance_status !== '' && !COMPLIANCE_STATUSES.includes(body.compliance_status)) {
+    return `compliance_status must be one of: ${COMPLIANCE_STATUSES.join(', ')}.`;
+  }
+  return null;
+}
+
+// Decides the stored compliance status. The status proposed from the answers applies unless an
+// assessor sets a different one, which needs a justification; an override stays until an
+// assessor changes it, or saves changed answers (`answersChanged`) without sending a status.
+// Returns { compliance_status, status_overridden, status_override_justification } or { error }.
+function resolveComplianceStatus({ proposed, requested = {}, existing = {}, canAssess, answersChanged = false }) {
+  const keptOverride = {
+    compliance_status: existing.compliance_status,
+    status_overridden: true,
+    status_override_justification: existing.status_override_justification,
+  };
+  if (!canAssess) {
+    if (existing.status_overridden) return keptOverride;
+    return { compliance_status: proposed || existing.compliance_status || 'Not Answered', status_overridden: false, status_override_justification: null };
+  }
+  // Saves that only touch other fields (observation, recommendation, ...) leave the override alone
+  if (existing.status_overridden && requested.compliance_status === undefined && !answersChanged) {
+    return keptOverride;
+  }
+
+  const requestedStatus = requested.compliance_status || 'Not Answered';
+  if (!proposed || requestedStatus === proposed || requestedStatus === 'Not Answered') {
+    return { compliance_status: proposed || requestedStatus, status_overridden: false, status_override_justification: null };
+  }
+  // Re-saving an existing override does not need the justification sent again
+  const justification = (requested.status_override_justification || '').trim() ||
+    (existing.status_overridden && existing.compliance_status === requestedStatus ? existing.status_override_justification : '');
+  if (!justification) {
+    return { error: `compliance_status "${requestedStatus}" differs from the status proposed by the answers ("${proposed}"); status_override_justification is required.` };
+  }
+  return { compliance_status: requestedStatus, status_overridden: true, status_override_justification: justification };
+}
+
+module.exports = {
+  COMPLIANCE_STATUSES,
+  RISK_RATINGS,
+  FIELDWORK_TEXT_FIELDS,
+  RESPONSE_REVISION_FIELDS,
+  buildResponseRevision,
+  flattenResponse,
+  buildInitialResponse,
+  carryForwardResponse,
+  validateFieldworkFields,
+  resolveComplianceStatus,
+};
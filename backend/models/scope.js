@@ -0,0 +1,158 @@
+// backend/models/scope.js
+// Audit scope. By default an audit covers every control of every framework of its domain type; a
+// scope narrows that to chosen frameworks, to control ids or families ("CLD.6" covers CLD.6.1,
+// CLD.6.2, ...; "CLD.6.*" is the same) and leaves out exclusions. Every narrowing records its
+// rationale. Out-of-scope controls are kept on the audit's scope with their pinned version and the
+// reason, so the Statement of Applicability can list them; only in-scope controls are pinned,
+// answered and scored.
+
+const SCOPE_RATIONALE_MAX_LENGTH = 2000;
+
+const OUT_OF_SCOPE_REASONS = {
+  NOT_SELECTED: 'not_selected', // outside the chosen control ids and families
+  EXCLUDED: 'excluded',
+};
+
+// How reports name the applicability reasons
+const APPLICABILITY_REASON_LABELS = {
+  in_scope: 'In scope',
+  selected: 'Selected',
+  [OUT_OF_SCOPE_REASONS.NOT_SELECTED]: 'Not selected',
+  [OUT_OF_SCOPE_REASONS.EXCLUDED]: 'Excluded',
+};
+
+// Whether a scope entry (a control id, a family such as "CLD.6", or "CLD.6.*") covers a control
+function matchesControl(entry, controlId) {
+  const pattern = entry.trim().replace(/\.?\*$/, '');
+  return controlId === pattern || controlId.startsWith(`${pattern}.`);
+}
+
+const isRationale = (value) => typeof value === 'string' && value.trim().length > 0 && value.length <= SCOPE_RATIONALE_MAX_LENGTH;
+
+const rationaleError = (what) => `${what} needs a rationale of at most ${SCOPE_RATIONALE_MAX_LENGTH} characters.`;
+
+const isEntryList = (value) => Array.isArray(value) && value.length > 0 && value.every(entry => typeof entry === 'string' && entry.trim());
+
+// Returns an error message for the scope of an audit creation request, or null. Shape:
+// { framework_ids, framework_rationale, controls, controls_rationale, exclusions: [{ control_id, rationale }] }
+// where every part is optional.
+function validateScope(scope) {
+  if (scope === undefined || scope === null) return null;
+  if (typeof scope !== 'object' || Array.isArray(scope)) return 'scope must be an object.';
+  if (scope.framework_ids !== undefined) {
+    if (!isEntryList(scope.framework_ids)) return 'scope.framework_ids must be a non-empty list of framework IDs.';
+    if (!isRationale(scope.framework_rationale)) return rationaleError('The framework selection');
+  }
+  if (scope.controls !== undefined) {
+    if (!isEntryList(scope.controls)) return 'scope.controls must be a non-empty list of control IDs or families (e.g. "CLD.6").';
+    if (!isRationale(scope.controls_rationale)) return rationaleError('The control selection');
+  }
+  if (scope.exclusions !== undefined) {
+    if (!Array.isArray(scope.exclusions)) return 'scope.exclusions must be a list of { control_id, rationale }.';
+    for (const exclusion of scope.exclusions) {
+      if (!exclusion || typeof exclusion.control_id !== 'string' || !exclusion.control_id.trim()) {
+        return 'Every exclusion needs a control_id (a control ID or family).';
+      }
+      if (!isRationale(exclusion.rationale)) return rationaleError(`The exclusion of ${exclusion.control_id}`);
+    }
+  }
+  return null;
+}
+
+// Splits the controls of the audited frameworks by the scope. Returns { inScope, outOfScope, unmatched }:
+// outOfScope is [{ control, reason, rationale }] and unmatched lists the control and exclusion
+// entries that cover none of the controls (most likely typos).
+function applyScope(controls, scope) {
+  const include = scope?.controls || null;
+  const exclusions = scope?.exclusions || [];
+  const inScope = [];
+  const outOfScope = [];
+  controls.forEach(control => {
+    const exclusion = exclusions.find(entry => matchesControl(entry.control_id, control.id));
+    if (include && !include.some(entry => matchesControl(entry, control.id))) {
+      outOfScope.push({ control, reason: OUT_OF_SCOPE_REASONS.NOT_SELECTED, rationale: scope.controls_rationale.trim() });
+    } else if (exclusion) {
+      outOfScope.push({ control, reason: OUT_OF_SCOPE_REASONS.EXCLUDED, rationale: exclusion.rationale.trim() });
+    } else {
+      inScope.push(control);
+    }
+  });
+  const unmatched = [
+    ...(include || []),
+    ...exclusions.map(entry => entry.control_id),
+  ].filter(entry => !controls.some(control => matchesControl(entry, control.id)));
+  return { inScope, outOfScope, unmatched };
+}
+
+// The scope stored on the audit. `outOfScope` is what applyScope left out, `pinned` maps the
+// out-of-scope control ids to their current version.
+function buildScope(scope, { frameworkIds, outOfScope, pinned, definedBy, now }) {
+  return {
+    framework_ids: frameworkIds,
+    framework_rationale: scope?.framework_ids && scope.framework_rationale ? scope.framework_rationale.trim() : null,
+    controls: scope?.controls ? scope.controls.map(entry => entry.trim()) : null,
+    controls_rationale: scope?.controls ? scope.controls_rationale.trim() : null,
+    exclusions: (scope?.exclusions || []).map(({ control_id, rationale }) => ({ control_id: control_id.trim(), rationale: rationale.trim() })),
+    out_of_scope: outOfScope.map(({ control, reason, rationale }) => ({
+      control_id: control.id,
+      framework_id: control.framework_id || null,
+      version: pinned[control.id] || null,
+      reason,
+      rationale,
+    })),
+    defined_by: definedBy,
+    defined_at: now,
+  };
+}
+
+// The out-of-scope entry of a control on the audit, or null when the control is not left out
+const outOfScopeEntry = (audit, controlId) => (audit.scope?.out_of_scope || []).find(entry => entry.control_id === controlId) || null;
+
+// The scope request that reproduces a stored scope (for follow-up audits against the current
+// library). Frameworks that were not chosen explicitly are looked up by domain type again.
+const scopeRequestOf = (scope) => (scope ? {
+  framework_ids: scope.framework_rationale ? scope.framework_ids : undefined,
+  framework_rationale: scope.framework_rationale || undefined,
+  controls: scope.controls || undefined,
+  controls_rationale: scope.controls_rationale || undefined,
+  exclusions: scope.exclusions,
+} : null);
+
+// Statement-of-Applicability-style rows: every control of the audited frameworks, applicable or
+// not, with the reason. `controls` are the audit's in-scope control definitions and
+// `outOfScopeControls` the definitions of its out-of-scope controls.
+function applicabilityRows(audit, controls, outOfScopeControls = []) {
+  const scope = audit.scope || null;
+  const definitions = new Map(outOfScopeControls.map(control => [control.id, control]));
+  const rows = controls.map(control => ({
+    control_id: control.id,
+    framework_id: control.framework_id || null,
+    control_objective: control.control_objective || null,
+    applicable: true,
+    reason: scope?.controls ? 'selected' : 'in_scope',
+    rationale: scope?.controls ? scope.controls_rationale : (scope?.framework_rationale || null),
+  }));
+  (scope?.out_of_scope || []).forEach(entry => {
+    rows.push({
+      control_id: entry.control_id,
+      framework_id: entry.framework_id,
+      control_objective: definitions.get(entry.control_id)?.control_objective || null,
+      applicable: false,
+      reason: entry.reason,
+      rationale: entry.rationale,
+    });
+  });
+  return rows.sort((a, b) => a.control_id.localeCompare(b.control_id, undefined, { numeric: true }));
+}
+
+module.exports = {
+  OUT_OF_SCOPE_REASONS,
+  APPLICABILITY_REASON_LABELS,
+  matchesControl,
+  validateScope,
+  applyScope,
+  buildScope,
+  outOfScopeEntry,
+  scopeRequestOf,
+  applicabilityRows,
+};
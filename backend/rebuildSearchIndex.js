@@ -0,0 +1,84 @@
+// backend/rebuildSearchIndex.js
+// Rebuilds the search index of every audit (or one) from its controls, responses and evidence
+// files: drops the existing entries, re-creates the control and response entries and re-runs text
+// extraction for every evidence record. Use it after changing the extraction code or to pick up
+// records left pending when the server stopped before their extraction ran.
+//
+// Usage:
+//   node rebuildSearchIndex.js [--audit <audit id>]
+
+require('dotenv').config();
+
+const { createStorage } = require('./storage');
+const { createEvidenceFiles } = require('./evidence/blobStores');
+const { loadAuditControls } = require('./controlLibrary/versions');
+const { createSearchIndexer } = require('./search/indexer');
+const { controlIndexEntry, responseIndexEntries } = require('./search/text');
+
+function parseArgs(argv) {
+  const auditIdx = argv.indexOf('--audit');
+  return { auditId: auditIdx >= 0 ? argv[auditIdx + 1] : null };
+}
+
+async function rebuildAuditIndex(repos, searchIndexer, audit) {
+  const now = repos.now();
+  const batch = repos.batch();
+  (await repos.searchIndex.list(audit.id)).forEach(entry => repos.searchIndex.delete(audit.id, entry.id, { batch }));
+
+  const controls = await loadAuditControls(repos, audit);
+  controls.forEach(control => {
+    const { id, entry } = controlIndexEntry(control, now);
+    repos.searchIndex.set(audit.id, id, entry, { batch });
+  });
+  const responses = await repos.responses.list(audit.id);
+  let responseEntries = 0;
+  responses.forEach(response => {
+    responseIndexEntries(response, now).set.forEach(({ id, entry }) => {
+      repos.searchIndex.set(audit.id, id, entry, { batch });
+      responseEntries++;
+    });
+  });
+  await batch.commit();
+
+  const statuses = {};
+  for (const record of await repos.evidence.list(audit.id)) {
+    const status = await searchIndexer.indexEvidence(audit.id, record.id);
+    if (status) statuses[status] = (statuses[status] || 0) + 1;
+  }
+  const evidenceSummary = Object.entries(statuses).map(([status, count]) => `${count} ${status}`).join(', ') || 'none';
+  console.log(`  ${audit.id} (${audit.title || 'untitled'}): ${controls.length} controls, ${responseEntries} response texts, evidence: ${evidenceSummary}`);
+  return statuses.failed || 0;
+}
+
+async function rebuildSearchIndex(repos, evidenceFiles, { auditId = null } = {}) {
+  const searchIndexer = createSearchIndexer(repos, evidenceFiles);
+  let audits = await repos.audits.list();
+  if (auditId) {
+    audits = audits.filter(audit => audit.id === auditId);
+    if (audits.length === 0) throw new Error(`Audit ${auditId} not found.`);
+  }
+
+  console.log(`Rebuilding the search index of ${audits.length} audits:`);
+  let failed = 0;
+  for (const audit of audits) {
+    failed += await rebuildAuditIndex(repos, searchIndexer, audit);
+  }
+  console.log(`Done; text extraction failed for ${failed} evidence files.`);
+  return { audits: audits.length, failed };
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  if (process.argv.includes('--audit') && !args.auditId) {
+    console.error('Usage: node rebuildSearchIndex.js [--audit <audit id>]');
+    process.exit(1);
+  }
+  rebuildSearchIndex(createStorage(), createEvidenceFiles(), args)
+    .then(summary => process.exit(summary.failed > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('Error rebuilding the search index:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { rebuildSearchIndex };
@@ -0,0 +1,151 @@
+// backend/reports/soa.js
+// Statement of Applicability (SoA): every control of the audit's frameworks with whether it
+// applies, the justification for including or excluding it, its implementation status (from the
+// response's compliance_status) and references to its evidence. Built from the applicability rows
+// of models/scope, so out-of-scope controls are listed with their recorded rationale.
+
+const ExcelJS = require('exceljs');
+
+// Implementation status per compliance status
+const IMPLEMENTATION_STATUSES = {
+  Yes: 'Implemented',
+  Partial: 'Partially implemented',
+  No: 'Not implemented',
+  'Not Applicable': 'Not applicable',
+  'Not Answered': 'Not assessed',
+};
+
+const EXCLUDED_STATUS = 'Excluded';
+
+const SOA_COLUMNS = [
+  { header: 'Control ID', key: 'control_id', width: 15 },
+  { header: 'Framework', key: 'framework_id', width: 15 },
+  { header: 'Control', key: 'control_objective', width: 40 },
+  { header: 'Applicable', key: 'applicable', width: 12 },
+  { header: 'Justification', key: 'justification', width: 60 },
+  { header: 'Implementation Status', key: 'implementation_status', width: 22 },
+  { header: 'Evidence', key: 'evidence', width: 40 },
+  { header: 'Evidence Links', key: 'evidence_links', width: 50 },
+];
+
+// Why an applicable control is included: the scope's rationale, or the framework being audited
+const inclusionJustification = (row) =>
+  row.rationale || `Within the scope of the ${row.framework_id || 'audited'} framework.`;
+
+// Builds the SoA. `applicability` are the audit's applicability rows, `responses` maps control ids
+// to responses and `evidenceFor(controlId)` returns the control's evidence as report items
+// ({ evidence_id, filename, link, question, review_status, valid_until, expiry_status, ... }).
+function buildStatementOfApplicability({ audit, applicability, responses, evidenceFor, generatedAt }) {
+  const controls = applicability.map(row => {
+    if (!row.applicable) {
+      return {
+        control_id: row.control_id,
+        framework_id: row.framework_id,
+        control_objective: row.control_objective,
+        applicable: false,
+        justification: row.rationale,
+        compliance_status: null,
+        implementation_status: EXCLUDED_STATUS,
+        evidence: [],
+      };
+    }
+    const response = responses.get(row.control_id) || {};
+    const status = response.compliance_status || 'Not Answered';
+    // Controls assessed as not applicable are excluded by the assessment rather than the scope
+    const notApplicable = status === 'Not Applicable';
+    return {
+      control_id: row.control_id,
+      framework_id: row.framework_id,
+      control_objective: row.control_objective,
+      applicable: !notApplicable,
+      justification: notApplicable
+        ? response.status_override_justification || response.justification_text || 'Assessed as not applicable.'
+        : inclusionJustification(row),
+      compliance_status: status,
+      implementation_status: IMPLEMENTATION_STATUSES[status] || status,
+      evidence: evidenceFor(row.control_id),
+    };
+  });
+
+  const countStatus = (status) => controls.filter(control => control.implementation_status === status).length;
+  return {
+    audit: {
+      id: audit.id,
+      title: audit.title,
+      client_company_name: audit.client_company_name || null,
+      domain_type: audit.domain_type,
+      frameworks: audit.scope ? audit.scope.framework_ids : audit.frameworks_audited || [],
+      lifecycle_state: audit.lifecycle_state || null,
+    },
+    generated_at: generatedAt,
+    summary: {
+      total: controls.length,
+      applicable: controls.filter(control => control.applicable).length,
+      not_applicable: controls.filter(control => !control.applicable).length,
+      implemented: countStatus(IMPLEMENTATION_STATUSES.Yes),
+      partially_implemented: countStatus(IMPLEMENTATION_STATUSES.Partial),
+      not_implemented: countStatus(IMPLEMENTATION_STATUSES.No),
+      not_assessed: countStatus(IMPLEMENTATION_STATUSES['Not Answered']),
+    },
+    controls,
+  };
+}
+
+const evidenceLabel = (item) => `${item.filename}${item.question ? ` (${item.question})` : ''}${item.expiry_status === 'expired' ? ' (EXPIRED)' : ''}`;
+
+function buildSoaWorkbook(soa) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Statement of Applicability');
+  worksheet.columns = SOA_COLUMNS;
+  worksheet.getRow(1).eachCell((cell) => {
+    cell.font = { bold: true };
+  });
+  soa.controls.forEach(control => {
+    const row = worksheet.addRow({
+      ...control,
+      control_objective: control.control_objective || '',
+      applicable: control.applicable ? 'Yes' : 'No',
+      justification: control.justification || '',
+      evidence: control.evidence.map(evidenceLabel).join('\n'),
+      evidence_links: control.evidence.map(item => item.link).join('\n'),
+    });
+    row.alignment = { vertical: 'top', wrapText: true };
+  });
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+  workbook.title = `Statement of Applicability - ${soa.audit.title}`;
+  return workbook;
+}
+
+// Writes the SoA on a PDFKit document
+function writeSoaPdf(doc, soa) {
+  doc.fontSize(22).text('Statement of Applicability', { align: 'center' });
+  doc.moveDown(0.5);
+  doc.fontSize(14).text(soa.audit.title, { align: 'center' });
+  doc.moveDown();
+  doc.fontSize(12).text(`Client: ${soa.audit.client_company_name || 'N/A'}`);
+  doc.text(`Frameworks: ${soa.audit.frameworks.join(', ') || 'N/A'}`);
+  doc.text(`Generated: ${new Date(soa.generated_at).toLocaleDateString()}`);
+  doc.text(`Controls: ${soa.summary.total} (${soa.summary.applicable} applicable, ${soa.summary.not_applicable} not applicable)`);
+  doc.text(`Implementation: ${soa.summary.implemented} implemented, ${soa.summary.partially_implemented} partially implemented, ${soa.summary.not_implemented} not implemented, ${soa.summary.not_assessed} not assessed`);
+  doc.moveDown();
+
+  soa.controls.forEach(control => {
+    doc.fontSize(12).text(`${control.control_id}: ${control.control_objective || 'N/A'}`, { underline: true });
+    doc.fontSize(10).text(`Applicable: ${control.applicable ? 'Yes' : 'No'}    Implementation: ${control.implementation_status}`);
+    doc.text(`Justification: ${control.justification || 'None recorded'}`);
+    if (control.evidence.length > 0) {
+      doc.text(`Evidence (${control.evidence.length}):`);
+      control.evidence.forEach(item => {
+        doc.fontSize(9).text(`  - ${evidenceLabel(item)} (${item.link})`);
+      });
+    }
+    doc.moveDown(0.5);
+  });
+}
+
+module.exports = {
+  IMPLEMENTATION_STATUSES,
+  buildStatementOfApplicability,
+  buildSoaWorkbook,
+  writeSoaPdf,
+};
@@ -0,0 +1,68 @@
+// backend/rescoreAudits.js
+// Recomputes the progress and compliance scores stored on every audit (or one) and writes those
+// that drifted, e.g. audits stored before compliance scoring existed. Reading an audit never writes
+// its scores; the response and evidence routes keep them current from then on.
+//
+// Usage:
+//   node rescoreAudits.js [--audit <audit id>] [--dry-run]
+
+require('dotenv').config();
+
+const { createStorage } = require('./storage');
+const { loadAuditControls } = require('./controlLibrary/versions');
+const { unacceptedEvidenceByControl } = require('./models/evidence');
+const { scoreAudit, toAuditScoreFields } = require('./scoring');
+
+function parseArgs(argv) {
+  const auditIdx = argv.indexOf('--audit');
+  return {
+    auditId: auditIdx >= 0 ? argv[auditIdx + 1] : null,
+    dryRun: argv.includes('--dry-run'),
+  };
+}
+
+// Rescores one audit; returns the score fields that changed
+async function rescoreAudit(repos, audit, { dryRun = false } = {}) {
+  const options = audit.evidence_review_required
+    ? { unacceptedEvidence: unacceptedEvidenceByControl(await repos.evidence.list(audit.id)) }
+    : {};
+  const scoreFields = toAuditScoreFields(scoreAudit(await loadAuditControls(repos, audit), await repos.responses.list(audit.id), options));
+  const changed = Object.keys(scoreFields).filter(field => audit[field] !== scoreFields[field]);
+  if (changed.length > 0) {
+    if (!dryRun) await repos.audits.update(audit.id, { ...scoreFields, updated_at: repos.now() });
+    console.log(`  ${(dryRun ? 'would update' : 'updated').padEnd(13)}${audit.id} (${audit.title || 'untitled'}): ${changed.map(field => `${field} ${audit[field] ?? '-'} -> ${scoreFields[field] ?? '-'}`).join(', ')}`);
+  }
+  return changed;
+}
+
+async function rescoreAudits(repos, { auditId = null, dryRun = false } = {}) {
+  let audits = await repos.audits.list();
+  if (auditId) {
+    audits = audits.filter(audit => audit.id === auditId);
+    if (audits.length === 0) throw new Error(`Audit ${auditId} not found.`);
+  }
+
+  console.log(`Rescoring ${audits.length} audits:`);
+  let updated = 0;
+  for (const audit of audits) {
+    if ((await rescoreAudit(repos, audit, { dryRun })).length > 0) updated++;
+  }
+  console.log(`${dryRun ? 'Dry run: would update' : 'Updated'} the scores of ${updated} audits.`);
+  return { audits: audits.length, updated };
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  if (process.argv.includes('--audit') && !args.auditId) {
+    console.error('Usage: node rescoreAudits.js [--audit <audit id>] [--dry-run]');
+    process.exit(1);
+  }
+  rescoreAudits(createStorage(), args)
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Error rescoring audits:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { rescoreAudits };
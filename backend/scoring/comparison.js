@@ -0,0 +1,90 @@
+// backend/scoring/comparison.js
+// Year-over-year comparison of two audits of the same client, typically a follow-up audit and the
+// audit it was created from. Controls are matched by id; each gets the change of its compliance
+// status, its score in both audits and whether its definition or answers changed.
+
+const { scoreAudit, toPercent } = require('./index');
+
+// Order of the assessed statuses; Not Applicable and Not Answered are not ranked
+const STATUS_RANK = { No: 0, Partial: 1, Yes: 2 };
+
+const STATUS_CHANGES = ['improved', 'regressed', 'unchanged', 'changed', 'not_assessed', 'new', 'removed'];
+
+// How a control's status moved from the previous to the current audit
+function statusChange(previousStatus, currentStatus) {
+  if (previousStatus === undefined) return 'new';
+  if (currentStatus === undefined) return 'removed';
+  if (previousStatus === currentStatus) return 'unchanged';
+  if (currentStatus === 'Not Answered') return 'not_assessed';
+  if (previousStatus in STATUS_RANK && currentStatus in STATUS_RANK) {
+    return STATUS_RANK[currentStatus] > STATUS_RANK[previousStatus] ? 'improved' : 'regressed';
+  }
+  return 'changed';
+}
+
+// Number of questions answered differently (by question text, so renumbered questions still match)
+function changedAnswers(previousResponse, currentResponse) {
+  const previousAnswers = new Map((previousResponse?.question_responses || []).map(qr => [qr.question_text, qr.selected_option || null]));
+  return (currentResponse?.question_responses || [])
+    .filter(qr => previousAnswers.has(qr.question_text) && previousAnswers.get(qr.question_text) !== (qr.selected_option || null))
+    .length;
+}
+
+// Compares two audits. Each side is { audit, controls, responses } with the audit's control
+// definitions and response documents.
+function compareAudits(previous, current) {
+  const sides = [previous, current].map(side => {
+    const scoring = scoreAudit(side.controls, side.responses);
+    return {
+      ...side,
+      scoring,
+      controls: new Map(side.controls.map(control => [control.id, control])),
+      responses: new Map(side.responses.map(response => [response.control_id || response.id, response])),
+      scores: new Map(scoring.controls.map(score => [score.control_id, score])),
+    };
+  });
+  const [before, after] = sides;
+
+  const controlIds = Array.from(new Set([...before.controls.keys(), ...after.controls.keys()]))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  const controls = controlIds.map(controlId => {
+    const previousControl = before.controls.get(controlId);
+    const currentControl = after.controls.get(controlId);
+    const previousResponse = before.responses.get(controlId);
+    const currentResponse = after.responses.get(controlId);
+    const previousStatus = previousControl ? previousResponse?.compliance_status || 'Not Answered' : undefined;
+    const currentStatus = currentControl ? currentResponse?.compliance_status || 'Not Answered' : undefined;
+    return {
+      control_id: controlId,
+      control_objective: (currentControl || previousControl).control_objective || null,
+      previous_status: previousStatus ?? null,
+      current_status: currentStatus ?? null,
+      change: statusChange(previousStatus, currentStatus),
+      previous_score: toPercent(before.scores.get(controlId)?.score),
+      current_score: toPercent(after.scores.get(controlId)?.score),
+      previous_risk_rating: previousResponse?.risk_rating || null,
+      current_risk_rating: currentResponse?.risk_rating || null,
+      // The library changed the control between the two audits (different pinned version)
+      control_changed: !!(previousControl && currentControl && (previousControl.version || null) !== (currentControl.version || null)),
+      answers_changed: previousControl && currentControl ? changedAnswers(previousResponse, currentResponse) : null,
+      needs_reconfirmation: !!currentResponse?.needs_reconfirmation,
+    };
+  });
+
+  const summary = Object.fromEntries(STATUS_CHANGES.map(change => [change, controls.filter(c => c.change === change).length]));
+  return {
+    previous: { audit_id: before.audit.id, title: before.audit.title, created_at: before.audit.created_at || null, compliance_score: before.scoring.compliance_score, progress_percent: before.scoring.progress_percent },
+    current: { audit_id: after.audit.id, title: after.audit.title, created_at: after.audit.created_at || null, compliance_score: after.scoring.compliance_score, progress_percent: after.scoring.progress_percent },
+    compliance_score_change: before.scoring.compliance_score === null || after.scoring.compliance_score === null
+      ? null
+      : Math.round((after.scoring.compliance_score - before.scoring.compliance_score) * 10) / 10,
+    summary,
+    controls,
+  };
+}
+
+module.exports = {
+  STATUS_CHANGES,
+  statusChange,
+  compareAudits,
+};
@@ -0,0 +1,96 @@
+// backend/scoring/coverage.js
+// Framework coverage of an audit spanning several frameworks. A control is covered by its own
+// assessment or, while it has not been assessed, through a mapped control of another framework in
+// the same audit (see controlLibrary/mappings): an equivalent control assessed Yes satisfies it;
+// an equivalent control assessed Partial, or a partially overlapping one assessed Yes or Partial,
+// satisfies it partially. Related mappings do not count.
+
+const { mappedControls } = require('../controlLibrary/mappings');
+
+const COVERAGE = {
+  SATISFIED: 'satisfied',
+  PARTIALLY_SATISFIED: 'partially_satisfied',
+  NOT_SATISFIED: 'not_satisfied',
+  NOT_APPLICABLE: 'not_applicable',
+  NOT_COVERED: 'not_covered',
+};
+
+const DIRECT_COVERAGE = {
+  Yes: COVERAGE.SATISFIED,
+  Partial: COVERAGE.PARTIALLY_SATISFIED,
+  No: COVERAGE.NOT_SATISFIED,
+  'Not Applicable': COVERAGE.NOT_APPLICABLE,
+};
+
+// What one mapped control's status contributes, or null
+function mappedCoverage(relationship, status) {
+  if (relationship === 'equivalent' && status === 'Yes') return COVERAGE.SATISFIED;
+  if (relationship === 'equivalent' && status === 'Partial') return COVERAGE.PARTIALLY_SATISFIED;
+  if (relationship === 'partial' && ['Yes', 'Partial'].includes(status)) return COVERAGE.PARTIALLY_SATISFIED;
+  return null;
+}
+
+// Coverage of each control: { control_id, framework_id, compliance_status, coverage, through_mapping,
+// satisfied_by: [{ control_id, framework_id, relationship, compliance_status }] }
+function controlCoverage(controls, responses, mappings) {
+  const controlIds = new Set(controls.map(control => control.id));
+  const frameworkOf = new Map(controls.map(control => [control.id, control.framework_id || null]));
+  const statusOf = (controlId) => responses.get(controlId)?.compliance_status || 'Not Answered';
+
+  return controls.map(control => {
+    const status = statusOf(control.id);
+    const row = { control_id: control.id, framework_id: control.framework_id || null, compliance_status: status };
+    if (DIRECT_COVERAGE[status]) {
+      return { ...row, coverage: DIRECT_COVERAGE[status], through_mapping: false, satisfied_by: [] };
+    }
+    const contributions = mappedControls(mappings, control.id)
+      .filter(mapped => controlIds.has(mapped.control_id))
+      .map(mapped => ({
+        control_id: mapped.control_id,
+        framework_id: frameworkOf.get(mapped.control_id),
+        relationship: mapped.relationship,
+        compliance_status: statusOf(mapped.control_id),
+        coverage: mappedCoverage(mapped.relationship, statusOf(mapped.control_id)),
+      }))
+      .filter(contribution => contribution.coverage);
+    const satisfied = contributions.some(contribution => contribution.coverage === COVERAGE.SATISFIED);
+    return {
+      ...row,
+      coverage: contributions.length === 0 ? COVERAGE.NOT_COVERED : (satisfied ? COVERAGE.SATISFIED : COVERAGE.PARTIALLY_SATISFIED),
+      through_mapping: contributions.length > 0,
+      satisfied_by: contributions.map(({ coverage, ...contribution }) => contribution),
+    };
+  });
+}
+
+// Per framework: how many controls are covered how, directly and through mappings, with the
+// controls covered through mappings listed
+function frameworkCoverage(controls, responses, mappings) {
+  const rows = controlCoverage(controls, responses, mappings);
+  const frameworkIds = Array.from(new Set(rows.map(row => row.framework_id))).sort();
+  const frameworks = frameworkIds.map(frameworkId => {
+    const frameworkRows = rows.filter(row => row.framework_id === frameworkId);
+    const count = (coverage, throughMapping) => frameworkRows.filter(row => row.coverage === coverage && row.through_mapping === throughMapping).length;
+    return {
+      framework_id: frameworkId,
+      total_controls: frameworkRows.length,
+      satisfied: count(COVERAGE.SATISFIED, false),
+      partially_satisfied: count(COVERAGE.PARTIALLY_SATISFIED, false),
+      not_satisfied: count(COVERAGE.NOT_SATISFIED, false),
+      not_applicable: count(COVERAGE.NOT_APPLICABLE, false),
+      satisfied_through_mappings: count(COVERAGE.SATISFIED, true),
+      partially_satisfied_through_mappings: count(COVERAGE.PARTIALLY_SATISFIED, true),
+      not_covered: count(COVERAGE.NOT_COVERED, false),
+      controls_through_mappings: frameworkRows
+        .filter(row => row.through_mapping)
+        .sort((a, b) => a.control_id.localeCompare(b.control_id, undefined, { numeric: true })),
+    };
+  });
+  return { frameworks, mappings_used: mappings.length };
+}
+
+module.exports = {
+  COVERAGE,
+  controlCoverage,
+  frameworkCoverage,
+};
@@ -0,0 +1,176 @@
+// backend/scoring/index.js
+// Audit scoring engine. Two separate measures are produced:
+//   progress   - share of controls whose questions are all answered and whose status is set (and,
+//                when the audit requires reviewed evidence, whose evidence is all accepted)
+//   compliance - criticality-weighted score of the assessed controls, from their answers and status
+
+// Compliance value of each status; 'Not Applicable' is excluded from the compliance score
+const STATUS_POINTS = { Yes: 1, Partial: 0.5, No: 0 };
+const ASSESSED_STATUSES = ['Yes', 'Partial', 'No', 'Not Applicable'];
+
+// How much a control counts towards the weighted compliance score
+const CRITICALITY_WEIGHTS = { Critical: 4, High: 3, Medium: 2, Low: 1 };
+const DEFAULT_CRITICALITY_WEIGHT = CRITICALITY_WEIGHTS.Medium;
+
+// Share of a control's score that comes from its questionnaire answers; the rest comes from
+// the auditor's compliance status. When only one of the two is available it counts fully.
+const ANSWER_SHARE = 0.5;
+
+// Points for a selected option: the option's own score when the control defines one, otherwise
+// 1 for the expected answer and 0 for the others, otherwise spread evenly from the first option
+// (A=1) to the last (A=1, B=0.67, C=0.33, D=0 for four options).
+function optionPoints(question, letter) {
+  const letters = Object.keys(question.options || {}).sort();
+  const idx = letters.indexOf(letter);
+  if (idx === -1) return null;
+  const score = question.option_details?.[letter]?.score;
+  if (typeof score === 'number') return score;
+  if (question.expected_answer) return letter === question.expected_answer ? 1 : 0;
+  return letters.length === 1 ? 1 : 1 - idx / (letters.length - 1);
+}
+
+// Status an option points to, from its details or the expected answer; null when the control
+// does not say what the option means
+function suggestedStatus(question, letter) {
+  if (!question.options || question.options[letter] === undefined) return null;
+  const detail = question.option_details?.[letter] || {};
+  if (detail.suggested_status) return detail.suggested_status;
+  if (typeof detail.score === 'number') {
+    if (detail.score >= 1) return 'Yes';
+    return detail.score <= 0 ? 'No' : 'Partial';
+  }
+  if (question.expected_answer) return letter === question.expected_answer ? 'Yes' : 'No';
+  return null;
+}
+
+// Proposes a control's compliance status from its answers. Returns { status, findings } where
+// status is null until every question is answered with an option the control describes, and
+// findings are the finding templates of the selected options.
+function proposeComplianceStatus(control, questionResponses) {
+  const questions = control.questionnaires || [];
+  const selections = questions.map((question, idx) => {
+    const answer = (questionResponses || []).find(qr => qr && (qr.question_index ?? -1) === idx) || (questionResponses || [])[idx];
+    return { question, letter: answer?.selected_option || null };
+  });
+  const findings = selections
+    .map(({ question, letter }) => letter && question.option_details?.[letter]?.finding_template)
+    .filter(Boolean);
+
+  const statuses = selections.map(({ question, letter }) => (letter ? suggestedStatus(question, letter) : null));
+  if (questions.length === 0 || statuses.some(status => status === null)) {
+    return { status: null, findings };
+  }
+  const applicable = statuses.filter(status => status !== 'Not Applicable');
+  let status = 'Partial';
+  if (applicable.length === 0) status = 'Not Applicable';
+  else if (applicable.every(s => s === 'Yes')) status = 'Yes';
+  else if (applicable.every(s => s === 'No')) status = 'No';
+  return { status, findings };
+}
+
+const round = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+function isControlComplete(control, response) {
+  const numQuestions = control.questionnaires?.length || 0;
+  const allQuestionsAnswered = numQuestions > 0 &&
+    !!response?.question_responses &&
+    response.question_responses.filter(qr => qr.selected_option).length === numQuestions;
+  return allQuestionsAnswered && ASSESSED_STATUSES.includes(response?.compliance_status);
+}
+
+// Scores one control; score is a 0-1 value or null when the control is not (yet) scorable
+function scoreControl(control, response) {
+  const status = response?.compliance_status || 'Not Answered';
+  const weight = CRITICALITY_WEIGHTS[control.criticality] || DEFAULT_CRITICALITY_WEIGHT;
+  if (status === 'Not Applicable') {
+    return { control_id: control.id, score: null, answer_score: null, status_score: null, weight, excluded: true };
+  }
+
+  const answerPoints = (response?.question_responses || [])
+    .map((qr, idx) => {
+      if (!qr || !qr.selected_option) return null;
+      const question = (control.questionnaires || [])[qr.question_index ?? idx] || {};
+      return optionPoints(question, qr.selected_option);
+    })
+    .filter(points => points !== null);
+  const answerScore = answerPoints.length > 0 ? answerPoints.reduce((sum, p) => sum + p, 0) / answerPoints.length : null;
+  const statusScore = STATUS_POINTS[status] ?? null;
+
+  let score = null;
+  if (answerScore !== null && statusScore !== null) {
+    score = ANSWER_SHARE * answerScore + (1 - ANSWER_SHARE) * statusScore;
+  } else if (answerScore !== null || statusScore !== null) {
+    score = answerScore ?? statusScore;
+  }
+  return { control_id: control.id, score, answer_score: answerScore, status_score: statusScore, weight, excluded: false };
+}
+
+// Scores a whole audit. `controls` are the audit's control definitions, `responses` its response documents.
+// With `unacceptedEvidence` (control_id -> number of evidence records not accepted by a reviewer)
+// a control only counts as complete once all of its evidence is accepted.
+function scoreAudit(controls, responses, { unacceptedEvidence = null } = {}) {
+  const responsesByControl = new Map(responses.map(r => [r.control_id || r.id, r]));
+  const controlScores = controls.map(control => {
+    const unaccepted = unacceptedEvidence ? unacceptedEvidence.get(control.id) || 0 : 0;
+    return {
+      ...scoreControl(control, responsesByControl.get(control.id)),
+      complete: isControlComplete(control, responsesByControl.get(control.id)) && unaccepted === 0,
+      unaccepted_evidence: unaccepted,
+    };
+  });
+
+  const totalControls = controls.length;
+  const completedControls = controlScores.filter(c => c.complete).length;
+  const progressPercent = totalControls === 0 ? 0 : Math.round((completedControls / totalControls) * 100);
+  const overallStatus = progressPercent === 100 ? 'Completed' : (progressPercent > 0 ? 'In Progress' : 'Not Started');
+
+  const scored = controlScores.filter(c => c.score !== null);
+  const totalWeight = scored.reduce((sum, c) => sum + c.weight, 0);
+  const complianceScore = totalWeight === 0 ? null : toPercent(scored.reduce((sum, c) => sum + c.score * c.weight, 0) / totalWeight);
+
+  return {
+    total_controls: totalControls,
+    completed_controls: completedControls,
+    progress_percent: progressPercent,
+    overall_status: overallStatus,
+    compliance_score: complianceScore,
+    scored_controls: scored.length,
+    not_applicable_controls: controlScores.filter(c => c.excluded).length,
+    controls: controlScores,
+  };
+}
+
+// Fields persisted on the audit document. overall_score keeps its historical meaning (progress)
+// for existing clients; compliance_score is the weighted compliance measure.
+const toAuditScoreFields = (result) => ({
+  progress_percent: result.progress_percent,
+  overall_score: result.progress_percent,
+  overall_status: result.overall_status,
+  completed_controls_in_audit: result.completed_controls,
+  compliance_score: result.compliance_score,
+  scored_controls_in_audit: result.scored_controls,
+});
+
+// Converts a 0-1 control score to a 0-100 percentage (null stays null)
+const toPercent = (score) => (score === null || score === undefined ? null : round(score * 100));
+
+// Formats a 0-100 score (or null) for reports
+const formatScore = (value) => (value === null || value === undefined ? 'N/A' : `${value}%`);
+
+module.exports = {
+  STATUS_POINTS,
+  CRITICALITY_WEIGHTS,
+  ANSWER_SHARE,
+  optionPoints,
+  suggestedStatus,
+  proposeComplianceStatus,
+  scoreControl,
+  scoreAudit,
+  isControlComplete,
+  toAuditScoreFields,
+  toPercent,
+  formatScore,
+};
@@ -0,0 +1,43 @@
+// backend/search/extract.js
+// Plain text of evidence files for the search index, by the file type detected at upload.
+
+const ExcelJS = require('exceljs');
+
+// Parsers are required lazily; most requests never extract text
+const extractors = {
+  // pdf-parse's entry point runs a self-test when required directly, so use its library file
+  pdf: async (buffer) => (await require('pdf-parse/lib/pdf-parse.js')(buffer)).text,
+
+  docx: async (buffer) => (await require('mammoth').extractRawText({ buffer })).value,
+
+  xlsx: async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const lines = [];
+    workbook.eachSheet(sheet => {
+      lines.push(sheet.name);
+      sheet.eachRow(row => {
+        const cells = [];
+        row.eachCell(cell => {
+          if (cell.text) cells.push(cell.text);
+        });
+        if (cells.length > 0) lines.push(cells.join(' | '));
+      });
+    });
+    return lines.join('\n');
+  },
+
+  txt: async (buffer) => buffer.toString('utf8'),
+
+  csv: async (buffer) => buffer.toString('utf8'),
+};
+
+const canExtractText = (fileType) => !!extractors[fileType];
+
+// The text of a file, or null when its type has no extractor (images, legacy Office formats)
+async function extractText(buffer, fileType) {
+  const extractor = extractors[fileType];
+  return extractor ? extractor(buffer) : null;
+}
+
+module.exports = { canExtractText, extractText };
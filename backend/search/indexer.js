@@ -0,0 +1,76 @@
+// backend/search/indexer.js
+// Background text extraction for evidence. Uploads are answered before their text is extracted:
+// the route queues the record here and a single in-process worker extracts and indexes one file at
+// a time. The outcome is kept on the evidence record as `text_status`:
+//   pending -> indexed | empty | unsupported | failed
+// `node rebuildSearchIndex.js` re-runs extraction for records left pending by a restart.
+
+const { extractText, canExtractText } = require('./extract');
+const { evidenceIndexEntry, evidenceEntryId } = require('./text');
+
+function createSearchIndexer(repos, evidenceFiles) {
+  const queue = [];
+  let draining = null;
+
+  // Extracts and indexes one evidence record; returns the text status it ended with
+  async function indexEvidence(auditId, evidenceId) {
+    const record = await repos.evidence.get(auditId, evidenceId);
+    if (!record) return null; // removed before its turn came
+
+    // Records the outcome on the record. A record removed while its text was being extracted is not
+    // written again (a merge would recreate it with only the text fields) and loses its index entry.
+    const finish = async (status, extra = {}) => {
+      if (!await repos.evidence.get(auditId, evidenceId)) {
+        await repos.searchIndex.delete(auditId, evidenceEntryId(evidenceId));
+        return null;
+      }
+      await repos.evidence.set(auditId, evidenceId, { text_status: status, text_indexed_at: repos.now(), ...extra }, { merge: true });
+      return status;
+    };
+    if (!canExtractText(record.file_type)) {
+      return finish('unsupported');
+    }
+    try {
+      const { store, key } = evidenceFiles.locate(record.path);
+      const content = await store.read(key);
+      if (!content) return finish('failed', { text_error: 'The evidence file is missing.' });
+
+      const text = (await extractText(content, record.file_type) || '').trim();
+      if (!text) return finish('empty', { text_length: 0 });
+      // Removed while the text was being extracted: do not index it
+      if (!await repos.evidence.get(auditId, evidenceId)) return null;
+
+      const { id, entry } = evidenceIndexEntry(evidenceId, record, text, repos.now());
+      await repos.searchIndex.set(auditId, id, entry);
+      return finish('indexed', { text_length: text.length, text_error: null });
+    } catch (error) {
+      console.error(`[Backend Error] Text extraction failed for evidence ${evidenceId} of audit ${auditId}:`, error.message);
+      return finish('failed', { text_error: error.message });
+    }
+  }
+
+  async function drain() {
+    while (queue.length > 0) {
+      const { auditId, evidenceId } = queue.shift();
+      try {
+        await indexEvidence(auditId, evidenceId);
+      } catch (error) {
+        console.error(`[Backend Error] Could not index evidence ${evidenceId} of audit ${auditId}:`, error);
+      }
+    }
+    draining = null;
+  }
+
+  // Queues a record for extraction; the caller does not wait for it
+  const enqueueEvidence = (auditId, evidenceId) => {
+    queue.push({ auditId, evidenceId });
+    if (!draining) draining = drain();
+  };
+
+  // Resolves once the queue is empty
+  const idle = () => draining || Promise.resolve();
+
+  return { indexEvidence, enqueueEvidence, idle };
+}
+
+module.exports = { createSearchIndexer };
@@ -0,0 +1,107 @@
+// backend/search/text.js
+// Search index entries. Every searchable text of an audit (control text, response free text,
+// extracted evidence text) is stored as one entry under audits/{id}/search_index with its
+// lowercased terms, so a query can select candidate entries with an array-contains filter and
+// cut a snippet from the stored text.
+
+// Entries keep this much text for snippets and this many distinct terms
+const MAX_INDEXED_TEXT_LENGTH = 100000;
+const MAX_INDEXED_TERMS = 5000;
+
+// Response fields that are searched, with the label shown on hits
+const SEARCHABLE_RESPONSE_FIELDS = {
+  justification_text: 'Justification',
+  auditor_observation: 'Auditor Observation',
+  client_remark: 'Client Remark',
+  recommendation: 'Recommendation',
+};
+
+const normalizeText = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+// Lowercased words and numbers of at least two characters
+const tokenize = (text) => (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(term => term.length >= 2);
+
+const uniqueTerms = (text) => Array.from(new Set(tokenize(text))).slice(0, MAX_INDEXED_TERMS);
+
+function buildIndexEntry({ source, controlId = null, evidenceId = null, field = null, label, text, now }) {
+  const normalized = normalizeText(text).slice(0, MAX_INDEXED_TEXT_LENGTH);
+  return {
+    source, // 'control', 'response' or 'evidence'
+    control_id: controlId,
+    evidence_id: evidenceId,
+    field,
+    label,
+    text: normalized,
+    terms: uniqueTerms(normalized),
+    indexed_at: now,
+  };
+}
+
+const controlEntryId = (controlId) => `control:${controlId}`;
+const responseEntryId = (controlId, field) => `response:${controlId}:${field}`;
+const evidenceEntryId = (evidenceId) => `evidence:${evidenceId}`;
+
+// Objective, description and questions of a control as the audit pinned it
+function controlIndexEntry(control, now) {
+  const text = [
+    control.control_objective,
+    control.control_description,
+    ...(control.questionnaires || []).map(q => q.question_text),
+  ].filter(Boolean).join('\n');
+  return { id: controlEntryId(control.id), entry: buildIndexEntry({ source: 'control', controlId: control.id, label: 'Control', text, now }) };
+}
+
+// Entries for the searchable fields of a response: { set: [{ id, entry }], remove: [ids] }
+function responseIndexEntries(response, now) {
+  const changes = { set: [], remove: [] };
+  Object.entries(SEARCHABLE_RESPONSE_FIELDS).forEach(([field, label]) => {
+    const id = responseEntryId(response.control_id, field);
+    if (normalizeText(response[field])) {
+      changes.set.push({ id, entry: buildIndexEntry({ source: 'response', controlId: response.control_id, field, label, text: response[field], now }) });
+    } else {
+      changes.remove.push(id);
+    }
+  });
+  return changes;
+}
+
+function evidenceIndexEntry(evidenceId, record, text, now) {
+  return {
+    id: evidenceEntryId(evidenceId),
+    entry: buildIndexEntry({ source: 'evidence', controlId: record.control_id, evidenceId, label: `Evidence: ${record.filename}`, text, now }),
+  };
+}
+
+// Occurrences of the query terms in an entry's text; 0 when a term is missing
+function scoreEntry(entry, terms) {
+  const tokens = tokenize(entry.text);
+  let score = 0;
+  for (const term of terms) {
+    const count = tokens.filter(token => token === term).length;
+    if (count === 0) return 0;
+    score += count;
+  }
+  return score;
+}
+
+// Text around the first query term, with an ellipsis where it was cut
+function buildSnippet(text, terms, radius = 80) {
+  const lower = text.toLowerCase();
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'u');
+  const match = pattern.exec(lower);
+  const position = match ? match.index + match[1].length : 0;
+  const start = Math.max(0, position - radius);
+  const end = Math.min(text.length, position + radius);
+  return `${start > 0 ? '...' : ''}${text.slice(start, end).trim()}${end < text.length ? '...' : ''}`;
+}
+
+module.exports = {
+  SEARCHABLE_RESPONSE_FIELDS,
+  tokenize,
+  controlIndexEntry,
+  responseIndexEntries,
+  evidenceIndexEntry,
+  evidenceEntryId,
+  scoreEntry,
+  buildSnippet,
+};
@@ -4,7 +4,6 @@ require('dotenv').config();
 
 // Import necessary modules
 const express = require('express');
-const admin = require('firebase-admin'); // Firebase Admin SDK
 const cors = require('cors'); // CORS middleware
 const multer = require('multer'); // Middleware for handling file uploads
 const path = require('path'); // Node.js path module for file paths
@@ -13,21 +12,45 @@ const { GoogleGenerativeAI } = require('@google/generative-ai'); // For Gemini A
 const PDFDocument = require('pdfkit'); // For PDF generation
 const ExcelJS = require('exceljs'); // For Excel generation
 const { error } = require('console'); // For logging errors cleanly. (Added this for safety)
-
-// --- Firebase Admin SDK Initialization ---
-
-// Path to your service account key file relative to this server.js file
-// Make sure firebase-service-account.json is in the same 'backend' directory.
-const serviceAccount = require('./firebase-service-account.json');
-
-// Initialize Firebase Admin SDK
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-});
-
-// Get Firestore database instance
-const db = admin.firestore();
-console.log('[Backend Init] Firebase Admin SDK initialized and connected to Firestore.');
+const { createStorage, toDate, STALE_WRITE } = require('./storage'); // Repository layer (Firestore or local)
+const { createAuth, hashPassword, verifyPassword } = require('./auth'); // Token authentication and audit access checks
+const { PERMISSIONS, ROLES, ASSESSMENT_FIELDS, isValidRole, getAuditRole, hasPermission } = require('./auth/roles'); // Audit team roles
+const { RESPONSE_REVISION_FIELDS, buildInitialResponse, carryForwardResponse, buildResponseRevision, flattenResponse, validateFieldworkFields, resolveComplianceStatus } = require('./models/responses'); // Response document model
+const { responseEtag, auditEtag, ifMatchSatisfied, ifMatchRevision, summarizeConflicts } = require('./models/concurrency'); // If-Match / ETag checks
+const { parseControlFile, parseControlList, upsertControls } = require('./controlLibrary/importer'); // Control library CSV/XLSX/JSON import
+const { parseCrosswalk, upsertMappings, mappedControls } = require('./controlLibrary/mappings'); // Cross-framework control mappings
+const { ACTIVITY_ACTIONS, AUDIT_DETAIL_FIELDS, RESPONSE_LOGGED_FIELDS, diffFields, diffQuestionResponses, buildActivityEntry, formatActivityValue } = require('./models/activity'); // Audit activity log
+const { createEvidencePolicy, displayFileName, storedFileName, sha256 } = require('./evidence/integrity'); // Evidence type, size and hash checks
+const { createEvidenceLinkSigner } = require('./evidence/links'); // Signed evidence download links
+const { createEvidenceFiles, evidenceKey } = require('./evidence/blobStores'); // Evidence file storage drivers
+const { createEvidenceExpiryPolicy, findExpiringEvidence, toDateString, addDays, daysUntil } = require('./evidence/expiry'); // Evidence validity dates
+const { createExpiryReminderJob } = require('./evidence/expiryReminders'); // Scheduled re-collection reminders
+const { createSearchIndexer } = require('./search/indexer'); // Background evidence text extraction
+const { SEARCHABLE_RESPONSE_FIELDS, tokenize, controlIndexEntry, responseIndexEntries, evidenceEntryId, scoreEntry, buildSnippet } = require('./search/text'); // Search index entries
+const { EVIDENCE_EDITABLE_FIELDS, validateEvidenceFields, validateEvidenceUpdate, evidenceUpdateChanges, validateEvidenceReview, evidenceReviewChanges, unacceptedEvidenceByControl, buildEvidenceRecord, copyEvidenceRecord, carryForwardEvidenceRecord, evidenceItemsForControl, parseLegacyEvidenceId } = require('./models/evidence'); // Evidence records
+const { AUDIT_EDITABLE_FIELDS, validateAuditFields, validateAuditUpdate, auditUpdateChanges, buildNewAudit, isDeleted } = require('./models/audits'); // Audit documents
+const { APPLICABILITY_REASON_LABELS, validateScope, applyScope, buildScope, outOfScopeEntry, scopeRequestOf, applicabilityRows } = require('./models/scope'); // Audit scope and applicability
+const { LIFECYCLE_STATES, getLifecycleState, isLocked, availableTransitions, checkTransition } = require('./models/lifecycle'); // Audit lifecycle states
+const { pinControlVersions, loadAuditControls, loadAuditControl, loadOutOfScopeControls, diffLibraryVersions } = require('./controlLibrary/versions'); // Control versions and audit pinning
+const { buildControlLibraryWorkbook, buildControlLibraryJson } = require('./controlLibrary/exporter'); // Control library export
+const { buildStatementOfApplicability, buildSoaWorkbook, writeSoaPdf } = require('./reports/soa'); // Statement of Applicability
+const { scoreAudit, toAuditScoreFields, toPercent, formatScore, proposeComplianceStatus } = require('./scoring'); // Progress and weighted compliance scoring
+const { compareAudits } = require('./scoring/comparison'); // Year-over-year audit comparison
+const { frameworkCoverage } = require('./scoring/coverage'); // Framework coverage through mappings
+
+// --- Storage Initialization ---
+
+// STORAGE_BACKEND selects where data lives: 'firestore' (default, needs firebase-service-account.json),
+// 'local' (JSON file, see LOCAL_DATA_FILE) or 'memory' (nothing persisted).
+const repos = createStorage();
+console.log(`[Backend Init] Storage initialized using the '${repos.backend}' backend.`);
+
+// --- Authentication Initialization ---
+
+// AUTH_MODE selects how bearer tokens are verified: 'firebase' (Firebase ID tokens, default with Firestore)
+// or 'local' (JWTs issued by /api/auth/login and signed with AUTH_JWT_SECRET).
+const auth = createAuth(repos);
+console.log(`[Backend Init] Authentication initialized in '${auth.mode}' mode.`);
 
 // --- Express Application Setup ---
 
@@ -39,35 +62,40 @@ const PORT = process.env.PORT || 3000;
 // NOTE: Ensure this origin matches your frontend's development server URL.
 app.use(cors({
   origin: ['http://localhost:3001'],
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'Range'],
+  exposedHeaders: ['ETag', 'Content-Disposition', 'Content-Range', 'Accept-Ranges'], // clients send the ETag back in If-Match
 }));
 
 // Middleware to parse JSON request bodies
 app.use(express.json({ limit: '50mb' })); // Increased payload limit to handle large JSON data
 
-// --- Local File Storage Setup (for Evidence Uploads) ---
-
-// Create the 'uploads' directory if it doesn't exist
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir);
-}
-
-// Configure Multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    // Files will be saved in the 'uploads' directory within your backend folder
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    // Generate a unique filename to prevent conflicts
-    // Example: originalname-timestamp.ext
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+// --- Evidence File Storage Setup ---
+
+// Evidence files go to the driver selected by EVIDENCE_STORAGE (local disk, S3 or Firebase Storage)
+const evidenceFiles = createEvidenceFiles();
+const searchIndexer = createSearchIndexer(repos, evidenceFiles);
+
+// Evidence uploads are held in memory until their content has been checked (type, size, hash);
+// only accepted files are stored, under a server-generated name
+const evidencePolicy = createEvidencePolicy();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: evidencePolicy.maxFileSize, files: 1 } });
+const evidenceLinks = createEvidenceLinkSigner();
+const evidenceExpiry = createEvidenceExpiryPolicy();
+const expiryReminders = createExpiryReminderJob(repos, evidenceExpiry);
+
+// Receives the `evidenceFile` part, answering 413 for files over the size limit
+const receiveEvidenceFile = (req, res, next) => upload.single('evidenceFile')(req, res, (err) => {
+  if (err instanceof multer.MulterError) {
+    return err.code === 'LIMIT_FILE_SIZE'
+      ? res.status(413).send(`Evidence files may be at most ${evidencePolicy.maxFileSize / (1024 * 1024)} MB.`)
+      : res.status(400).send(`Invalid evidence upload: ${err.message}.`);
   }
+  return next(err);
 });
-const upload = multer({ storage: storage });
+
+// Control library files are parsed in memory and never stored in 'uploads'
+const controlLibraryUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
 
 // Serve static files from the 'uploads' directory
 // This allows the frontend to access uploaded files via URLs like http://localhost:3000/uploads/filename.png
@@ -80,8 +108,8 @@ app.use('/framework_docs', express.static(frameworkDocsDir));
 console.log(`[Backend Init] Serving framework documents from: ${frameworkDocsDir}`);
 
 
-// --- Helper function to get current timestamp in Firestore Timestamp format ---
-const getTimestamp = () => admin.firestore.Timestamp.now();
+// --- Helper function to get current timestamp in the storage backend's format ---
+const getTimestamp = () => repos.now();
 
 // --- API Endpoints ---
 
@@ -90,14 +118,93 @@ app.get('/api/health', (req, res) => {
   res.status(200).json({ status: 'Backend API is healthy!', timestamp: new Date().toISOString() });
 });
 
+// --- Authentication Endpoints (local mode) ---
+
+// POST: Register a local user. The first user becomes an administrator; afterwards
+// registration is only open when AUTH_ALLOW_REGISTRATION=true or when an administrator calls it.
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    if (auth.mode !== 'local') {
+      return res.status(400).send('User registration is handled by Firebase Authentication in firebase mode.');
+    }
+    const { email, password, name } = req.body;
+    if (!email || !password) {
+      return res.status(400).send('Email and password are required.');
+    }
+    if (password.length < 8) {
+      return res.status(400).send('Password must be at least 8 characters long.');
+    }
+
+    const existingUsers = await repos.users.list();
+    const isFirstUser = existingUsers.length === 0;
+    if (!isFirstUser && process.env.AUTH_ALLOW_REGISTRATION !== 'true') {
+      // Closed registration: only an authenticated administrator may add users
+      const caller = await auth.identify(req);
+      if (!caller || !caller.admin) {
+        return res.status(403).send('Registration is closed. Ask an administrator to create your account.');
+      }
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    if (await repos.users.findByEmail(normalizedEmail)) {
+      return res.status(409).send('A user with this email already exists.');
+    }
+
+    const userId = repos.users.newId();
+    const newUser = {
+      email: normalizedEmail,
+      name: name || null,
+      password_hash: hashPassword(password),
+      is_admin: isFirstUser,
+      created_at: getTimestamp(),
+    };
+    await repos.users.set(userId, newUser);
+    console.log(`[Backend Debug] Registered local user ${normalizedEmail} (admin: ${isFirstUser}).`);
+
+    res.status(201).json({ id: userId, email: newUser.email, name: newUser.name, is_admin: newUser.is_admin });
+  } catch (error) {
+    console.error('[Backend Error] Error registering user:', error);
+    res.status(500).send('Error registering user: ' + error.message);
+  }
+});
+
+// POST: Exchange local credentials for a bearer token
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    if (auth.mode !== 'local') {
+      return res.status(400).send('Sign in with Firebase Authentication and send the ID token in firebase mode.');
+    }
+    const { email, password } = req.body;
+    if (!email || !password) {
+      return res.status(400).send('Email and password are required.');
+    }
+
+    const user = await repos.users.findByEmail(email.trim().toLowerCase());
+    if (!user || !verifyPassword(password, user.password_hash)) {
+      return res.status(401).send('Invalid email or password.');
+    }
+
+    res.status(200).json({
+      token: auth.issueToken(user),
+      user: { id: user.id, email: user.email, name: user.name, is_admin: !!user.is_admin },
+    });
+  } catch (error) {
+    console.error('[Backend Error] Error logging in:', error);
+    res.status(500).send('Error logging in: ' + error.message);
+  }
+});
+
+// GET: The identity behind the current token
+app.get('/api/auth/me', auth.authenticate, (req, res) => {
+  res.status(200).json(req.user);
+});
+
 // --- Frameworks Endpoints ---
 
 // GET all frameworks
-app.get('/api/frameworks', async (req, res) => {
+app.get('/api/frameworks', auth.authenticate, async (req, res) => {
   try {
-    const frameworksRef = db.collection('frameworks');
-    const snapshot = await frameworksRef.get();
-    const frameworks = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const frameworks = await repos.frameworks.list();
     res.status(200).json(frameworks);
   } catch (error) {
     console.error('[Backend Error] Error getting frameworks:', error);
@@ -106,13 +213,13 @@ app.get('/api/frameworks', async (req, res) => {
 });
 
 // GET controls for a specific framework type (e.g., 'Cloud', 'ISMS', 'AI')
-app.get('/api/frameworks/:type/controls', async (req, res) => {
+app.get('/api/frameworks/:type/controls', auth.authenticate, async (req, res) => {
   try {
     const { type } = req.params;
 
     // Step 1: Find all framework IDs that belong to the requested type/domain
-    const frameworksQuerySnapshot = await db.collection('frameworks').where('type', '==', type).get();
-    const frameworkIds = frameworksQuerySnapshot.docs.map(doc => doc.id);
+    const frameworksForType = await repos.frameworks.listByType(type);
+    const frameworkIds = frameworksForType.map(framework => framework.id);
 
     if (frameworkIds.length === 0) {
       console.log(`[Backend Debug] No frameworks found for type: ${type}. Returning empty controls list.`);
@@ -120,9 +227,7 @@ app.get('/api/frameworks/:type/controls', async (req, res) => {
     }
 
     // Step 2: Fetch all controls whose framework_id is in the list of found frameworkIds
-    // Firestore 'in' query supports up to 10 comparison values
-    const controlsQuerySnapshot = await db.collection('controls').where('framework_id', 'in', frameworkIds).get();
-    const controls = controlsQuerySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const controls = await repos.controls.listByFrameworkIds(frameworkIds);
 
     res.status(200).json(controls);
   } catch (error) {
@@ -131,17 +236,60 @@ app.get('/api/frameworks/:type/controls', async (req, res) => {
   }
 });
 
+// GET: Control library versions, newest first (each lists the controls it changed)
+app.get('/api/control-library/versions', auth.authenticate, async (req, res) => {
+  try {
+    const versions = await repos.controlLibraryVersions.list();
+    res.status(200).json(versions);
+  } catch (error) {
+    console.error('[Backend Error] Error getting control library versions:', error);
+    res.status(500).send('Error retrieving control library versions: ' + error.message);
+  }
+});
+
+// GET: What changed in the control library between two versions (?from=&to=&framework_id=).
+// Defaults to the latest version compared with the one before it.
+app.get('/api/control-library/diff', auth.authenticate, async (req, res) => {
+  try {
+    const latest = await repos.controlLibraryVersions.latestVersion();
+    const parseVersion = (value, fallback) => (value === undefined ? fallback : Number(value));
+    const to = parseVersion(req.query.to, latest);
+    const from = parseVersion(req.query.from, Math.max(to - 1, 0));
+    if (![from, to].every(version => Number.isInteger(version) && version >= 0 && version <= latest)) {
+      return res.status(400).send(`from and to must be library versions between 0 and ${latest}.`);
+    }
+    const diff = await diffLibraryVersions(repos, from, to, { frameworkId: req.query.framework_id });
+    res.status(200).json(diff);
+  } catch (error) {
+    console.error('[Backend Error] Error diffing control library versions:', error);
+    res.status(500).send('Error comparing control library versions: ' + error.message);
+  }
+});
+
+// GET: Every recorded version of one control, oldest first
+app.get('/api/frameworks/control/:controlId/versions', auth.authenticate, async (req, res) => {
+  try {
+    const versions = await repos.controlVersions.listForControl(req.params.controlId);
+    if (versions.length === 0 && !(await repos.controls.get(req.params.controlId))) {
+      return res.status(404).send('Control not found.');
+    }
+    res.status(200).json(versions);
+  } catch (error) {
+    console.error('[Backend Error] Error getting control versions:', error);
+    res.status(500).send('Error retrieving control versions: ' + error.message);
+  }
+});
+
 // GET a single control definition by its ID
-app.get('/api/frameworks/control/:controlId', async (req, res) => {
+app.get('/api/frameworks/control/:controlId', auth.authenticate, async (req, res) => {
   try {
     const { controlId } = req.params;
-    const controlDoc = await db.collection('controls').doc(controlId).get();
+    const controlData = await repos.controls.get(controlId);
 
-    if (!controlDoc.exists) {
+    if (!controlData) {
       console.log(`[Backend Debug] Control definition with ID ${controlId} not found.`);
       return res.status(404).send('Control not found.');
     }
-    const controlData = { id: controlDoc.id, ...controlDoc.data() };
     console.log(`\n[Backend Debug] === START Control Definition for ${controlId} ===`);
     console.log(`[Backend Debug] Control ID: ${controlData.id}`);
     console.log(`[Backend Debug] Control Objective: ${controlData.control_objective}`);
@@ -158,357 +306,2322 @@ app.get('/api/frameworks/control/:controlId', async (req, res) => {
     console.log(`[Backend Debug] === END Control Definition for ${controlId} ===\n`);
     res.status(200).json(controlData);
   } catch (error) {
-    console.error('[Backend Error] Error getting single control definition:', error);
-    res.status(500).send('Error retrieving control definition: ' + error.message);
+    console.error('[Backend Error] Error getting single control definition:', error);
+    res.status(500).send('Error retrieving control definition: ' + error.message);
+  }
+});
+
+// GET: Export a framework's control library (?format=xlsx|json) in the layout POST /api/controls/import accepts
+app.get('/api/frameworks/:id/controls/export', auth.authenticate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = (req.query.format || 'xlsx').toLowerCase();
+    if (!['xlsx', 'json'].includes(format)) {
+      return res.status(400).send('Format must be xlsx or json.');
+    }
+
+    const framework = await repos.frameworks.get(id);
+    if (!framework) {
+      return res.status(404).send('Framework not found.');
+    }
+    const controls = await repos.controls.listByFrameworkIds([id]);
+    console.log(`[Backend Debug] Exporting ${controls.length} controls of framework ${id} as ${format}.`);
+
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename=controls_${id}.json`);
+      return res.status(200).json(buildControlLibraryJson(framework, controls, new Date().toISOString()));
+    }
+
+    const workbook = await buildControlLibraryWorkbook(framework, controls);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=controls_${id}.xlsx`);
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    console.error(`[Backend Error] Error exporting controls for framework ${req.params.id}:`, error);
+    res.status(500).send('Error exporting controls: ' + error.message);
+  }
+});
+
+// --- Audits Endpoints ---
+
+// Queues the starting response and control search entry of every control of a new audit;
+// responseFor(control) builds the response
+function queueInitialResponses(batch, auditId, controls, responseFor, now) {
+  controls.forEach(control => {
+    const response = responseFor(control);
+    repos.responses.set(auditId, control.id, response, { batch });
+    console.log(`[Backend Debug]   Control ${control.id} initialized with ${response.question_responses.length} questions.`);
+    const { id: entryId, entry } = controlIndexEntry(control, now);
+    repos.searchIndex.set(auditId, entryId, entry, { batch });
+    responseIndexEntries(response, now).set.forEach(({ id, entry: responseEntry }) => repos.searchIndex.set(auditId, id, responseEntry, { batch }));
+  });
+}
+
+// The frameworks and controls an audit covers: the frameworks of its domain type (or the scope's
+// framework_ids), narrowed by the scope. Returns { frameworkIds, controls, inScope, outOfScope } or
+// { status, error }. Scope entries that match no control are refused unless `lenient` (follow-up
+// audits, where the library may have changed since the scope was defined).
+async function resolveAuditScope(domainType, scope, { lenient = false } = {}) {
+  let frameworkIds;
+  if (scope && scope.framework_ids) {
+    const frameworks = await Promise.all(scope.framework_ids.map(id => repos.frameworks.get(id)));
+    const unknown = scope.framework_ids.filter((id, idx) => !frameworks[idx]);
+    if (unknown.length > 0) {
+      return { status: 400, error: `Unknown framework IDs in scope: ${unknown.join(', ')}.` };
+    }
+    frameworkIds = scope.framework_ids;
+  } else {
+    frameworkIds = (await repos.frameworks.listByType(domainType)).map(framework => framework.id);
+    if (frameworkIds.length === 0) {
+      return { status: 404, error: `No frameworks found for domain type: ${domainType}. Cannot create audit.` };
+    }
+  }
+  const controls = await repos.controls.listByFrameworkIds(frameworkIds);
+  const { inScope, outOfScope, unmatched } = applyScope(controls, scope);
+  if (unmatched.length > 0 && !lenient) {
+    return { status: 400, error: `These scope entries match no control of the audited frameworks: ${unmatched.join(', ')}.` };
+  }
+  if (inScope.length === 0) {
+    return { status: 400, error: 'The scope leaves no controls to audit.' };
+  }
+  return { frameworkIds, controls, inScope, outOfScope };
+}
+
+// Pins the versions of all controls of a resolved scope on the batch. The in-scope controls become
+// the audit's pinned controls; the out-of-scope ones are recorded on the stored scope (null when
+// the request had no scope). Returns { pinned_control_versions, control_library_version, scope }.
+async function pinScopedControls(req, batch, resolved, scopeRequest, now) {
+  const { pinned_control_versions: pinned, control_library_version } = await pinControlVersions(repos, resolved.controls, { batch });
+  return {
+    pinned_control_versions: Object.fromEntries(resolved.inScope.map(control => [control.id, pinned[control.id]])),
+    control_library_version,
+    scope: scopeRequest ? buildScope(scopeRequest, {
+      frameworkIds: resolved.frameworkIds,
+      outOfScope: resolved.outOfScope,
+      pinned,
+      definedBy: uploaderFromRequest(req),
+      now,
+    }) : null,
+  };
+}
+
+// UPDATED LOGIC FOR CREATING A NEW AUDIT (NOW ACCEPTS domain_type AND CLIENT DETAILS)
+// The owner is always the authenticated caller and leads the audit; `members` is an optional
+// list of { user_id, role } entries for the rest of the team. An optional `scope` narrows the
+// controls (see models/scope): { framework_ids, framework_rationale, controls, controls_rationale,
+// exclusions: [{ control_id, rationale }] }.
+app.post('/api/audits', auth.authenticate, async (req, res) => {
+  try {
+    console.log('[Backend Debug] Received audit creation request. Body:', req.body);
+    const {
+      title,
+      domain_type,
+      members,
+      client_company_name,
+    } = req.body;
+
+    if (!title || !domain_type || !client_company_name) {
+      console.error('[Backend Error] Audit creation validation failed: Missing required fields (title, domain_type, client_company_name).', { title, domain_type, client_company_name });
+      return res.status(400).send('Title, domain type, and client company name are required.');
+    }
+    if (members !== undefined && (!Array.isArray(members) || members.some(m => !m || typeof m.user_id !== 'string' || !isValidRole(m.role)))) {
+      return res.status(400).send(`Members must be an array of { user_id, role } with role one of: ${Object.values(ROLES).join(', ')}.`);
+    }
+    const fieldError = validateAuditFields(req.body) || validateScope(req.body.scope);
+    if (fieldError) {
+      return res.status(400).send(fieldError);
+    }
+    const userId = req.user.uid;
+    const invitees = await Promise.all((members || []).filter(m => m.user_id !== userId).map(async m => ({ ...m, user: await auth.findUserById(m.user_id) })));
+    const unknown = invitees.filter(m => !m.user).map(m => m.user_id);
+    if (unknown.length > 0) {
+      return res.status(400).send(`No registered user found with ID ${unknown.join(', ')}.`);
+    }
+
+    // The team is stored as a role map plus a flat ID list that can be queried
+    const teamMembers = {
+      [userId]: { role: ROLES.LEAD_AUDITOR, email: req.user.email, name: req.user.name, added_by: userId, added_at: getTimestamp() },
+    };
+    invitees.forEach(m => {
+      teamMembers[m.user_id] = { role: m.role, email: m.user.email, name: m.user.name, added_by: userId, added_at: getTimestamp() };
+    });
+
+    const resolved = await resolveAuditScope(domain_type, req.body.scope || null);
+    if (resolved.error) {
+      console.error(`[Backend Error] Audit creation failed: ${resolved.error}`);
+      return res.status(resolved.status).send(resolved.error);
+    }
+    const frameworksAuditedIds = resolved.frameworkIds;
+    const allControlsForDomain = resolved.inScope;
+
+    const newAudit = buildNewAudit({
+      ownerId: userId,
+      members: teamMembers,
+      details: req.body,
+      domainType: domain_type,
+      frameworkIds: frameworksAuditedIds,
+      totalControls: allControlsForDomain.length,
+      now: getTimestamp(),
+    });
+
+    const auditId = repos.audits.newId();
+    const batch = repos.batch();
+    // Pin the control versions the audit starts from; later library edits do not change it
+    Object.assign(newAudit, await pinScopedControls(req, batch, resolved, req.body.scope || null, newAudit.created_at));
+    repos.audits.set(auditId, newAudit, { batch });
+    repos.activity.add(auditId, buildActivityEntry(req, {
+      action: ACTIVITY_ACTIONS.AUDIT_CREATE,
+      changes: diffFields({}, newAudit, AUDIT_DETAIL_FIELDS),
+      details: { frameworks_audited: frameworksAuditedIds, total_controls: allControlsForDomain.length, out_of_scope_controls: resolved.outOfScope.length },
+      at: newAudit.created_at,
+    }), { batch });
+
+    console.log(`\n[Backend Debug] === START Initializing Responses for New Audit ${auditId} ===`);
+    queueInitialResponses(batch, auditId, allControlsForDomain, buildInitialResponse, newAudit.created_at);
+    await batch.commit();
+    console.log(`[Backend Debug] === END Initializing Responses for New Audit ${auditId} ===\n`);
+
+    res.set('ETag', auditEtag(newAudit));
+    res.status(201).json({ id: auditId, ...newAudit });
+  } catch (error) {
+    console.error('[Backend Error] Error creating audit:', error);
+    res.status(500).send('Error creating audit: ' + error.message);
+  }
+});
+
+// GET: Get all audits the authenticated user owns or collaborates on; ?deleted=true lists the
+// deleted ones the user may restore instead
+app.get('/api/audits', auth.authenticate, async (req, res) => {
+  try {
+    if (req.query.deleted === 'true') {
+      const deleted = await repos.audits.listAccessibleByUser(req.user.uid, { deleted: true });
+      return res.status(200).json(deleted.filter(audit => hasPermission(req.user, audit, PERMISSIONS.MANAGE_AUDIT)));
+    }
+    const audits = await repos.audits.listAccessibleByUser(req.user.uid);
+    res.status(200).json(audits);
+  } catch (error) {
+    console.error('[Backend Error] Error getting audits for user:', error);
+    res.status(500).send('Error retrieving audits: ' + error.message);
+  }
+});
+
+const SEARCH_DEFAULT_LIMIT = 50;
+const SEARCH_MAX_LIMIT = 200;
+
+// GET: Full-text search (?q=) over control text, response free text and extracted evidence text of
+// the audits the caller can see; ?audit_id= narrows it to one audit. Every query word must match.
+app.get('/api/search', auth.authenticate, async (req, res) => {
+  try {
+    const terms = Array.from(new Set(tokenize(req.query.q)));
+    if (terms.length === 0) {
+      return res.status(400).send('q must contain at least one word of two or more letters or digits.');
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SEARCH_DEFAULT_LIMIT, 1), SEARCH_MAX_LIMIT);
+
+    // Administrators may see every audit, everyone else the audits they own or work on
+    let audits = req.user.admin ? await repos.audits.list() : await repos.audits.listAccessibleByUser(req.user.uid);
+    audits = audits.filter(audit => !isDeleted(audit) && hasPermission(req.user, audit, PERMISSIONS.VIEW));
+    if (req.query.audit_id) {
+      audits = audits.filter(audit => audit.id === req.query.audit_id);
+    }
+
+    // Candidates come from the longest term, usually the most selective one
+    const lookupTerm = terms.reduce((longest, term) => (term.length > longest.length ? term : longest));
+    const hits = [];
+    for (const audit of audits) {
+      (await repos.searchIndex.findByTerm(audit.id, lookupTerm)).forEach(entry => {
+        const score = scoreEntry(entry, terms);
+        if (score > 0) hits.push({ audit, entry, score });
+      });
+    }
+    hits.sort((a, b) => b.score - a.score);
+
+    res.status(200).json({
+      query: req.query.q,
+      total: hits.length,
+      results: hits.slice(0, limit).map(({ audit, entry, score }) => ({
+        audit_id: audit.id,
+        audit_title: audit.title,
+        client_company_name: audit.client_company_name || null,
+        control_id: entry.control_id,
+        source: entry.source,
+        field: entry.field,
+        evidence_id: entry.evidence_id,
+        label: entry.label,
+        snippet: buildSnippet(entry.text, terms),
+        score,
+      })),
+    });
+  } catch (error) {
+    console.error('[Backend Error] Error searching:', error);
+    res.status(500).send('Error searching: ' + error.message);
+  }
+});
+
+// GET: Get a single audit by ID (with its responses)
+app.get('/api/audits/:id', auth.authenticate, auth.requireAuditAccess('id'), async (req, res) => {
+  try {
+    const auditId = req.params.id;
+    const auditData = req.audit;
+
+    const allControlsForAudit = await loadAuditControls(repos, auditData);
+    const auditResponses = await repos.responses.list(auditId);
+    const evidenceRecords = await repos.evidence.list(auditId);
+    const scoring = scoreAudit(allControlsForAudit, auditResponses, evidenceScoringOptions(auditData, evidenceRecords));
+    // The scores are returned as computed; they are persisted by the write paths (and by
+    // `node rescoreAudits.js` for audits stored before compliance scoring existed)
+    Object.assign(auditData, toAuditScoreFields(scoring));
+
+    const controlScores = new Map(scoring.controls.map(c => [c.control_id, c]));
+    auditData.responses = auditResponses.map(responseData => ({
+      ...responseData,
+      control_score: toPercent(controlScores.get(responseData.control_id)?.score),
+      unaccepted_evidence: controlScores.get(responseData.control_id)?.unaccepted_evidence || 0,
+    }));
+
+    // Review state of the evidence; rejected items and open questions are listed with the reviewer's
+    // comment so the respondent sees what to fix
+    const reviewCount = (status) => evidenceRecords.filter(record => record.review_status === status).length;
+    auditData.evidence_review = {
+      required: auditData.evidence_review_required === true,
+      pending: reviewCount('Pending Review'),
+      accepted: reviewCount('Accepted'),
+      rejected: reviewCount('Rejected'),
+      needs_clarification: reviewCount('Needs Clarification'),
+      items: evidenceRecords
+        .filter(record => ['Rejected', 'Needs Clarification'].includes(record.review_status))
+        .map(record => ({
+          evidence_id: record.id,
+          control_id: record.control_id,
+          question_index: record.question_index,
+          filename: record.filename,
+          review_status: record.review_status,
+          review_comment: record.review_comment,
+          reviewed_by: record.reviewed_by,
+          reviewed_at: record.reviewed_at,
+        })),
+    };
+
+    // Items carried forward from the previous audit that the respondent has yet to confirm
+    if (auditData.previous_audit_id) {
+      auditData.reconfirmation = {
+        responses: auditResponses.filter(response => response.needs_reconfirmation).map(response => response.control_id || response.id),
+        evidence: evidenceRecords.filter(record => record.needs_reconfirmation).map(record => ({
+          evidence_id: record.id,
+          control_id: record.control_id,
+          filename: record.filename,
+        })),
+      };
+    }
+
+    // Unanswered controls whose mapped controls in another framework of the audit have something
+    // to offer (see GET /api/audits/:id/responses/:controlId/mappings)
+    const mappings = await loadAuditMappings(allControlsForAudit);
+    if (mappings.length > 0) {
+      const responses = responsesByControl(auditResponses);
+      auditData.mapping_offers = allControlsForAudit
+        .filter(control => (responses.get(control.id)?.compliance_status || 'Not Answered') === 'Not Answered')
+        .map(control => ({
+          control_id: control.id,
+          from: mappingOffersFor(control.id, { mappings, responses, evidenceRecords })
+            .map(offer => ({ control_id: offer.control_id, relationship: offer.relationship })),
+        }))
+        .filter(entry => entry.from.length > 0);
+    }
+
+    // Evidence that has expired or expires within EVIDENCE_EXPIRY_WARNING_DAYS, flagged for the audit view
+    const today = toDateString(new Date());
+    const dueEvidence = (await repos.evidence.listValidUntil(auditId, addDays(today, evidenceExpiry.warningDays))).map(withExpiry);
+    auditData.evidence_expiry = {
+      warning_days: evidenceExpiry.warningDays,
+      expired: dueEvidence.filter(record => record.expiry_status === 'expired').length,
+      expiring: dueEvidence.filter(record => record.expiry_status === 'expiring').length,
+      items: dueEvidence
+        .sort((a, b) => a.valid_until.localeCompare(b.valid_until))
+        .map(record => ({
+          evidence_id: record.id,
+          control_id: record.control_id,
+          filename: record.filename,
+          valid_until: record.valid_until,
+          expiry_status: record.expiry_status,
+          days_until_expiry: record.days_until_expiry,
+        })),
+    };
+
+    res.set('ETag', auditEtag(auditData));
+    res.status(200).json(auditData);
+  } catch (error) {
+    console.error('[Backend Error] Error getting audit by ID:', error);
+    res.status(500).send('Error retrieving audit: ' + error.message);
+  }
+});
+
+// PUT: Update the audit's details (title, description, client fields, evidence_review_required).
+// Only the fields sent are changed; If-Match with the audit's ETag guards against lost updates.
+app.put('/api/audits/:id', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.MANAGE_AUDIT), async (req, res) => {
+  try {
+    const audit = req.audit;
+    if (isLocked(audit)) {
+      return res.status(409).send(`The audit is ${getLifecycleState(audit)}; its details can no longer be changed.`);
+    }
+    const validationError = validateAuditUpdate(req.body);
+    if (validationError) {
+      return res.status(400).send(validationError);
+    }
+    const changes = auditUpdateChanges(req.body);
+    const fields = {};
+    Object.keys(changes).forEach(field => {
+      fields[field] = { current: audit[field] ?? null, submitted: changes[field] };
+    });
+    if (rejectStaleAuditWrite(req, res, fields)) {
+      return;
+    }
+
+    const updated = { ...audit, ...changes, metadata_version: nextMetadataVersion(audit), updated_at: getTimestamp() };
+    const batch = repos.batch();
+    repos.audits.update(audit.id, { ...changes, metadata_version: updated.metadata_version, updated_at: updated.updated_at }, { batch });
+    repos.activity.add(audit.id, buildActivityEntry(req, {
+      action: ACTIVITY_ACTIONS.AUDIT_UPDATE,
+      changes: diffFields(audit, updated, Object.keys(AUDIT_EDITABLE_FIELDS)),
+      at: updated.updated_at,
+    }), { batch });
+    if (!(await commitAuditWrite(req, res, batch, fields))) {
+      return;
+    }
+    // Requiring reviewed evidence (or no longer) changes which controls count as complete
+    if ('evidence_review_required' in changes && changes.evidence_review_required !== !!audit.evidence_review_required) {
+      const scoring = scoreAudit(await loadAuditControls(repos, updated), await repos.responses.list(audit.id), await loadEvidenceScoringOptions(updated));
+      Object.assign(updated, toAuditScoreFields(scoring));
+      await repos.audits.update(audit.id, toAuditScoreFields(scoring));
+    }
+    console.log(`[Backend Debug] Audit ${audit.id} details updated: ${Object.keys(changes).join(', ')}.`);
+
+    res.set('ETag', auditEtag(updated));
+    res.status(200).json(updated);
+  } catch (error) {
+    console.error('[Backend Error] Error updating audit:', error);
+    res.status(500).send('Error updating audit: ' + error.message);
+  }
+});
+
+// Queues the soft-delete marker (a timestamp, or null to restore) on the audit's responses and
+// evidence records
+async function queueDeletedMarker(batch, auditId, deletedAt) {
+  (await repos.responses.list(auditId)).forEach(response => {
+    repos.responses.set(auditId, response.id, { deleted_at: deletedAt }, { merge: true, batch });
+  });
+  (await repos.evidence.list(auditId)).forEach(record => {
+    repos.evidence.set(auditId, record.id, { deleted_at: deletedAt }, { merge: true, batch });
+  });
+}
+
+// DELETE: Soft-delete an audit. The audit, its responses and evidence are marked deleted and hidden
+// from every route; evidence files are kept so POST /api/audits/:id/restore brings it all back.
+app.delete('/api/audits/:id', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.MANAGE_AUDIT), async (req, res) => {
+  try {
+    const audit = req.audit;
+    const staleFields = { deleted_at: { current: null, submitted: 'deleted' } };
+    if (rejectStaleAuditWrite(req, res, staleFields)) {
+      return;
+    }
+
+    const deletedAt = getTimestamp();
+    const batch = repos.batch();
+    repos.audits.update(audit.id, {
+      deleted_at: deletedAt,
+      deleted_by: uploaderFromRequest(req),
+      metadata_version: nextMetadataVersion(audit),
+      updated_at: deletedAt,
+    }, { batch });
+    await queueDeletedMarker(batch, audit.id, deletedAt);
+    repos.activity.add(audit.id, buildActivityEntry(req, {
+      action: ACTIVITY_ACTIONS.AUDIT_DELETE,
+      details: { lifecycle_state: getLifecycleState(audit) },
+      at: deletedAt,
+    }), { batch });
+    if (!(await commitAuditWrite(req, res, batch, staleFields))) {
+      return;
+    }
+    console.log(`[Backend Debug] Audit ${audit.id} deleted by ${req.user.uid}.`);
+
+    res.status(200).json({ message: 'Audit deleted. It can be restored with POST /api/audits/:id/restore.', id: audit.id });
+  } catch (error) {
+    console.error('[Backend Error] Error deleting audit:', error);
+    res.status(500).send('Error deleting audit: ' + error.message);
+  }
+});
+
+// POST: Restore a soft-deleted audit with its responses and evidence
+app.post('/api/audits/:id/restore', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.MANAGE_AUDIT, { allowDeleted: true }), async (req, res) => {
+  try {
+    const audit = req.audit;
+    if (!isDeleted(audit)) {
+      return res.status(409).send('The audit is not deleted.');
+    }
+
+    const metadataVersion = nextMetadataVersion(audit);
+    const batch = repos.batch();
+    repos.audits.update(audit.id, { deleted_at: null, deleted_by: null, metadata_version: metadataVersion, updated_at: getTimestamp() }, { batch });
+    await queueDeletedMarker(batch, audit.id, null);
+    repos.activity.add(audit.id, buildActivityEntry(req, {
+      action: ACTIVITY_ACTIONS.AUDIT_RESTORE,
+      details: { deleted_at: audit.deleted_at, deleted_by: audit.deleted_by || null },
+      at: getTimestamp(),
+    }), { batch });
+    await batch.commit();
+    console.log(`[Backend Debug] Audit ${audit.id} restored by ${req.user.uid}.`);
+
+    const restored = await repos.audits.get(audit.id);
+    res.set('ETag', auditEtag(restored));
+    res.status(200).json(restored);
+  } catch (error) {
+    console.error('[Backend Error] Error restoring audit:', error);
+    res.status(500).send('Error restoring audit: ' + error.message);
+  }
+});
+
+// The team of an audit started from `source`: the source's members (unless includeMembers is false)
+// with its owner kept as a lead auditor, and the caller as owner and lead auditor
+function teamFromSource(req, source, includeMembers, now) {
+  const userId = req.user.uid;
+  const teamMembers = {};
+  if (includeMembers) {
+    Object.entries(source.members || {}).forEach(([memberId, member]) => {
+      teamMembers[memberId] = { ...member, added_by: userId, added_at: now };
+    });
+    // The previous owner stays on the team as a lead auditor
+    if (source.user_id !== userId) {
+      teamMembers[source.user_id] = { ...(teamMembers[source.user_id] || {}), role: ROLES.LEAD_AUDITOR, added_by: userId, added_at: now };
+    }
+  }
+  teamMembers[userId] = { role: ROLES.LEAD_AUDITOR, email: req.user.email, name: req.user.name, added_by: userId, added_at: now };
+  return teamMembers;
+}
+
+// Details of an audit started from `source`: its description and client fields under a new
+// default title, overridden by the editable fields of the request body
+const detailsFromSource = (source, title, body) => ({
+  title,
+  description: source.description,
+  client_company_name: source.client_company_name,
+  client_spoc_name: source.client_spoc_name,
+  client_spoc_email: source.client_spoc_email,
+  client_spoc_phone: source.client_spoc_phone,
+  evidence_review_required: source.evidence_review_required === true,
+  ...auditUpdateChanges(body),
+});
+
+// The starting response of a control with the previous audit's answers carried forward and the
+// compliance status they propose
+const carriedResponse = (control, previous, sourceAuditId, options) => {
+  const response = carryForwardResponse(control, previous, sourceAuditId, options);
+  const proposal = proposeComplianceStatus(control, response.question_responses);
+  return { ...response, proposed_compliance_status: proposal.status, proposed_findings: proposal.findings };
+};
+
+// POST: Start a new engagement from an existing audit. The copy has the same controls (the same
+// pinned versions), client details and team, and starts in Draft with the caller as lead auditor.
+// Body: optional new details (title defaults to "<title> (copy)"), carry_forward_answers (default
+// false: start with empty questionnaires) and include_members (default true).
+app.post('/api/audits/:id/duplicate', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.MANAGE_AUDIT), async (req, res) => {
+  try {
+    const source = req.audit;
+    const { carry_forward_answers = false, include_members = true } = req.body;
+    if (typeof carry_forward_answers !== 'boolean' || typeof include_members !== 'boolean') {
+      return res.status(400).send('carry_forward_answers and include_members must be true or false.');
+    }
+    const validationError = validateAuditFields(req.body);
+    if (validationError) {
+      return res.status(400).send(validationError);
+    }
+
+    const now = getTimestamp();
+    const controls = await loadAuditControls(repos, source);
+    const newAudit = buildNewAudit({
+      ownerId: req.user.uid,
+      members: teamFromSource(req, source, include_members, now),
+      details: detailsFromSource(source, `${source.title} (copy)`, req.body),
+      domainType: source.domain_type,
+      frameworkIds: source.frameworks_audited || [],
+      totalControls: controls.length,
+      scope: source.scope || null,
+      now,
+    });
+    newAudit.duplicated_from = { audit_id: source.id, title: source.title, answers_carried_forward: carry_forward_answers };
+
+    const auditId = repos.audits.newId();
+    const batch = repos.batch();
+    if (source.pinned_control_versions && Object.keys(source.pinned_control_versions).length > 0) {
+      newAudit.pinned_control_versions = source.pinned_control_versions;
+      newAudit.control_library_version = source.control_library_version ?? null;
+    } else {
+      Object.assign(newAudit, await pinControlVersions(repos, controls, { batch }));
+    }
+
+    const previousResponses = new Map((await repos.responses.list(source.id)).map(response => [response.control_id || response.id, response]));
+    const responseFor = (control) => (carry_forward_answers
+      ? carriedResponse(control, previousResponses.get(control.id), source.id)
+      : buildInitialResponse(control));
+    const responses = controls.map(control => ({ control, response: responseFor(control) }));
+    Object.assign(newAudit, toAuditScoreFields(scoreAudit(controls, responses.map(({ response }) => response))));
+
+    repos.audits.set(auditId, newAudit, { batch });
+    repos.activity.add(auditId, buildActivityEntry(req, {
+      action: ACTIVITY_ACTIONS.AUDIT_CREATE,
+      changes: diffFields({}, newAudit, AUDIT_DETAIL_FIELDS),
+      details: { duplicated_from: source.id, answers_carried_forward: carry_forward_answers, total_controls: controls.length },
+      at: now,
+    }), { batch });
+    const responsesByControl = new Map(responses.map(({ control, response }) => [control.id, response]));
+    queueInitialResponses(batch, auditId, controls, control => responsesByControl.get(control.id), now);
+    await batch.commit();
+    console.log(`[Backend Debug] Audit ${source.id} duplicated as ${auditId} (answers ${carry_forward_answers ? 'carried forward' : 'not carried'}).`);
+
+    res.set('ETag', auditEtag(newAudit));
+    res.status(201).json({ id: auditId, ...newAudit });
+  } catch (error) {
+    console.error('[Backend Error] Error duplicating audit:', error);
+    res.status(500).send('Error duplicating audit: ' + error.message);
+  }
+});
+
+// Why evidence of the previous audit is not carried into a follow-up, or null when it is: expired
+// and rejected evidence has to be collected again, and evidence of controls that left the library
+// has nowhere to go
+function evidenceNotCarriedReason(record, controlIds, today) {
+  if (!controlIds.has(record.control_id)) return 'control_removed';
+  if (record.review_status === 'Rejected') return 'rejected';
+  if (record.valid_until && daysUntil(record.valid_until, today) < 0) return 'expired';
+  return null;
+}
+
+// Stores a copy of an evidence record's file under an audit. Returns the copy's path, or null when
+// the original file is missing.
+async function copyEvidenceFile(record, auditId) {
+  const { store, key } = evidenceFiles.locate(record.path);
+  const content = await store.read(key);
+  if (!content) {
+    console.warn(`[Backend Warning] Evidence file ${record.path} is missing; not copied.`);
+    return null;
+  }
+  const copyPath = evidenceKey(auditId, storedFileName(path.extname(record.path)));
+  await evidenceFiles.store.put(copyPath, content, { contentType: record.mimetype });
+  return copyPath;
+}
+
+// Copies the still-valid evidence of `source` into the follow-up audit: every file is stored again
+// under the new audit and gets a carried-forward record queued on the batch. A question index is
+// kept when the question still has the same text. Returns { carried: [{ id, record }], skipped,
+// copiedPaths }; copiedPaths are removed again when the batch fails.
+async function queueCarriedEvidence(batch, { source, sourceControls, auditId, controls }) {
+  const today = toDateString(new Date());
+  const controlsById = new Map(controls.map(control => [control.id, control]));
+  const sourceControlsById = new Map(sourceControls.map(control => [control.id, control]));
+  const carried = [];
+  const skipped = [];
+  const copiedPaths = [];
+  for (const record of await repos.evidence.list(source.id)) {
+    const reason = evidenceNotCarriedReason(record, new Set(controlsById.keys()), today);
+    if (reason) {
+      skipped.push({ evidence_id: record.id, control_id: record.control_id, filename: record.filename, reason });
+      continue;
+    }
+    const copyPath = await copyEvidenceFile(record, auditId);
+    if (!copyPath) {
+      skipped.push({ evidence_id: record.id, control_id: record.control_id, filename: record.filename, reason: 'file_missing' });
+      continue;
+    }
+    copiedPaths.push(copyPath);
+
+    const questionText = (control) => (control?.questionnaires || [])[record.question_index ?? -1]?.question_text;
+    const currentQuestion = questionText(controlsById.get(record.control_id));
+    const keepsQuestion = currentQuestion !== undefined && currentQuestion === questionText(sourceControlsById.get(record.control_id));
+    const id = repos.evidence.newId(auditId);
+    const carriedRecord = carryForwardEvidenceRecord(record, {
+      sourceAuditId: source.id,
+      path: copyPath,
+      questionIndex: keepsQuestion ? record.question_index : null,
+    });
+    repos.evidence.set(auditId, id, carriedRecord, { batch });
+    carried.push({ id, record: carriedRecord });
+  }
+  return { carried, skipped, copiedPaths };
+}
+
+// POST: Start the follow-up audit of an existing one (e.g. next year's assessment of the same
+// client). It uses the domain's current controls, carries the previous answers, justifications and
+// still-valid evidence forward and marks every carried item needs_reconfirmation. Body: optional
+// new details (title defaults to "<title> (follow-up)"), include_members (default true) and scope
+// (default: the previous audit's scope, applied to the current library).
+app.post('/api/audits/:id/follow-up', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.MANAGE_AUDIT), async (req, res) => {
+  const copiedPaths = [];
+  try {
+    const source = req.audit;
+    const { include_members = true } = req.body;
+    if (typeof include_members !== 'boolean') {
+      return res.status(400).send('include_members must be true or false.');
+    }
+    const validationError = validateAuditFields(req.body) || validateScope(req.body.scope);
+    if (validationError) {
+      return res.status(400).send(validationError);
+    }
+
+    const scopeRequest = req.body.scope || scopeRequestOf(source.scope);
+    const resolved = await resolveAuditScope(source.domain_type, scopeRequest, { lenient: !req.body.scope });
+    if (resolved.error) {
+      return res.status(resolved.status).send(resolved.error);
+    }
+    const { frameworkIds, inScope: controls } = resolved;
+    const sourceControls = await loadAuditControls(repos, source);
+
+    const now = getTimestamp();
+    const newAudit = buildNewAudit({
+      ownerId: req.user.uid,
+      members: teamFromSource(req, source, include_members, now),
+      details: detailsFromSource(source, `${source.title} (follow-up)`, req.body),
+      domainType: source.domain_type,
+      frameworkIds,
+      totalControls: controls.length,
+      now,
+    });
+    newAudit.previous_audit_id = source.id;
+    newAudit.follow_up_of = { audit_id: source.id, title: source.title };
+
+    const auditId = repos.audits.newId();
+    const batch = repos.batch();
+    Object.assign(newAudit, await pinScopedControls(req, batch, resolved, scopeRequest, now));
+
+    const previousResponses = new Map((await repos.responses.list(source.id)).map(response => [response.control_id || response.id, response]));
+    const responses = controls.map(control => ({
+      control,
+      response: carriedResponse(control, previousResponses.get(control.id), source.id, { reconfirm: true }),
+    }));
+    const evidence = await queueCarriedEvidence(batch, { source, sourceControls, auditId, controls });
+    copiedPaths.push(...evidence.copiedPaths);
+    const carriedRecords = evidence.carried.map(({ id, record }) => ({ id, ...record }));
+    Object.assign(newAudit, toAuditScoreFields(scoreAudit(controls, responses.map(({ response }) => response), evidenceScoringOptions(newAudit, carriedRecords))));
+
+    const carriedForward = {
+      responses: responses.filter(({ response }) => response.needs_reconfirmation).length,
+      evidence: evidence.carried.length,
+      evidence_not_carried: evidence.skipped,
+    };
+    repos.audits.set(auditId, newAudit, { batch });
+    repos.activity.add(auditId, buildActivityEntry(req, {
+      action: ACTIVITY_ACTIONS.AUDIT_CREATE,
+      changes: diffFields({}, newAudit, AUDIT_DETAIL_FIELDS),
+      details: {
+        follow_up_of: source.id,
+        total_controls: controls.length,
+        carried_responses: carriedForward.responses,
+        carried_evidence: carriedForward.evidence,
+        evidence_not_carried: evidence.skipped.length,
+      },
+      at: now,
+    }), { batch });
+    const responsesByControl = new Map(responses.map(({ control, response }) => [control.id, response]));
+    queueInitialResponses(batch, auditId, controls, control => responsesByControl.get(control.id), now);
+    await batch.commit();
+    evidence.carried.forEach(({ id }) => searchIndexer.enqueueEvidence(auditId, id));
+    console.log(`[Backend Debug] Follow-up audit ${auditId} created from ${source.id} (${carriedForward.responses} responses, ${carriedForward.evidence} evidence files carried).`);
+
+    res.set('ETag', auditEtag(newAudit));
+    res.status(201).json({ id: auditId, ...newAudit, carried_forward: carriedForward });
+  } catch (error) {
+    copiedPaths.forEach(deleteEvidenceFile);
+    console.error('[Backend Error] Error creating follow-up audit:', error);
+    res.status(500).send('Error creating follow-up audit: ' + error.message);
+  }
+});
+
+// Compares an audit with a previous one the caller can view: { comparison } or { status, error }
+async function loadAuditComparison(req, audit, previousAuditId) {
+  if (!previousAuditId) {
+    return { status: 400, error: 'The audit is not a follow-up audit; give the audit to compare with as previous_audit_id.' };
+  }
+  if (previousAuditId === audit.id) {
+    return { status: 400, error: 'An audit cannot be compared with itself.' };
+  }
+  const previousAudit = await repos.audits.get(previousAuditId);
+  if (!previousAudit || isDeleted(previousAudit) || !hasPermission(req.user, previousAudit, PERMISSIONS.VIEW)) {
+    return { status: 404, error: `Previous audit ${previousAuditId} not found.` };
+  }
+  if (previousAudit.domain_type !== audit.domain_type) {
+    return { status: 400, error: `Audits of different domains cannot be compared (${previousAudit.domain_type} and ${audit.domain_type}).` };
+  }
+  const side = async (sideAudit) => ({
+    audit: sideAudit,
+    controls: await loadAuditControls(repos, sideAudit),
+    responses: await repos.responses.list(sideAudit.id),
+  });
+  return { comparison: compareAudits(await side(previousAudit), await side(audit)) };
+}
+
+// GET: Year-over-year comparison of the audit with the audit it follows up (or ?previous_audit_id=):
+// per control the status in both audits and whether it improved, regressed or stayed the same
+app.get('/api/audits/:id/comparison', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.VIEW), async (req, res) => {
+  try {
+    const result = await loadAuditComparison(req, req.audit, req.query.previous_audit_id || req.audit.previous_audit_id);
+    if (result.error) {
+      return res.status(result.status).send(result.error);
+    }
+    res.status(200).json(result.comparison);
+  } catch (error) {
+    console.error('[Backend Error] Error comparing audits:', error);
+    res.status(500).send('Error comparing audits: ' + error.message);
+  }
+});
+
+// GET: The control definitions an audit was created against (its pinned versions)
+app.get('/api/audits/:id/controls', auth.authenticate, auth.requireAuditAccess('id'), async (req, res) => {
+  try {
+    const controls = await loadAuditControls(repos, req.audit);
+    res.status(200).json(controls.sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true })));
+  } catch (error) {
+    console.error('[Backend Error] Error getting audit controls:', error);
+    res.status(500).send('Error retrieving audit controls: ' + error.message);
+  }
+});
+
+// GET: The audit's scope and a Statement-of-Applicability-style table: every control of the
+// audited frameworks with whether it applies and the recorded rationale
+app.get('/api/audits/:id/scope', auth.authenticate, auth.requireAuditAccess('id'), async (req, res) => {
+  try {
+    const rows = applicabilityRows(req.audit, await loadAuditControls(repos, req.audit), await loadOutOfScopeControls(repos, req.audit));
+    res.status(200).json({
+      scope: req.audit.scope || null,
+      summary: {
+        total: rows.length,
+        applicable: rows.filter(row => row.applicable).length,
+        not_applicable: rows.filter(row => !row.applicable).length,
+      },
+      applicability: rows,
+    });
+  } catch (error) {
+    console.error('[Backend Error] Error getting audit scope:', error);
+    res.status(500).send('Error retrieving audit scope: ' + error.message);
+  }
+});
+
+// GET: Coverage of each framework of the audit: controls satisfied by their own assessment and,
+// while unassessed, through mapped controls of the audit's other frameworks
+app.get('/api/audits/:id/coverage', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.VIEW), async (req, res) => {
+  try {
+    const controls = await loadAuditControls(repos, req.audit);
+    const responses = responsesByControl(await repos.responses.list(req.audit.id));
+    res.status(200).json({ audit_id: req.audit.id, ...frameworkCoverage(controls, responses, await loadAuditMappings(controls)) });
+  } catch (error) {
+    console.error('[Backend Error] Error getting audit coverage:', error);
+    res.status(500).send('Error retrieving audit coverage: ' + error.message);
+  }
+});
+
+// GET: The audit's activity log, newest first.
+// Filters: control_id, actor (user ID), action, field (prefix of a changed field), since/until (ISO dates), limit
+app.get('/api/audits/:id/activity', auth.authenticate, auth.requireAuditAccess('id'), async (req, res) => {
+  try {
+    const { control_id, actor, action, field, since, until } = req.query;
+    const sinceDate = since ? new Date(since) : null;
+    const untilDate = until ? new Date(until) : null;
+    if ((sinceDate && isNaN(sinceDate)) || (untilDate && isNaN(untilDate))) {
+      return res.status(400).send('since and until must be ISO dates.');
+    }
+    const limit = req.query.limit === undefined ? 500 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).send('limit must be a positive integer.');
+    }
+
+    const entries = (await repos.activity.list(req.audit.id, { controlId: control_id }))
+      .filter(entry => !actor || entry.actor.user_id === actor)
+      .filter(entry => !action || entry.action === action)
+      .filter(entry => !field || (entry.changes || []).some(change => change.field.startsWith(field)))
+      .filter(entry => !sinceDate || toDate(entry.at) >= sinceDate)
+      .filter(entry => !untilDate || toDate(entry.at) <= untilDate)
+      .reverse();
+
+    res.status(200).json({ total: entries.length, entries: entries.slice(0, limit) });
+  } catch (error) {
+    console.error('[Backend Error] Error getting audit activity:', error);
+    res.status(500).send('Error retrieving audit activity: ' + error.message);
+  }
+});
+
+// GET a single control's response within an audit
+app.get('/api/audits/:auditId/responses/:controlId', auth.authenticate, auth.requireAuditAccess('auditId'), async (req, res) => {
+    try {
+        const { auditId, controlId } = req.params;
+        const responseData = await repos.responses.get(auditId, controlId);
+        const evidence = (await repos.evidence.list(auditId, { controlId })).map(withExpiry);
+
+        if (!responseData) {
+            console.log(`[Backend Debug] No existing response found for audit ${auditId} and control ${controlId}. Returning empty.`);
+            // Fetch the control definition to provide its initial questionnaires for the response structure
+            const controlDefData = await loadAuditControl(repos, req.audit, controlId) || {};
+            // Initialize with questions from definition
+            res.set('ETag', responseEtag(null));
+            return res.status(200).json({ ...buildInitialResponse({ ...controlDefData, id: controlId }), justification_text: '', evidence });
+        }
+        console.log(`\n[Backend Debug] === START Response for Audit ${auditId}, Control ${controlId} ===`);
+        console.log(`[Backend Debug] Control ID: ${responseData.control_id}`);
+        console.log(`[Backend Debug] Question Responses:`, JSON.stringify(responseData.question_responses, null, 2)); // Log question_responses structure
+        console.log(`[Backend Debug] Compliance Status: ${responseData.compliance_status}`);
+        console.log(`[Backend Debug] === END Response for Audit ${auditId}, Control ${controlId} ===\n`);
+        res.set('ETag', responseEtag(responseData));
+        res.status(200).json({ ...responseData, evidence });
+    } catch (error) {
+        console.error('[Backend Error] Error getting single audit control response:', error);
+        res.status(500).send('Error retrieving control response: ' + error.message);
+    }
+});
+
+
+// Sends 409 when the client's If-Match names an older revision of the response than the stored one.
+// The body carries the current response, its ETag and the fields both sides changed. Returns true
+// when the write was refused.
+async function rejectStaleResponseWrite(req, res, { auditId, controlId, existingResponse, submitted }) {
+  if (ifMatchSatisfied(req, responseEtag(existingResponse))) return false;
+  await sendResponseConflict(req, res, { auditId, controlId, existingResponse, submitted });
+  return true;
+}
+
+// Sends the 409 for a write against an outdated revision of the response
+async function sendResponseConflict(req, res, { auditId, controlId, existingResponse, submitted }) {
+  const currentEtag = responseEtag(existingResponse);
+  const baseRevision = ifMatchRevision(req);
+  // Revision 0 is the response as created with the audit, kept as revision 1 once first changed
+  let base = baseRevision === null ? null : await repos.responseRevisions.get(auditId, controlId, baseRevision || 1);
+  if (baseRevision === 0 && base && base.saved_by) base = null;
+  const conflicts = summarizeConflicts({
+    base: base ? flattenResponse(base) : null,
+    current: flattenResponse(existingResponse),
+    submitted: flattenResponse(submitted),
+  });
+  console.warn(`[Backend Warning] Stale write to ${controlId} of audit ${auditId}: client has ${req.get('If-Match')}, server has ${currentEtag}.`);
+  res.set('ETag', currentEtag);
+  res.status(409).json({
+    message: 'This response was changed by someone else since you loaded it. Review the conflicts and save again with the current ETag.',
+    current_etag: currentEtag,
+    current: existingResponse,
+    conflicts,
+  });
+}
+
+// Commits a batch holding a response write, provided the response is still at the revision the
+// request read (and checked If-Match against). A save that got in since is answered with the same
+// 409 as a stale If-Match. Returns true when the batch was committed.
+async function commitResponseWrite(req, res, batch, { auditId, controlId, existingResponse, submitted }) {
+  repos.responses.expectRevision(auditId, controlId, existingResponse.revision, { batch });
+  try {
+    await batch.commit();
+    return true;
+  } catch (error) {
+    if (error.code !== STALE_WRITE) throw error;
+    const currentResponse = await repos.responses.get(auditId, controlId) || {};
+    await sendResponseConflict(req, res, { auditId, controlId, existingResponse: currentResponse, submitted });
+    return false;
+  }
+}
+
+// Sends 409 when the client's If-Match names an older version of the audit's metadata.
+// fields: { field: { current, submitted } } for the values the request changes. Returns true when refused.
+function rejectStaleAuditWrite(req, res, fields = {}) {
+  if (ifMatchSatisfied(req, auditEtag(req.audit))) return false;
+  sendAuditConflict(req, res, fields);
+  return true;
+}
+
+// Sends the 409 for a write against an outdated version of the audit's metadata
+function sendAuditConflict(req, res, fields) {
+  const currentEtag = auditEtag(req.audit);
+  const current = {};
+  const submitted = {};
+  Object.entries(fields).forEach(([field, values]) => {
+    current[field] = values.current;
+    submitted[field] = values.submitted;
+  });
+  res.set('ETag', currentEtag);
+  res.status(409).json({
+    message: 'The audit was changed by someone else since you loaded it. Reload it and try again with the current ETag.',
+    current_etag: currentEtag,
+    metadata_version: req.audit.metadata_version || 0,
+    conflicts: summarizeConflicts({ base: null, current, submitted }),
+  });
+}
+
+// Commits a batch holding an audit metadata write, provided the audit is still at the metadata
+// version the request loaded. A change that got in since is answered with the same 409 as a stale
+// If-Match (the fields' current values are those the request saw). Returns true when committed.
+async function commitAuditWrite(req, res, batch, fields = {}) {
+  repos.audits.expectMetadataVersion(req.audit.id, req.audit.metadata_version, { batch });
+  try {
+    await batch.commit();
+    return true;
+  } catch (error) {
+    if (error.code !== STALE_WRITE) throw error;
+    req.audit = await repos.audits.get(req.audit.id);
+    sendAuditConflict(req, res, fields);
+    return false;
+  }
+}
+
+// Next metadata version of an audit, written with every change to its metadata
+const nextMetadataVersion = (audit) => (audit.metadata_version || 0) + 1;
+
+// Queues a control response write on the batch. When the content changed, the response also gets
+// its next numbered revision and an activity entry. Returns the field-level changes.
+async function queueResponseSave(req, batch, { auditId, existingResponse, updatedResponse, action, details = null, restoredFrom = null }) {
+  const controlId = updatedResponse.control_id;
+  const changes = [
+    ...diffQuestionResponses(existingResponse.question_responses, updatedResponse.question_responses),
+    ...diffFields(existingResponse, updatedResponse, RESPONSE_LOGGED_FIELDS),
+  ];
+  if (changes.length > 0) {
+    const now = updatedResponse.response_date;
+    let previousRevision = existingResponse.revision || 0;
+    if (!previousRevision && existingResponse.id) {
+      // Responses saved before revisions existed keep their current content as revision 1
+      previousRevision = 1;
+      repos.responseRevisions.set(auditId, controlId, 1, buildResponseRevision(existingResponse, 1, {
+        saved_by: null,
+        saved_at: existingResponse.response_date || now,
+        restored_from: null,
+      }), { batch });
+    }
+    updatedResponse.revision = previousRevision + 1;
+    repos.responseRevisions.set(auditId, controlId, updatedResponse.revision, buildResponseRevision(updatedResponse, updatedResponse.revision, {
+      saved_by: { user_id: req.user.uid, name: req.user.name || req.user.email || req.user.uid },
+      saved_at: now,
+      restored_from: restoredFrom,
+    }), { batch });
+    repos.activity.add(auditId, buildActivityEntry(req, {
+      action,
+      controlId,
+      changes,
+      details: { revision: updatedResponse.revision, ...details },
+      at: now,
+    }), { batch });
+    if (changes.some(change => SEARCHABLE_RESPONSE_FIELDS[change.field])) {
+      const { set, remove } = responseIndexEntries(updatedResponse, now);
+      set.forEach(({ id, entry }) => repos.searchIndex.set(auditId, id, entry, { batch }));
+      remove.forEach(id => repos.searchIndex.delete(auditId, id, { batch }));
+    }
+  }
+  repos.responses.set(auditId, controlId, updatedResponse, { merge: true, batch }); // Merge to update specific fields
+  return changes;
+}
+
+// Scoring options for an audit that requires reviewed evidence (see scoreAudit); `records` are
+// the audit's evidence records
+const evidenceScoringOptions = (audit, records) =>
+  (audit.evidence_review_required ? { unacceptedEvidence: unacceptedEvidenceByControl(records) } : {});
+
+const loadEvidenceScoringOptions = async (audit) =>
+  (audit.evidence_review_required ? evidenceScoringOptions(audit, await repos.evidence.list(audit.id)) : {});
+
+// Rescores an audit that requires reviewed evidence after its evidence changed; the review state
+// of the evidence counts towards progress there
+async function rescoreForEvidence(audit) {
+  if (!audit.evidence_review_required) return;
+  const scoring = scoreAudit(await loadAuditControls(repos, audit), await repos.responses.list(audit.id), await loadEvidenceScoringOptions(audit));
+  await repos.audits.update(audit.id, { ...toAuditScoreFields(scoring), updated_at: getTimestamp() });
+}
+
+// Rescores the audit with one response replaced by the version being saved in the batch, and
+// queues the new score fields on the audit. Returns the scoring result.
+async function queueAuditRescore(batch, audit, savedResponse) {
+  const storedResponses = await repos.responses.list(audit.id);
+  const allResponses = storedResponses.filter(r => r.id !== savedResponse.control_id).concat([savedResponse]);
+  const allControlsForAudit = await loadAuditControls(repos, audit);
+  const scoring = scoreAudit(allControlsForAudit, allResponses, await loadEvidenceScoringOptions(audit));
+  repos.audits.update(audit.id, {
+    ...toAuditScoreFields(scoring),
+    updated_at: getTimestamp(),
+  }, { batch });
+  return scoring;
+}
+
+// PUT: Update audit responses for a specific control within an audit
+// Client respondents may answer questions but not change the assessment fields (compliance status etc.).
+app.put('/api/audits/:id/responses', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.ANSWER), async (req, res) => {
+  try {
+    const auditId = req.params.id;
+    const { control_id, question_responses, justification_text, client_remark } = req.body;
+
+    console.log(`[Backend Debug] PUT /api/audits/${auditId}/responses called for control ${control_id}`);
+    console.log(`[Backend Debug] Received question_responses:`, JSON.stringify(question_responses, null, 2));
+
+
+    if (isLocked(req.audit)) {
+      return res.status(409).send(`The audit is ${getLifecycleState(req.audit)}; its responses can no longer be changed.`);
+    }
+    if (!control_id || !Array.isArray(question_responses)) {
+      console.error('[Backend Error] Audit response update failed: Missing control_id or question_responses array.');
+      return res.status(400).send('Control ID and question responses array are required.');
+    }
+    const fieldworkError = validateFieldworkFields(req.body);
+    if (fieldworkError) {
+      console.error(`[Backend Error] Audit response update failed: ${fieldworkError}`);
+      return res.status(400).send(fieldworkError);
+    }
+    const excluded = outOfScopeEntry(req.audit, control_id);
+    if (excluded) {
+      return res.status(409).send(`Control ${control_id} is out of scope for this audit: ${excluded.rationale}`);
+    }
+    const controlDefinition = await loadAuditControl(repos, req.audit, control_id);
+    if (!controlDefinition) {
+      console.error(`[Backend Error] Audit response update failed: control ${control_id} is not part of audit ${auditId}.`);
+      return res.status(404).send(`Control ${control_id} is not part of this audit.`);
+    }
+
+    // Unset assessment fields are stored as 'Not Answered' (status) or null (the rest)
+    const normalizeAssessment = (field, value) => value || (field === 'compliance_status' ? 'Not Answered' : null);
+    const existingResponse = await repos.responses.get(auditId, control_id) || {};
+    if (await rejectStaleResponseWrite(req, res, { auditId, controlId: control_id, existingResponse, submitted: req.body })) {
+      return;
+    }
+    const proposal = proposeComplianceStatus(controlDefinition, question_responses);
+    const canAssess = hasPermission(req.user, req.audit, PERMISSIONS.ASSESS);
+    const assessment = {};
+    ASSESSMENT_FIELDS.forEach(field => {
+      assessment[field] = normalizeAssessment(field, req.body[field]);
+    });
+    if (!canAssess) {
+      // Roles without assessment rights keep the stored values; trying to change them is refused.
+      // Sending back the proposed status is not a change, the proposal applies anyway.
+      const changedFields = ASSESSMENT_FIELDS.filter(field =>
+        req.body[field] !== undefined &&
+        !(field === 'compliance_status' && req.body[field] === proposal.status) &&
+        normalizeAssessment(field, req.body[field]) !== normalizeAssessment(field, existingResponse[field]));
+      if (changedFields.length > 0) {
+        console.warn(`[Backend Warning] ${req.auditRole} ${req.user.uid} tried to set ${changedFields.join(', ')} on audit ${auditId}.`);
+        return res.status(403).send(`Your role on this audit cannot set: ${changedFields.join(', ')}.`);
+      }
+      ASSESSMENT_FIELDS.forEach(field => {
+        assessment[field] = normalizeAssessment(field, existingResponse[field]);
+      });
+    }
+    const answersChanged = diffQuestionResponses(existingResponse.question_responses, question_responses).length > 0;
+    const statusDecision = resolveComplianceStatus({ proposed: proposal.status, requested: req.body, existing: existingResponse, canAssess, answersChanged });
+    if (statusDecision.error) {
+      console.error(`[Backend Error] Audit response update failed: ${statusDecision.error}`);
+      return res.status(400).send(statusDecision.error);
+    }
+    assessment.compliance_status = statusDecision.compliance_status;
+    assessment.status_override_justification = statusDecision.status_override_justification;
+
+    const batch = repos.batch();
+
+    // Save/Update the specific control response
+    const updatedResponse = {
+      control_id,
+      question_responses: question_responses,
+      compliance_status: assessment.compliance_status,
+      proposed_compliance_status: proposal.status,
+      proposed_findings: proposal.findings,
+      status_overridden: statusDecision.status_overridden,
+      status_override_justification: assessment.status_override_justification,
+      justification_text: justification_text || null,
+      maturity_level_selected: assessment.maturity_level_selected,
+      // The file saved on the response by older clients is not set from the request; evidence is
+      // attached through the evidence endpoints
+      evidence_path: existingResponse.evidence_path || null,
+      evidence_filename: existingResponse.evidence_filename || null,
+      ai_recommendation: assessment.ai_recommendation,
+      client_remark: client_remark || null,
+      auditor_observation: assessment.auditor_observation,
+      risk_rating: assessment.risk_rating,
+      recommendation: assessment.recommendation,
+      needs_reconfirmation: false, // saving a carried-forward response confirms it
+      response_date: getTimestamp(),
+    };
+    const responseChanges = await queueResponseSave(req, batch, {
+      auditId,
+      existingResponse,
+      updatedResponse,
+      action: ACTIVITY_ACTIONS.RESPONSE_UPDATE,
+    });
+    const scoring = await queueAuditRescore(batch, req.audit, updatedResponse);
+
+    if (!(await commitResponseWrite(req, res, batch, { auditId, controlId: control_id, existingResponse, submitted: req.body }))) {
+      return;
+    }
+    res.set('ETag', responseEtag({ revision: updatedResponse.revision ?? existingResponse.revision }));
+    res.status(200).json({
+      message: 'Audit response and overall progress updated successfully',
+      revision: updatedResponse.revision ?? existingResponse.revision ?? null,
+      changedFields: responseChanges.map(change => change.field),
+      newOverallProgress: scoring.progress_percent,
+      newOverallStatus: scoring.overall_status,
+      complianceStatus: assessment.compliance_status,
+      proposedComplianceStatus: proposal.status,
+      proposedFindings: proposal.findings,
+      statusOverridden: statusDecision.status_overridden,
+      complianceScore: scoring.compliance_score,
+      controlScore: toPercent(scoring.controls.find(c => c.control_id === control_id)?.score),
+    });
+  } catch (error) {
+    console.error('[Backend Error] Error updating audit response and overall progress:', error);
+    res.status(500).send('Error updating audit response and overall progress: ' + error.message);
+  }
+});
+
+// POST: Confirm that a response carried forward from the previous audit still applies as it is
+app.post('/api/audits/:id/responses/:controlId/reconfirm', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.ANSWER), async (req, res) => {
+  try {
+    const { id: auditId, controlId } = req.params;
+    const response = await repos.responses.get(auditId, controlId);
+    if (!response) {
+      return res.status(404).send(`No response for control ${controlId} on this audit.`);
+    }
+    if (isLocked(req.audit)) {
+      return res.status(409).send(`The audit is ${getLifecycleState(req.audit)}; its responses can no longer be changed.`);
+    }
+    if (!response.needs_reconfirmation) {
+      return res.status(409).send(`The response for ${controlId} does not need reconfirmation.`);
+    }
+
+    const reconfirmedAt = getTimestamp();
+    const changes = { needs_reconfirmation: false, reconfirmed_by: uploaderFromRequest(req), reconfirmed_at: reconfirmedAt };
+    const batch = repos.batch();
+    repos.responses.set(auditId, controlId, changes, { merge: true, batch });
+    repos.activity.add(auditId, buildActivityEntry(req, {
+      action: ACTIVITY_ACTIONS.RESPONSE_RECONFIRM,
+      controlId,
+      details: { revision: response.revision || null, carried_forward_from: response.carried_forward_from || null },
+      at: reconfirmedAt,
+    }), { batch });
+    await batch.commit();
+
+    res.status(200).json({ ...response, ...changes });
+  } catch (error) {
+    console.error('[Backend Error] Error reconfirming response:', error);
+    res.status(500).send('Error reconfirming response: ' + error.message);
+  }
+});
+
+// The control mappings between controls of an audit. Only audits spanning several frameworks
+// have any; both mapped controls have to be part of the audit.
+async function loadAuditMappings(controls) {
+  if (new Set(controls.map(control => control.framework_id)).size < 2) return [];
+  const controlIds = new Set(controls.map(control => control.id));
+  return (await repos.controlMappings.list())
+    .filter(mapping => controlIds.has(mapping.source_control_id) && controlIds.has(mapping.target_control_id));
+}
+
+// What the mapped controls of `controlId` can offer it: each mapped control that has an answer, a
+// justification or evidence (rejected evidence is not offered). `responses` maps control ids to
+// responses, `evidenceRecords` are the audit's evidence records.
+function mappingOffersFor(controlId, { mappings, responses, evidenceRecords }) {
+  return mappedControls(mappings, controlId)
+    .map(mapped => {
+      const response = responses.get(mapped.control_id) || {};
+      return {
+        ...mapped,
+        compliance_status: response.compliance_status || 'Not Answered',
+        justification_text: response.justification_text || null,
+        evidence: evidenceRecords
+          .filter(record => record.control_id === mapped.control_id && record.review_status !== 'Rejected')
+          .map(record => ({
+            evidence_id: record.id,
+            filename: record.filename,
+            description: record.description || null,
+            review_status: record.review_status || null,
+            valid_until: record.valid_until || null,
+          })),
+      };
+    })
+    .filter(offer => offer.compliance_status !== 'Not Answered' || offer.justification_text || offer.evidence.length > 0);
+}
+
+const responsesByControl = (responses) => new Map(responses.map(response => [response.control_id || response.id, response]));
+
+// GET: What the controls mapped to this one (in other frameworks of the audit) offer it: their
+// compliance status, justification and evidence, with the relationship of each mapping
+app.get('/api/audits/:id/responses/:controlId/mappings', auth.authenticate, auth.requireAuditAccess('id'), async (req, res) => {
+  try {
+    const { controlId } = req.params;
+    const controls = await loadAuditControls(repos, req.audit);
+    if (!controls.some(control => control.id === controlId)) {
+      return res.status(404).send(`Control ${controlId} is not part of this audit.`);
+    }
+    const offers = mappingOffersFor(controlId, {
+      mappings: await loadAuditMappings(controls),
+      responses: responsesByControl(await repos.responses.list(req.audit.id)),
+      evidenceRecords: await repos.evidence.list(req.audit.id),
+    });
+    res.status(200).json({ control_id: controlId, offers });
+  } catch (error) {
+    console.error('[Backend Error] Error getting mapping offers:', error);
+    res.status(500).send('Error retrieving mapping offers: ' + error.message);
+  }
+});
+
+// POST: Take over what a mapped control offers. Body: from_control_id, include_answer (default
+// true: copies the justification and, for assessors on an equivalent mapping, the compliance
+// status) and evidence_ids (default: all offered evidence; [] for none). Evidence files are copied
+// onto this control and start pending review; files already attached to it are skipped.
+app.post('/api/audits/:id/responses/:controlId/apply-mapping', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.ANSWER), async (req, res) => {
+  const copiedPaths = [];
+  try {
+    const auditId = req.audit.id;
+    const { controlId } = req.params;
+    const { from_control_id: fromControlId, include_answer: includeAnswer = true, evidence_ids: evidenceIds } = req.body;
+
+    if (isLocked(req.audit)) {
+      return res.status(409).send(`The audit is ${getLifecycleState(req.audit)}; its responses can no longer be changed.`);
+    }
+    if (!fromControlId || typeof includeAnswer !== 'boolean' || (evidenceIds !== undefined && !Array.isArray(evidenceIds))) {
+      return res.status(400).send('from_control_id is required; include_answer must be a boolean and evidence_ids a list.');
+    }
+    const excluded = outOfScopeEntry(req.audit, controlId);
+    if (excluded) {
+      return res.status(409).send(`Control ${controlId} is out of scope for this audit: ${excluded.rationale}`);
+    }
+    const controls = await loadAuditControls(repos, req.audit);
+    if (!controls.some(control => control.id === controlId)) {
+      return res.status(404).send(`Control ${controlId} is not part of this audit.`);
+    }
+    const mapped = mappedControls(await loadAuditMappings(controls), controlId).find(entry => entry.control_id === fromControlId);
+    if (!mapped) {
+      return res.status(404).send(`${fromControlId} is not mapped to ${controlId} in this audit.`);
+    }
+
+    const sourceResponse = await repos.responses.get(auditId, fromControlId) || {};
+    const sourceEvidence = (await repos.evidence.list(auditId, { controlId: fromControlId }))
+      .filter(record => record.review_status !== 'Rejected')
+      .filter(record => evidenceIds === undefined || evidenceIds.includes(record.id));
+    const unknownEvidence = (evidenceIds || []).filter(id => !sourceEvidence.some(record => record.id === id));
+    if (unknownEvidence.length > 0) {
+      return res.status(400).send(`Evidence not offered by ${fromControlId}: ${unknownEvidence.join(', ')}.`);
+    }
+    const sourceStatus = sourceResponse.compliance_status || 'Not Answered';
+    const answerOffered = includeAnswer && (sourceStatus !== 'Not Answered' || sourceResponse.justification_text);
+    if (!answerOffered && sourceEvidence.length === 0) {
+      return res.status(400).send(`${fromControlId} has no answer or evidence to apply.`);
+    }
+
+    const now = getTimestamp();
+    const mappedFrom = {
+      control_id: fromControlId,
+      framework_id: mapped.framework_id,
+      relationship: mapped.relationship,
+      applied_by: uploaderFromRequest(req),
+      applied_at: now,
+    };
+    const batch = repos.batch();
+
+    let updatedResponse = null;
+    let responseChanges = [];
+    let scoring = null;
+    if (answerOffered) {
+      const { id, ...existingResponse } = await repos.responses.get(auditId, controlId) || {};
+      const changes = { justification_text: sourceResponse.justification_text || existingResponse.justification_text || null, mapped_from: mappedFrom };
+      // Only an equivalent control's assessment carries over, and only assessors may set it
+      if (mapped.relationship === 'equivalent' && sourceStatus !== 'Not Answered' && hasPermission(req.user, req.audit, PERMISSIONS.ASSESS)) {
+        const statusDecision = resolveComplianceStatus({
+          proposed: existingResponse.proposed_compliance_status,
+          requested: { compliance_status: sourceStatus, status_override_justification: `Assessed through the equivalent control ${fromControlId} (${mapped.framework_id}).` },
+          existing: existingResponse,
+          canAssess: true,
+        });
+        Object.assign(changes, statusDecision);
+      }
+      updatedResponse = { ...existingResponse, control_id: controlId, ...changes, response_date: now };
+      responseChanges = await queueResponseSave(req, batch, {
+        auditId,
+        existingResponse: id ? { id, ...existingResponse } : {},
+        updatedResponse,
+        action: ACTIVITY_ACTIONS.RESPONSE_UPDATE,
+        details: { mapped_from: fromControlId, relationship: mapped.relationship },
+      });
+      scoring = await queueAuditRescore(batch, req.audit, updatedResponse);
+    }
+
+    const copied = [];
+    const skipped = [];
+    for (const record of sourceEvidence) {
+      const matches = record.sha256 ? await repos.evidence.findBySha256(auditId, record.sha256) : [];
+      if (matches.some(match => match.control_id === controlId)) {
+        skipped.push({ evidence_id: record.id, filename: record.filename, reason: 'already_attached' });
+        continue;
+      }
+      const copyPath = await copyEvidenceFile(record, auditId);
+      if (!copyPath) {
+        skipped.push({ evidence_id: record.id, filename: record.filename, reason: 'file_missing' });
+        continue;
+      }
+      copiedPaths.push(copyPath);
+      const id = repos.evidence.newId(auditId);
+      const copy = copyEvidenceRecord(record, {
+        path: copyPath,
+        controlId,
+        extra: { mapped_from: { control_id: fromControlId, evidence_id: record.id } },
+      });
+      repos.evidence.set(auditId, id, copy, { batch });
+      repos.activity.add(auditId, buildActivityEntry(req, {
+        action: ACTIVITY_ACTIONS.EVIDENCE_UPLOAD,
+        controlId,
+        details: { evidence_id: id, evidence_path: copy.path, evidence_filename: copy.filename, size: copy.size, mimetype: copy.mimetype, sha256: copy.sha256, valid_until: copy.valid_until, mapped_from: copy.mapped_from },
+        at: now,
+      }), { batch });
+      copied.push({ id, ...copy });
+    }
+
+    await batch.commit();
+    copied.forEach(record => searchIndexer.enqueueEvidence(auditId, record.id));
+    if (copied.length > 0) await rescoreForEvidence(req.audit);
+    console.log(`[Backend Debug] Applied ${fromControlId} to ${controlId} on audit ${auditId}: answer ${updatedResponse ? 'applied' : 'not applied'}, ${copied.length} evidence copied.`);
+
+    res.status(200).json({
+      control_id: controlId,
+      mapped_from: mappedFrom,
+      response: updatedResponse,
+      changedFields: responseChanges.map(change => change.field),
+      newOverallProgress: scoring ? scoring.progress_percent : null,
+      complianceScore: scoring ? scoring.compliance_score : null,
+      evidence: copied.map(withExpiry),
+      skipped_evidence: skipped,
+    });
+  } catch (error) {
+    copiedPaths.forEach(deleteEvidenceFile);
+    console.error('[Backend Error] Error applying mapped control:', error);
+    res.status(500).send('Error applying mapped control: ' + error.message);
+  }
+});
+
+const parseRevisionNumber = (value) => {
+  const revision = Number(value);
+  return Number.isInteger(revision) && revision > 0 ? revision : null;
+};
+
+// GET: Numbered revisions of one control response, newest first
+app.get('/api/audits/:id/responses/:controlId/revisions', auth.authenticate, auth.requireAuditAccess('id'), async (req, res) => {
+  try {
+    const revisions = await repos.responseRevisions.list(req.audit.id, req.params.controlId);
+    res.status(200).json(revisions);
+  } catch (error) {
+    console.error('[Backend Error] Error listing response revisions:', error);
+    res.status(500).send('Error retrieving response revisions: ' + error.message);
+  }
+});
+
+// GET: Field-level differences between two revisions of a control response (?from=&to=)
+app.get('/api/audits/:id/responses/:controlId/revisions/diff', auth.authenticate, auth.requireAuditAccess('id'), async (req, res) => {
+  try {
+    const { controlId } = req.params;
+    const from = parseRevisionNumber(req.query.from);
+    const to = parseRevisionNumber(req.query.to);
+    if (!from || !to) {
+      return res.status(400).send('from and to must be revision numbers.');
+    }
+    const [before, after] = await Promise.all([
+      repos.responseRevisions.get(req.audit.id, controlId, from),
+      repos.responseRevisions.get(req.audit.id, controlId, to),
+    ]);
+    if (!before || !after) {
+      return res.status(404).send(`Revision ${!before ? from : to} of ${controlId} not found.`);
+    }
+
+    res.status(200).json({
+      control_id: controlId,
+      from,
+      to,
+      changes: [
+        ...diffQuestionResponses(before.question_responses, after.question_responses),
+        ...diffFields(before, after, RESPONSE_REVISION_FIELDS.filter(field => field !== 'question_responses')),
+      ],
+    });
+  } catch (error) {
+    console.error('[Backend Error] Error comparing response revisions:', error);
+    res.status(500).send('Error comparing response revisions: ' + error.message);
+  }
+});
+
+// GET: One revision of a control response
+app.get('/api/audits/:id/responses/:controlId/revisions/:revision', auth.authenticate, auth.requireAuditAccess('id'), async (req, res) => {
+  try {
+    const revisionNumber = parseRevisionNumber(req.params.revision);
+    const revision = revisionNumber && await repos.responseRevisions.get(req.audit.id, req.params.controlId, revisionNumber);
+    if (!revision) {
+      return res.status(404).send('Revision not found.');
+    }
+    res.status(200).json(revision);
+  } catch (error) {
+    console.error('[Backend Error] Error getting response revision:', error);
+    res.status(500).send('Error retrieving response revision: ' + error.message);
+  }
+});
+
+// POST: Restore a control response to an earlier revision. The restore is saved as a new revision,
+// so it can itself be undone.
+app.post('/api/audits/:id/responses/:controlId/revisions/:revision/restore', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.ASSESS), async (req, res) => {
+  try {
+    const { controlId } = req.params;
+    if (isLocked(req.audit)) {
+      return res.status(409).send(`The audit is ${getLifecycleState(req.audit)}; its responses can no longer be changed.`);
+    }
+    const revisionNumber = parseRevisionNumber(req.params.revision);
+    const revision = revisionNumber && await repos.responseRevisions.get(req.audit.id, controlId, revisionNumber);
+    if (!revision) {
+      return res.status(404).send('Revision not found.');
+    }
+
+    const existingResponse = await repos.responses.get(req.audit.id, controlId) || {};
+    if (await rejectStaleResponseWrite(req, res, { auditId: req.audit.id, controlId, existingResponse, submitted: revision })) {
+      return;
+    }
+    const updatedResponse = { control_id: controlId, response_date: getTimestamp() };
+    RESPONSE_REVISION_FIELDS.forEach(field => {
+      updatedResponse[field] = revision[field];
+    });
+
+    const batch = repos.batch();
+    const changes = await queueResponseSave(req, batch, {
+      auditId: req.audit.id,
+      existingResponse,
+      updatedResponse,
+      action: ACTIVITY_ACTIONS.RESPONSE_RESTORE,
+      details: { restored_from: revisionNumber },
+      restoredFrom: revisionNumber,
+    });
+    const scoring = await queueAuditRescore(batch, req.audit, updatedResponse);
+    if (!(await commitResponseWrite(req, res, batch, { auditId: req.audit.id, controlId, existingResponse, submitted: revision }))) {
+      return;
+    }
+    console.log(`[Backend Debug] Restored ${controlId} of audit ${req.audit.id} to revision ${revisionNumber} (${changes.length} changes).`);
+    res.set('ETag', responseEtag({ revision: updatedResponse.revision ?? existingResponse.revision }));
+
+    res.status(200).json({
+      message: changes.length > 0 ? `Response restored to revision ${revisionNumber}.` : `Response already matches revision ${revisionNumber}.`,
+      revision: updatedResponse.revision ?? existingResponse.revision ?? null,
+      restored_from: revisionNumber,
+      changes,
+      newOverallProgress: scoring.progress_percent,
+      complianceScore: scoring.compliance_score,
+    });
+  } catch (error) {
+    console.error('[Backend Error] Error restoring response revision:', error);
+    res.status(500).send('Error restoring response revision: ' + error.message);
+  }
+});
+
+
+// --- Audit Team Endpoints ---
+
+// Shape returned for one team member
+const toMemberView = (audit, userId) => ({
+  user_id: userId,
+  is_owner: audit.user_id === userId,
+  ...(audit.members || {})[userId],
+});
+
+// GET: List the audit team with roles
+app.get('/api/audits/:id/members', auth.authenticate, auth.requireAuditAccess('id'), async (req, res) => {
+  try {
+    const audit = req.audit;
+    const memberIds = Array.from(new Set([audit.user_id, ...Object.keys(audit.members || {}), ...(audit.collaborators || [])]));
+    res.status(200).json(memberIds.map(userId => ({
+      role: userId === audit.user_id ? ROLES.LEAD_AUDITOR : ROLES.AUDITOR,
+      ...toMemberView(audit, userId),
+    })));
+  } catch (error) {
+    console.error('[Backend Error] Error listing audit members:', error);
+    res.status(500).send('Error listing audit members: ' + error.message);
+  }
+});
+
+// POST: Invite a registered user (by email or user_id) to the audit team with a role
+app.post('/api/audits/:id/members', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.MANAGE_MEMBERS), async (req, res) => {
+  try {
+    const audit = req.audit;
+    const { email, user_id, role } = req.body;
+
+    if (!isValidRole(role)) {
+      return res.status(400).send(`Role must be one of: ${Object.values(ROLES).join(', ')}.`);
+    }
+    if (!email && !user_id) {
+      return res.status(400).send('Email or user ID of the member is required.');
+    }
+
+    const invitee = email ? await auth.findUserByEmail(email) : await auth.findUserById(user_id);
+    if (!invitee && !email) {
+      return res.status(400).send(`No registered user found with ID ${user_id}.`);
+    }
+    if (!invitee) {
+      return res.status(404).send(`No registered user found with email ${email}. Ask them to create an account first.`);
+    }
+    if (invitee.uid === audit.user_id) {
+      return res.status(400).send('The audit owner is already the lead auditor.');
+    }
+    if ((audit.members || {})[invitee.uid]) {
+      return res.status(409).send('This user is already a member of the audit. Update their role instead.');
+    }
+
+    const staleFields = { [`members.${invitee.uid}.role`]: { current: null, submitted: role } };
+    if (rejectStaleAuditWrite(req, res, staleFields)) {
+      return;
+    }
+
+    const member = { role, email: invitee.email, name: invitee.name, added_by: req.user.uid, added_at: getTimestamp() };
+    const members = { ...(audit.members || {}), [invitee.uid]: member };
+    const metadataVersion = nextMetadataVersion(audit);
+    const batch = repos.batch();
+    repos.audits.update(audit.id, {
+      members,
+      collaborators: Array.from(new Set([...(audit.collaborators || []), invitee.uid])),
+      metadata_version: metadataVersion,
+      updated_at: getTimestamp(),
+    }, { batch });
+    repos.activity.add(audit.id, buildActivityEntry(req, {
+      action: ACTIVITY_ACTIONS.MEMBER_ADD,
+      changes: [{ field: `members.${invitee.uid}.role`, before: null, after: role }],
+      details: { user_id: invitee.uid, email: invitee.email },
+      at: member.added_at,
+    }), { batch });
+    if (!(await commitAuditWrite(req, res, batch, staleFields))) {
+      return;
+    }
+    console.log(`[Backend Debug] Added ${invitee.uid} as ${role} to audit ${audit.id}.`);
+
+    res.set('ETag', auditEtag({ metadata_version: metadataVersion }));
+    res.status(201).json(toMemberView({ ...audit, members }, invitee.uid));
+  } catch (error) {
+    console.error('[Backend Error] Error adding audit member:', error);
+    res.status(500).send('Error adding audit member: ' + error.message);
+  }
+});
+
+// PUT: Change a member's role
+app.put('/api/audits/:id/members/:userId', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.MANAGE_MEMBERS), async (req, res) => {
+  try {
+    const audit = req.audit;
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!isValidRole(role)) {
+      return res.status(400).send(`Role must be one of: ${Object.values(ROLES).join(', ')}.`);
+    }
+    if (userId === audit.user_id) {
+      return res.status(400).send('The audit owner always remains the lead auditor.');
+    }
+    const existing = (audit.members || {})[userId] || ((audit.collaborators || []).includes(userId) ? {} : null);
+    if (!existing) {
+      return res.status(404).send('Member not found on this audit.');
+    }
+
+    const staleFields = { [`members.${userId}.role`]: { current: existing.role || ROLES.AUDITOR, submitted: role } };
+    if (rejectStaleAuditWrite(req, res, staleFields)) {
+      return;
+    }
+
+    const members = { ...(audit.members || {}), [userId]: { ...existing, role, updated_by: req.user.uid, updated_at: getTimestamp() } };
+    const metadataVersion = nextMetadataVersion(audit);
+    const batch = repos.batch();
+    repos.audits.update(audit.id, { members, metadata_version: metadataVersion, updated_at: getTimestamp() }, { batch });
+    repos.activity.add(audit.id, buildActivityEntry(req, {
+      action: ACTIVITY_ACTIONS.MEMBER_UPDATE,
+      changes: [{ field: `members.${userId}.role`, before: existing.role || 'auditor', after: role }],
+      details: { user_id: userId },
+      at: members[userId].updated_at,
+    }), { batch });
+    if (!(await commitAuditWrite(req, res, batch, staleFields))) {
+      return;
+    }
+
+    res.set('ETag', auditEtag({ metadata_version: metadataVersion }));
+    res.status(200).json(toMemberView({ ...audit, members }, userId));
+  } catch (error) {
+    console.error('[Backend Error] Error updating audit member:', error);
+    res.status(500).send('Error updating audit member: ' + error.message);
+  }
+});
+
+// DELETE: Remove a member from the audit team
+app.delete('/api/audits/:id/members/:userId', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.MANAGE_MEMBERS), async (req, res) => {
+  try {
+    const audit = req.audit;
+    const { userId } = req.params;
+
+    if (userId === audit.user_id) {
+      return res.status(400).send('The audit owner cannot be removed from the audit.');
+    }
+    if (!(audit.members || {})[userId] && !(audit.collaborators || []).includes(userId)) {
+      return res.status(404).send('Member not found on this audit.');
+    }
+
+    const members = { ...(audit.members || {}) };
+    const removedRole = members[userId] ? members[userId].role : 'auditor';
+    const staleFields = { [`members.${userId}.role`]: { current: removedRole, submitted: null } };
+    if (rejectStaleAuditWrite(req, res, staleFields)) {
+      return;
+    }
+    delete members[userId];
+    const metadataVersion = nextMetadataVersion(audit);
+    const batch = repos.batch();
+    const now = getTimestamp();
+    repos.audits.update(audit.id, {
+      members,
+      collaborators: (audit.collaborators || []).filter(id => id !== userId),
+      metadata_version: metadataVersion,
+      updated_at: now,
+    }, { batch });
+    repos.activity.add(audit.id, buildActivityEntry(req, {
+      action: ACTIVITY_ACTIONS.MEMBER_REMOVE,
+      changes: [{ field: `members.${userId}.role`, before: removedRole, after: null }],
+      details: { user_id: userId },
+      at: now,
+    }), { batch });
+    if (!(await commitAuditWrite(req, res, batch, staleFields))) {
+      return;
+    }
+
+    res.set('ETag', auditEtag({ metadata_version: metadataVersion }));
+    res.status(200).json({ message: 'Member removed from audit.', user_id: userId });
+  } catch (error) {
+    console.error('[Backend Error] Error removing audit member:', error);
+    res.status(500).send('Error removing audit member: ' + error.message);
+  }
+});
+
+// POST: Record the QA reviewer's sign-off on the audit
+app.post('/api/audits/:id/sign-off', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.SIGN_OFF), async (req, res) => {
+  try {
+    const signOff = {
+      user_id: req.user.uid,
+      name: req.user.name || req.user.email || req.user.uid,
+      role: req.auditRole || 'admin',
+      comment: req.body.comment || null,
+      signed_at: getTimestamp(),
+    };
+    const staleFields = { review_sign_off: { current: req.audit.review_sign_off || null, submitted: signOff } };
+    if (rejectStaleAuditWrite(req, res, staleFields)) {
+      return;
+    }
+    const metadataVersion = nextMetadataVersion(req.audit);
+    const batch = repos.batch();
+    repos.audits.update(req.audit.id, { review_sign_off: signOff, metadata_version: metadataVersion, updated_at: getTimestamp() }, { batch });
+    repos.activity.add(req.audit.id, buildActivityEntry(req, {
+      action: ACTIVITY_ACTIONS.SIGN_OFF,
+      changes: diffFields(req.audit, { review_sign_off: signOff }, ['review_sign_off']),
+      at: signOff.signed_at,
+    }), { batch });
+    if (!(await commitAuditWrite(req, res, batch, staleFields))) {
+      return;
+    }
+    console.log(`[Backend Debug] Audit ${req.audit.id} signed off by ${signOff.user_id}.`);
+
+    res.set('ETag', auditEtag({ metadata_version: metadataVersion }));
+    res.status(200).json({ message: 'Audit signed off.', review_sign_off: signOff });
+  } catch (error) {
+    console.error('[Backend Error] Error signing off audit:', error);
+    res.status(500).send('Error signing off audit: ' + error.message);
+  }
+});
+
+// GET: The audit's lifecycle state, the actions the caller may take and the transition history
+app.get('/api/audits/:id/lifecycle', auth.authenticate, auth.requireAuditAccess('id'), async (req, res) => {
+  res.status(200).json({
+    lifecycle_state: getLifecycleState(req.audit),
+    locked: isLocked(req.audit),
+    available_actions: availableTransitions(req.user, req.audit),
+    approval: req.audit.approval || null,
+    issued: req.audit.issued || null,
+    history: req.audit.lifecycle_history || [],
+  });
+});
+
+// POST: Move the audit through its lifecycle ({ action, comment }); each action checks its own permission
+app.post('/api/audits/:id/lifecycle', auth.authenticate, auth.requireAuditAccess('id'), async (req, res) => {
+  try {
+    const { action, comment } = req.body;
+    const check = checkTransition(req.user, req.audit, action);
+    if (check.error) {
+      return res.status(check.status).send(check.error);
+    }
+    const staleFields = { lifecycle_state: { current: getLifecycleState(req.audit), submitted: check.to } };
+    if (rejectStaleAuditWrite(req, res, staleFields)) {
+      return;
+    }
+
+    const actor = {
+      user_id: req.user.uid,
+      name: req.user.name || req.user.email || req.user.uid,
+    };
+    const now = getTimestamp();
+    const entry = {
+      action,
+      from: getLifecycleState(req.audit),
+      to: check.to,
+      ...actor,
+      comment: comment || null,
+      at: now,
+    };
+    const changes = {
+      lifecycle_state: check.to,
+      lifecycle_history: [...(req.audit.lifecycle_history || []), entry],
+      metadata_version: nextMetadataVersion(req.audit),
+      updated_at: now,
+    };
+    if (action === 'approve') {
+      changes.approval = { ...actor, comment: comment || null, approved_at: now };
+    } else if (action === 'return_to_fieldwork') {
+      changes.approval = null; // a returned audit needs a fresh approval
+    } else if (action === 'issue') {
+      changes.issued = { ...actor, issued_at: now };
+    }
+
+    const batch = repos.batch();
+    repos.audits.update(req.audit.id, changes, { batch });
+    repos.activity.add(req.audit.id, buildActivityEntry(req, {
+      action: ACTIVITY_ACTIONS.LIFECYCLE_TRANSITION,
+      changes: [
+        { field: 'lifecycle_state', before: entry.from, after: entry.to },
+        ...diffFields(req.audit, changes, ['approval', 'issued'].filter(field => field in changes)),
+      ],
+      details: { action, comment: entry.comment },
+      at: now,
+    }), { batch });
+    if (!(await commitAuditWrite(req, res, batch, staleFields))) {
+      return;
+    }
+    console.log(`[Backend Debug] Audit ${req.audit.id}: ${entry.from} -> ${entry.to} by ${actor.user_id}.`);
+    res.set('ETag', auditEtag(changes));
+    res.status(200).json({ message: `Audit is now ${check.to}.`, lifecycle_state: check.to, transition: entry, approval: changes.approval ?? req.audit.approval ?? null });
+  } catch (error) {
+    console.error('[Backend Error] Error changing audit lifecycle state:', error);
+    res.status(500).send('Error changing audit lifecycle state: ' + error.message);
+  }
+});
+
+
+// --- Evidence Endpoints ---
+
+// Checks an upload and stores it under the audit. Returns { path (the storage key), file_type,
+// mimetype, sha256, size } or { status, error }.
+async function storeEvidenceFile(auditId, file) {
+  const inspection = evidencePolicy.inspect(file);
+  if (inspection.error) {
+    return { status: 415, error: inspection.error };
+  }
+  const { extension, ...stored } = inspection;
+  const key = evidenceKey(auditId, storedFileName(extension));
+  await evidenceFiles.store.put(key, file.buffer, { contentType: stored.mimetype });
+  return { ...stored, path: key };
+}
+
+// Removes a stored evidence file that is no longer referenced
+const deleteEvidenceFile = (evidencePath) => {
+  const { store, key } = evidenceFiles.locate(evidencePath);
+  store.delete(key).catch(err => {
+    console.warn(`[Backend Warning] Could not delete evidence file ${evidencePath}:`, err.message);
+  });
+};
+
+// The evidence item an id names on the audit: a record, or the file saved on a response by older
+// clients (once migrated under the audit)
+async function loadEvidenceItem(auditId, evidenceId) {
+  const controlId = parseLegacyEvidenceId(evidenceId);
+  if (controlId === null) return repos.evidence.get(auditId, evidenceId);
+  const response = await repos.responses.get(auditId, controlId);
+  const item = response ? evidenceItemsForControl([], response, auditId)[0] : null;
+  return item && !item.not_migrated ? item : null;
+}
+
+// Content-Disposition with the original file name; filename* carries names that are not plain ASCII
+const contentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+// Streams an evidence file from its storage driver. A single-range Range header is answered with
+// 206 partial content; ?disposition=inline lets browsers display the file instead of saving it.
+async function sendEvidenceFile(req, res, item) {
+  const { store, key } = evidenceFiles.locate(item.path);
+  const stats = await store.stat(key);
+  if (!stats) {
+    console.warn(`[Backend Warning] Evidence file ${item.path} is missing.`);
+    return res.status(404).send('The evidence file is missing.');
+  }
+
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'Content-Disposition': contentDisposition(req.query.disposition === 'inline' ? 'inline' : 'attachment', item.filename || path.basename(item.path)),
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, no-cache',
+  });
+  res.type(item.mimetype || path.extname(item.path) || 'application/octet-stream');
+
+  let range = {};
+  const ranges = req.headers.range ? req.range(stats.size, { combine: true }) : undefined;
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${stats.size}`);
+    return res.status(416).end();
+  }
+  // Malformed and multi-range headers get the whole file, as allowed by RFC 9110
+  if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+    range = { start: ranges[0].start, end: ranges[0].end };
+    res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${stats.size}`);
+  }
+  res.set('Content-Length', String(range.start === undefined ? stats.size : range.end - range.start + 1));
+  if (req.method === 'HEAD') return res.end();
+
+  const stream = await store.createReadStream(key, range);
+  stream.on('error', (err) => {
+    console.error('[Backend Error] Error streaming evidence file:', err);
+    res.destroy(err);
+  });
+  stream.pipe(res);
+}
+
+// Absolute signed URL of an evidence item, valid for ttlSeconds (default EVIDENCE_LINK_TTL_DAYS)
+function signedEvidenceUrl(req, auditId, evidenceId, ttlSeconds) {
+  const { expires, signature } = evidenceLinks.sign(auditId, evidenceId, ttlSeconds);
+  return {
+    url: `${req.protocol}://${req.get('host')}/api/evidence-links/${encodeURIComponent(auditId)}/${encodeURIComponent(evidenceId)}?expires=${expires}&signature=${signature}`,
+    expires_at: new Date(expires * 1000).toISOString(),
+  };
+}
+
+// An evidence record with its expiry_status ('expired', 'expiring', 'valid' or null) and
+// days_until_expiry as of today
+const withExpiry = (record) => {
+  const today = toDateString(new Date());
+  return {
+    ...record,
+    expiry_status: evidenceExpiry.status(record.valid_until, today),
+    days_until_expiry: record.valid_until ? daysUntil(record.valid_until, today) : null,
+  };
+};
+
+const uploaderFromRequest = (req) => ({
+  user_id: req.user.uid,
+  name: req.user.name || req.user.email || req.user.uid,
+});
+
+// Validates an upload against the audit's control, stores the file and queues its evidence record
+// and activity entry on the batch. The same file (by SHA-256) cannot be attached to a control twice;
+// copies on other controls of the audit are reported as duplicates.
+// Returns { id, record, duplicates } or { status, error, duplicate_of }.
+async function queueEvidenceRecord(req, batch, { audit, controlId, file }) {
+  const control = await loadAuditControl(repos, audit, controlId);
+  if (!control) {
+    return { status: 404, error: `Control ${controlId} is not part of this audit.` };
+  }
+  const validationError = validateEvidenceFields(req.body, control);
+  if (validationError) {
+    return { status: 400, error: validationError };
+  }
+  const matches = await repos.evidence.findBySha256(audit.id, sha256(file.buffer));
+  const sameControl = matches.find(record => record.control_id === controlId);
+  if (sameControl) {
+    return { status: 409, error: `This file is already attached to ${controlId} as ${sameControl.filename}.`, duplicate_of: sameControl };
+  }
+  const stored = await storeEvidenceFile(audit.id, file);
+  if (stored.error) return stored;
+
+  const id = repos.evidence.newId(audit.id);
+  const record = buildEvidenceRecord({
+    controlId,
+    body: req.body,
+    originalName: displayFileName(file.originalname),
+    stored,
+    defaultValidity: evidenceExpiry.defaultValidity(control, toDateString(new Date())),
+    uploadedBy: uploaderFromRequest(req),
+    now: getTimestamp(),
+  });
+  repos.evidence.set(audit.id, id, record, { batch });
+  repos.activity.add(audit.id, buildActivityEntry(req, {
+    action: ACTIVITY_ACTIONS.EVIDENCE_UPLOAD,
+    controlId,
+    details: { evidence_id: id, evidence_path: record.path, evidence_filename: record.filename, question_index: record.question_index, size: record.size, mimetype: record.mimetype, sha256: record.sha256, valid_until: record.valid_until },
+    at: record.uploaded_at,
+  }), { batch });
+  const duplicates = matches.map(match => ({ id: match.id, control_id: match.control_id, filename: match.filename }));
+  return { id, record, duplicates };
+}
+
+// Sends the error of a refused upload; duplicates carry the record they duplicate
+const sendEvidenceError = (res, result) => (result.duplicate_of
+  ? res.status(result.status).json({ message: result.error, duplicate_of: result.duplicate_of })
+  : res.status(result.status).send(result.error));
+
+// GET: Evidence records of the audit, optionally for one control (?control_id=), question
+// (?question_index=) or review status (?review_status=, e.g. Rejected)
+app.get('/api/audits/:id/evidence', auth.authenticate, auth.requireAuditAccess('id'), async (req, res) => {
+  try {
+    let records = await repos.evidence.list(req.audit.id, { controlId: req.query.control_id });
+    if (req.query.question_index !== undefined && req.query.question_index !== '') {
+      records = records.filter(record => record.question_index === Number(req.query.question_index));
+    }
+    if (req.query.review_status) {
+      records = records.filter(record => record.review_status === req.query.review_status);
+    }
+    res.status(200).json(records.map(withExpiry));
+  } catch (error) {
+    console.error('[Backend Error] Error listing evidence:', error);
+    res.status(500).send('Error listing evidence: ' + error.message);
   }
 });
 
-// --- Audits Endpoints ---
-
-// UPDATED LOGIC FOR CREATING A NEW AUDIT (NOW ACCEPTS domain_type AND CLIENT DETAILS)
-app.post('/api/audits', async (req, res) => {
+// POST: Attach a file to a control (multipart: evidenceFile, control_id, and optionally
+// question_index, description and valid_until)
+app.post('/api/audits/:id/evidence', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.ANSWER), receiveEvidenceFile, async (req, res) => {
+  let result = null;
   try {
-    console.log('[Backend Debug] Received audit creation request. Body:', req.body);
-    const {
-      title,
-      description,
-      domain_type,
-      userId,
-      client_company_name,
-      client_spoc_name,
-      client_spoc_email,
-      client_spoc_phone
-    } = req.body;
+    if (!req.file) {
+      return res.status(400).send('No file uploaded.');
+    }
+    if (isLocked(req.audit)) {
+      return res.status(409).send(`The audit is ${getLifecycleState(req.audit)}; its evidence can no longer be changed.`);
+    }
+    if (!req.body.control_id) {
+      return res.status(400).send('control_id is required.');
+    }
 
-    if (!title || !domain_type || !userId || !client_company_name) {
-      console.error('[Backend Error] Audit creation validation failed: Missing required fields (title, domain_type, userId, client_company_name).', { title, domain_type, userId, client_company_name });
-      return res.status(400).send('Title, domain type, user ID, and client company name are required.');
+    const batch = repos.batch();
+    result = await queueEvidenceRecord(req, batch, { audit: req.audit, controlId: req.body.control_id, file: req.file });
+    if (result.error) {
+      return sendEvidenceError(res, result);
     }
+    await batch.commit();
+    searchIndexer.enqueueEvidence(req.audit.id, result.id);
+    await rescoreForEvidence(req.audit);
+    console.log(`[Backend Debug] Evidence ${result.id} (${result.record.filename}, sha256 ${result.record.sha256}) attached to ${result.record.control_id} of audit ${req.audit.id}.`);
 
-    const frameworksQuerySnapshot = await db.collection('frameworks').where('type', '==', domain_type).get();
-    const frameworksAuditedIds = frameworksQuerySnapshot.docs.map(doc => doc.id);
+    res.status(201).json({ ...withExpiry({ id: result.id, ...result.record }), duplicates: result.duplicates });
+  } catch (error) {
+    if (result && result.record) deleteEvidenceFile(result.record.path);
+    console.error('[Backend Error] Error adding evidence:', error);
+    res.status(500).send('Error adding evidence: ' + error.message);
+  }
+});
 
-    if (frameworksAuditedIds.length === 0) {
-      console.error(`[Backend Error] Audit creation failed: No frameworks found for domain type: ${domain_type}.`);
-      return res.status(404).send(`No frameworks found for domain type: ${domain_type}. Cannot create audit.`);
+// DELETE: Remove an evidence record and its file. Uploaders may remove their own files; removing
+// someone else's needs the assess permission.
+app.delete('/api/audits/:id/evidence/:evidenceId', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.ANSWER), async (req, res) => {
+  try {
+    const record = await repos.evidence.get(req.audit.id, req.params.evidenceId);
+    if (!record) {
+      return res.status(404).send('Evidence not found on this audit.');
     }
-
-    let allControlsForDomain = [];
-    const chunkSize = 10;
-    for (let i = 0; i < frameworksAuditedIds.length; i += chunkSize) {
-      const chunk = frameworksAuditedIds.slice(i, i + chunkSize);
-      const controlsQuerySnapshot = await db.collection('controls').where('framework_id', 'in', chunk).get();
-      allControlsForDomain = allControlsForDomain.concat(controlsQuerySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    if (isLocked(req.audit)) {
+      return res.status(409).send(`The audit is ${getLifecycleState(req.audit)}; its evidence can no longer be changed.`);
+    }
+    if (record.uploaded_by?.user_id !== req.user.uid && !hasPermission(req.user, req.audit, PERMISSIONS.ASSESS)) {
+      return res.status(403).send('You can only remove evidence you uploaded.');
     }
 
-    const newAudit = {
-      title,
-      description: description || '',
-      user_id: userId,
-      domain_type: domain_type,
-      frameworks_audited: frameworksAuditedIds,
-      overall_status: 'Not Started',
-      overall_score: 0.00,
-      created_at: getTimestamp(),
-      updated_at: getTimestamp(),
-      total_controls_in_audit: allControlsForDomain.length,
-      completed_controls_in_audit: 0,
-      client_company_name: client_company_name,
-      client_spoc_name: client_spoc_name || null,
-      client_spoc_email: client_spoc_email || null,
-      client_spoc_phone: client_spoc_phone || null
-    };
-
-    const auditDocRef = await db.collection('audits').add(newAudit);
-
-    const batch = db.batch();
-    console.log(`\n[Backend Debug] === START Initializing Responses for New Audit ${auditDocRef.id} ===`);
-    allControlsForDomain.forEach(control => {
-      const responseDocRef = auditDocRef.collection('responses').doc(control.id);
-      const initialResponseData = {
-        control_id: control.id,
-        question_responses: (control.questionnaires || []).map((q, index) => ({ // Initialize question responses based on control definition
-            question_index: index,
-            question_text: q.question_text,
-            selected_option: null,
-            option_text: null,
-        })),
-        compliance_status: 'Not Answered',
-        justification_text: null,
-        maturity_level_selected: null,
-        evidence_path: null,
-        evidence_filename: null,
-        ai_recommendation: null,
-        response_date: null,
-      };
-      batch.set(responseDocRef, initialResponseData);
-      console.log(`[Backend Debug]   Control ${control.id} initialized with ${initialResponseData.question_responses.length} questions.`);
-    });
+    const batch = repos.batch();
+    repos.evidence.delete(req.audit.id, record.id, { batch });
+    repos.searchIndex.delete(req.audit.id, evidenceEntryId(record.id), { batch });
+    repos.activity.add(req.audit.id, buildActivityEntry(req, {
+      action: ACTIVITY_ACTIONS.EVIDENCE_REMOVE,
+      controlId: record.control_id,
+      details: { evidence_id: record.id, evidence_path: record.path, evidence_filename: record.filename, question_index: record.question_index },
+      at: getTimestamp(),
+    }), { batch });
     await batch.commit();
-    console.log(`[Backend Debug] === END Initializing Responses for New Audit ${auditDocRef.id} ===\n`);
+    deleteEvidenceFile(record.path);
+    await rescoreForEvidence(req.audit);
+    console.log(`[Backend Debug] Evidence ${record.id} removed from ${record.control_id} of audit ${req.audit.id}.`);
 
-    res.status(201).json({ id: auditDocRef.id, ...newAudit });
+    res.status(200).json({ message: 'Evidence removed.', id: record.id });
   } catch (error) {
-    console.error('[Backend Error] Error creating audit:', error);
-    res.status(500).send('Error creating audit: ' + error.message);
+    console.error('[Backend Error] Error removing evidence:', error);
+    res.status(500).send('Error removing evidence: ' + error.message);
   }
 });
 
-// GET: Get all audits for a specific user
-app.get('/api/audits', async (req, res) => {
+// PATCH: Change an evidence record's description or validity date (valid_until: "YYYY-MM-DD", or
+// null for no expiry). The same people who may remove the record may change it.
+app.patch('/api/audits/:id/evidence/:evidenceId', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.ANSWER), async (req, res) => {
   try {
-    const userId = req.query.userId;
-
-    if (!userId) {
-      return res.status(400).send('User ID is required to fetch audits.');
+    const record = await repos.evidence.get(req.audit.id, req.params.evidenceId);
+    if (!record) {
+      return res.status(404).send('Evidence not found on this audit.');
+    }
+    if (isLocked(req.audit)) {
+      return res.status(409).send(`The audit is ${getLifecycleState(req.audit)}; its evidence can no longer be changed.`);
+    }
+    if (record.uploaded_by?.user_id !== req.user.uid && !hasPermission(req.user, req.audit, PERMISSIONS.ASSESS)) {
+      return res.status(403).send('You can only change evidence you uploaded.');
+    }
+    const validationError = validateEvidenceUpdate(req.body);
+    if (validationError) {
+      return res.status(400).send(validationError);
     }
 
-    const auditsRef = db.collection('audits').where('user_id', '==', userId);
-    const snapshot = await auditsRef.orderBy('created_at', 'desc').get();
-    const audits = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-    res.status(200).json(audits);
+    const changes = evidenceUpdateChanges(req.body);
+    const updated = { ...record, ...changes };
+    const batch = repos.batch();
+    repos.evidence.set(req.audit.id, record.id, changes, { merge: true, batch });
+    repos.activity.add(req.audit.id, buildActivityEntry(req, {
+      action: ACTIVITY_ACTIONS.EVIDENCE_UPDATE,
+      controlId: record.control_id,
+      changes: diffFields(record, updated, EVIDENCE_EDITABLE_FIELDS),
+      details: { evidence_id: record.id, evidence_filename: record.filename },
+      at: getTimestamp(),
+    }), { batch });
+    await batch.commit();
+
+    res.status(200).json(withExpiry(updated));
   } catch (error) {
-    console.error('[Backend Error] Error getting audits for user:', error);
-    res.status(500).send('Error retrieving audits: ' + error.message);
+    console.error('[Backend Error] Error updating evidence:', error);
+    res.status(500).send('Error updating evidence: ' + error.message);
   }
 });
 
-// GET: Get a single audit by ID (with its responses)
-app.get('/api/audits/:id', async (req, res) => {
+// POST: Review an evidence record: { status: Pending Review | Accepted | Rejected | Needs Clarification,
+// comment }. Rejecting or asking for clarification needs a comment, which the respondent sees on
+// the evidence and in the audit view.
+app.post('/api/audits/:id/evidence/:evidenceId/review', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.ASSESS), async (req, res) => {
   try {
-    const auditId = req.params.id;
-    const auditDocRef = db.collection('audits').doc(auditId);
-    const auditDoc = await auditDocRef.get();
-
-    if (!auditDoc.exists) {
-      return res.status(404).send('Audit not found');
+    const record = await repos.evidence.get(req.audit.id, req.params.evidenceId);
+    if (!record) {
+      return res.status(404).send('Evidence not found on this audit.');
     }
-
-    const auditData = { id: auditDoc.id, ...auditDoc.data() };
-
-    const frameworksAuditedIds = auditData.frameworks_audited || [];
-    let allControlsForAudit = [];
-    if (frameworksAuditedIds.length > 0) {
-      const chunkSize = 10;
-      for (let i = 0; i < frameworksAuditedIds.length; i += chunkSize) {
-        const chunk = frameworksAuditedIds.slice(i, i + chunkSize);
-        const controlsQuerySnapshot = await db.collection('controls').where('framework_id', 'in', chunk).get();
-        allControlsForAudit = allControlsForAudit.concat(controlsQuerySnapshot.docs.map(doc => ({ id: doc.id, data: doc.data() })));
-      }
+    if (isLocked(req.audit)) {
+      return res.status(409).send(`The audit is ${getLifecycleState(req.audit)}; its evidence can no longer be changed.`);
+    }
+    const validationError = validateEvidenceReview(req.body);
+    if (validationError) {
+      return res.status(400).send(validationError);
     }
-    const controlDefinitionsMap = new Map(allControlsForAudit.map(c => [c.id, c.data]));
-    const totalExpectedControls = allControlsForAudit.length;
-
 
-    const responsesRef = auditDocRef.collection('responses');
-    const responsesSnapshot = await responsesRef.get();
+    const changes = evidenceReviewChanges(record, req.body, uploaderFromRequest(req), getTimestamp());
+    const updated = { ...record, ...changes };
+    const batch = repos.batch();
+    repos.evidence.set(req.audit.id, record.id, changes, { merge: true, batch });
+    repos.activity.add(req.audit.id, buildActivityEntry(req, {
+      action: ACTIVITY_ACTIONS.EVIDENCE_REVIEW,
+      controlId: record.control_id,
+      changes: diffFields(record, updated, ['review_status', 'review_comment']),
+      details: { evidence_id: record.id, evidence_filename: record.filename },
+      at: changes.reviewed_at,
+    }), { batch });
+    await batch.commit();
+    await rescoreForEvidence(req.audit);
+    console.log(`[Backend Debug] Evidence ${record.id} of audit ${req.audit.id} reviewed: ${changes.review_status}.`);
 
-    let completedControlsCount = 0;
-    auditData.responses = responsesSnapshot.docs.map(doc => {
-      const responseData = { id: doc.id, ...doc.data() };
-      const controlId = responseData.control_id;
-      const controlDefinition = controlDefinitionsMap.get(controlId);
+    res.status(200).json(withExpiry(updated));
+  } catch (error) {
+    console.error('[Backend Error] Error reviewing evidence:', error);
+    res.status(500).send('Error reviewing evidence: ' + error.message);
+  }
+});
 
-      if (controlDefinition) {
-        const numQuestions = controlDefinition.questionnaires?.length || 0;
-        const allQuestionsAnswered = numQuestions > 0 &&
-          responseData.question_responses &&
-          responseData.question_responses.filter(qr => qr.selected_option).length === numQuestions;
-        const overallStatusSet = ['Yes', 'Partial', 'No', 'Not Applicable'].includes(responseData.compliance_status);
+// POST: Confirm that evidence carried forward from the previous audit still applies
+app.post('/api/audits/:id/evidence/:evidenceId/reconfirm', auth.authenticate, auth.requireAuditPermission('id', PERMISSIONS.ANSWER), async (req, res) => {
+  try {
+    const record = await repos.evidence.get(req.audit.id, req.params.evidenceId);
+    if (!record) {
+      return res.status(404).send('Evidence not found on this audit.');
+    }
+    if (isLocked(req.audit)) {
+      return res.status(409).send(`The audit is ${getLifecycleState(req.audit)}; its evidence can no longer be changed.`);
+    }
+    if (!record.needs_reconfirmation) {
+      return res.status(409).send('This evidence does not need reconfirmation.');
+    }
 
-        if (allQuestionsAnswered && overallStatusSet) {
-          completedControlsCount++;
-        }
-      }
-      return responseData;
-    });
+    const reconfirmedAt = getTimestamp();
+    const changes = { needs_reconfirmation: false, reconfirmed_by: uploaderFromRequest(req), reconfirmed_at: reconfirmedAt };
+    const batch = repos.batch();
+    repos.evidence.set(req.audit.id, record.id, changes, { merge: true, batch });
+    repos.activity.add(req.audit.id, buildActivityEntry(req, {
+      action: ACTIVITY_ACTIONS.EVIDENCE_RECONFIRM,
+      controlId: record.control_id,
+      details: { evidence_id: record.id, evidence_filename: record.filename, carried_forward_from: record.carried_forward_from || null },
+      at: reconfirmedAt,
+    }), { batch });
+    await batch.commit();
 
-    const overallProgress = totalExpectedControls === 0 ? 0 : Math.round((completedControlsCount / totalExpectedControls) * 100);
-    const overallStatus = overallProgress === 100 ? 'Completed' : (overallProgress > 0 ? 'In Progress' : 'Not Started');
+    res.status(200).json(withExpiry({ ...record, ...changes }));
+  } catch (error) {
+    console.error('[Backend Error] Error reconfirming evidence:', error);
+    res.status(500).send('Error reconfirming evidence: ' + error.message);
+  }
+});
 
-    if (auditData.overall_score !== overallProgress || auditData.overall_status !== overallStatus || auditData.completed_controls_in_audit !== completedControlsCount) {
-      const updateBatch = db.batch();
-      updateBatch.update(auditDocRef, {
-        overall_score: overallProgress,
-        overall_status: overallStatus,
-        completed_controls_in_audit: completedControlsCount,
-        updated_at: getTimestamp(),
-      });
-      await updateBatch.commit();
-      auditData.overall_score = overallProgress;
-      auditData.overall_status = overallStatus;
-      auditData.completed_controls_in_audit = completedControlsCount;
+// GET: Evidence that has expired or expires within ?days= (default EVIDENCE_EXPIRY_WARNING_DAYS)
+// across the audits the caller can see, soonest first. ?include_expired=false leaves out evidence
+// that has already expired; ?audit_id= narrows the list to one audit.
+app.get('/api/evidence/expiring', auth.authenticate, async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? evidenceExpiry.warningDays : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 0) {
+      return res.status(400).send('days must be a whole number of days.');
     }
+    const includeExpired = req.query.include_expired !== 'false';
 
+    let audits = req.user.admin ? await repos.audits.list() : await repos.audits.listAccessibleByUser(req.user.uid);
+    audits = audits.filter(audit => !isDeleted(audit) && hasPermission(req.user, audit, PERMISSIONS.VIEW));
+    if (req.query.audit_id) {
+      audits = audits.filter(audit => audit.id === req.query.audit_id);
+    }
 
-    res.status(200).json(auditData);
+    const today = toDateString(new Date());
+    const items = (await findExpiringEvidence(repos, audits, addDays(today, days)))
+      .map(({ audit, record }) => ({
+        audit_id: audit.id,
+        audit_title: audit.title,
+        client_company_name: audit.client_company_name || null,
+        evidence_id: record.id,
+        control_id: record.control_id,
+        question_index: record.question_index,
+        filename: record.filename,
+        valid_until: record.valid_until,
+        validity_category: record.validity_category || null,
+        days_until_expiry: daysUntil(record.valid_until, today),
+        expired: record.valid_until < today,
+        uploaded_by: record.uploaded_by || null,
+      }))
+      .filter(item => includeExpired || !item.expired);
+
+    res.status(200).json({ as_of: today, days, total: items.length, items });
   } catch (error) {
-    console.error('[Backend Error] Error getting audit by ID:', error);
-    res.status(500).send('Error retrieving audit: ' + error.message);
+    console.error('[Backend Error] Error listing expiring evidence:', error);
+    res.status(500).send('Error listing expiring evidence: ' + error.message);
   }
 });
 
-// GET a single control's response within an audit
-app.get('/api/audits/:auditId/responses/:controlId', async (req, res) => {
-    try {
-        const { auditId, controlId } = req.params;
-        const responseDocRef = db.collection('audits').doc(auditId).collection('responses').doc(controlId);
-        const responseDoc = await responseDocRef.get();
-
-        if (!responseDoc.exists) {
-            console.log(`[Backend Debug] No existing response found for audit ${auditId} and control ${controlId}. Returning empty.`);
-            // Fetch the control definition to provide its initial questionnaires for the response structure
-            const controlDefDoc = await db.collection('controls').doc(controlId).get();
-            const controlDefData = controlDefDoc.exists ? controlDefDoc.data() : {};
-            const initialQuestionResponses = (controlDefData.questionnaires || []).map((q, index) => ({
-                question_index: index,
-                question_text: q.question_text,
-                selected_option: null,
-                option_text: null,
-            }));
-
-            return res.status(200).json({
-                control_id: controlId,
-                question_responses: initialQuestionResponses, // Initialize with questions from definition
-                compliance_status: 'Not Answered',
-                justification_text: '',
-                maturity_level_selected: null,
-                evidence_path: null,
-                evidence_filename: null,
-                ai_recommendation: null,
-            });
-        }
-        const responseData = { id: responseDoc.id, ...responseDoc.data() };
-        console.log(`\n[Backend Debug] === START Response for Audit ${auditId}, Control ${controlId} ===`);
-        console.log(`[Backend Debug] Control ID: ${responseData.control_id}`);
-        console.log(`[Backend Debug] Question Responses:`, JSON.stringify(responseData.question_responses, null, 2)); // Log question_responses structure
-        console.log(`[Backend Debug] Compliance Status: ${responseData.compliance_status}`);
-        console.log(`[Backend Debug] === END Response for Audit ${auditId}, Control ${controlId} ===\n`);
-        res.status(200).json(responseData);
-    } catch (error) {
-        console.error('[Backend Error] Error getting single audit control response:', error);
-        res.status(500).send('Error retrieving control response: ' + error.message);
+// GET: Download an evidence file (also the legacy "response-<control id>" items listed in reports)
+app.get('/api/audits/:id/evidence/:evidenceId/download', auth.authenticate, auth.requireAuditAccess('id'), async (req, res) => {
+  try {
+    const item = await loadEvidenceItem(req.audit.id, req.params.evidenceId);
+    if (!item) {
+      return res.status(404).send('Evidence not found on this audit.');
     }
+    await sendEvidenceFile(req, res, item);
+  } catch (error) {
+    console.error('[Backend Error] Error downloading evidence:', error);
+    res.status(500).send('Error downloading evidence: ' + error.message);
+  }
 });
 
-
-// PUT: Update audit responses for a specific control within an audit
-app.put('/api/audits/:id/responses', async (req, res) => {
+// POST: Create a time-limited signed download link ({ expires_in_days }) that works without signing in
+app.post('/api/audits/:id/evidence/:evidenceId/link', auth.authenticate, auth.requireAuditAccess('id'), async (req, res) => {
   try {
-    const auditId = req.params.id;
-    const { control_id, question_responses, compliance_status, justification_text, maturity_level_selected, evidence_path, evidence_filename, ai_recommendation } = req.body;
-
-    console.log(`[Backend Debug] PUT /api/audits/${auditId}/responses called for control ${control_id}`);
-    console.log(`[Backend Debug] Received question_responses:`, JSON.stringify(question_responses, null, 2));
-
-
-    if (!control_id || !Array.isArray(question_responses)) {
-      console.error('[Backend Error] Audit response update failed: Missing control_id or question_responses array.');
-      return res.status(400).send('Control ID and question responses array are required.');
+    const item = await loadEvidenceItem(req.audit.id, req.params.evidenceId);
+    if (!item) {
+      return res.status(404).send('Evidence not found on this audit.');
     }
-
-    const auditDocRef = db.collection('audits').doc(auditId);
-    const responseDocRef = auditDocRef.collection('responses').doc(control_id);
-    const batch = db.batch();
-
-    // Save/Update the specific control response
-    batch.set(responseDocRef, {
-      control_id,
-      question_responses: question_responses,
-      compliance_status: compliance_status || 'Not Answered',
-      justification_text: justification_text || null,
-      maturity_level_selected: maturity_level_selected || null,
-      evidence_path: evidence_path || null,
-      evidence_filename: evidence_filename || null,
-      ai_recommendation: ai_recommendation || null,
-      response_date: getTimestamp(),
-    }, { merge: true }); // Merge to update specific fields
-
-    const auditDoc = await auditDocRef.get();
-    if (!auditDoc.exists) {
-      console.error('[Backend Error] Audit not found during response update for audit ID:', auditId);
-      return res.status(404).send('Audit not found during response update.');
-    }
-    const auditData = auditDoc.data();
-    const totalExpectedControls = auditData.total_controls_in_audit || 0;
-
-    const controlDefinitionDoc = await db.collection('controls').doc(control_id).get();
-    const controlDefinition = controlDefinitionDoc.data();
-    const numQuestions = controlDefinition?.questionnaires?.length || 0;
-
-    const allQuestionsAnswered = numQuestions > 0 &&
-      question_responses.filter(qr => qr.selected_option).length === numQuestions;
-    const overallStatusSet = ['Yes', 'Partial', 'No', 'Not Applicable'].includes(compliance_status);
-
-    const allResponsesSnapshot = await auditDocRef.collection('responses').get();
-    let currentCompletedControlsCount = 0;
-
-    let allControlsForAudit = [];
-    const frameworksInAudit = auditData.frameworks_audited || [];
-    if (frameworksInAudit.length > 0) {
-      const chunkSize = 10;
-      for (let i = 0; i < frameworksInAudit.length; i += chunkSize) {
-        const chunk = frameworksInAudit.slice(i, i + chunkSize);
-        const controlsQuerySnapshot = await db.collection('controls').where('framework_id', 'in', chunk).get();
-        allControlsForAudit = allControlsForAudit.concat(controlsQuerySnapshot.docs.map(doc => ({ id: doc.id, data: doc.data() })));
+    let ttlSeconds = evidenceLinks.defaultTtlSeconds;
+    if (req.body && req.body.expires_in_days !== undefined) {
+      const days = Number(req.body.expires_in_days);
+      if (!(days > 0) || days * 24 * 60 * 60 > evidenceLinks.maxTtlSeconds) {
+        return res.status(400).send(`expires_in_days must be a number between 0 and ${evidenceLinks.maxTtlSeconds / (24 * 60 * 60)}.`);
       }
+      ttlSeconds = days * 24 * 60 * 60;
     }
-    const currentControlDefinitionsMap = new Map(allControlsForAudit.map(c => [c.id, c.data]));
-
-
-    allResponsesSnapshot.docs.forEach(responseDoc => {
-      const resData = responseDoc.data();
-      const resControlId = resData.control_id;
-      const resControlDef = currentControlDefinitionsMap.get(resControlId);
-
-      if (resControlDef) {
-        const resNumQuestions = resControlDef.questionnaires?.length || 0;
-        const resAllQuestionsAnswered = resNumQuestions > 0 &&
-          resData.question_responses &&
-          resData.question_responses.filter(qr => qr.selected_option).length === resNumQuestions;
-        const resOverallStatusSet = ['Yes', 'Partial', 'No', 'Not Applicable'].includes(resData.compliance_status);
-
-        if (resAllQuestionsAnswered && resOverallStatusSet) {
-          currentCompletedControlsCount++;
-        }
-      }
-    });
-
+    res.status(201).json(signedEvidenceUrl(req, req.audit.id, req.params.evidenceId, ttlSeconds));
+  } catch (error) {
+    console.error('[Backend Error] Error creating evidence link:', error);
+    res.status(500).send('Error creating evidence link: ' + error.message);
+  }
+});
 
-    const newOverallProgress = totalExpectedControls === 0 ? 0 : Math.round((currentCompletedControlsCount / totalExpectedControls) * 100);
-    const newOverallStatus = newOverallProgress === 100 ? 'Completed' : (newOverallProgress > 0 ? 'In Progress' : 'Not Started');
+// GET: Download through a signed link; the signature stands in for authentication
+app.get('/api/evidence-links/:auditId/:evidenceId', async (req, res) => {
+  try {
+    const { auditId, evidenceId } = req.params;
+    const refusal = evidenceLinks.verify(auditId, evidenceId, req.query.expires, req.query.signature);
+    if (refusal) {
+      return res.status(403).send(refusal);
+    }
+    const audit = await repos.audits.get(auditId);
+    const item = audit && !isDeleted(audit) ? await loadEvidenceItem(auditId, evidenceId) : null;
+    if (!item) {
+      return res.status(404).send('The evidence behind this link no longer exists.');
+    }
+    await sendEvidenceFile(req, res, item);
+  } catch (error) {
+    console.error('[Backend Error] Error downloading evidence through a signed link:', error);
+    res.status(500).send('Error downloading evidence: ' + error.message);
+  }
+});
 
-    batch.update(auditDocRef, {
-      overall_score: newOverallProgress,
-      overall_status: newOverallStatus,
-      completed_controls_in_audit: currentCompletedControlsCount,
-      updated_at: getTimestamp(),
+// GET: Recompute the SHA-256 of an evidence file and compare it with the hash recorded at upload
+app.get('/api/audits/:id/evidence/:evidenceId/verify', auth.authenticate, auth.requireAuditAccess('id'), async (req, res) => {
+  try {
+    const record = await repos.evidence.get(req.audit.id, req.params.evidenceId);
+    if (!record) {
+      return res.status(404).send('Evidence not found on this audit.');
+    }
+    const { store, key } = evidenceFiles.locate(record.path);
+    const content = await store.read(key);
+    if (!content) {
+      return res.status(200).json({ id: record.id, recorded_sha256: record.sha256 || null, current_sha256: null, intact: false, message: 'The evidence file is missing.' });
+    }
+    const currentHash = sha256(content);
+    res.status(200).json({
+      id: record.id,
+      recorded_sha256: record.sha256 || null,
+      current_sha256: currentHash,
+      // Records from before hashing have nothing to compare against
+      intact: record.sha256 ? record.sha256 === currentHash : null,
     });
-
-    await batch.commit();
-    res.status(200).json({ message: 'Audit response and overall progress updated successfully', newOverallProgress, newOverallStatus });
   } catch (error) {
-    console.error('[Backend Error] Error updating audit response and overall progress:', error);
-    res.status(500).send('Error updating audit response and overall progress: ' + error.message);
+    console.error('[Backend Error] Error verifying evidence:', error);
+    res.status(500).send('Error verifying evidence: ' + error.message);
   }
 });
 
-
-// --- File Upload Endpoint (Local Disk Storage) ---
-
-app.post('/api/upload-evidence', upload.single('evidenceFile'), (req, res) => {
+// Older upload route. The multipart form must carry an `audit_id` field naming an audit the caller
+// may answer on; with a `control_id` the file is also recorded as evidence of that control.
+app.post('/api/upload-evidence', auth.authenticate, receiveEvidenceFile, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).send('No file uploaded.');
     }
 
-    const filePath = `/uploads/${req.file.filename}`;
-    console.log(`[Backend Debug] File uploaded locally: ${filePath}`);
+    const found = req.body.audit_id ? await repos.audits.get(req.body.audit_id) : null;
+    const audit = isDeleted(found) ? null : found;
+    if (!audit || !hasPermission(req.user, audit, PERMISSIONS.ANSWER)) {
+      return audit
+        ? res.status(403).send('You are not allowed to attach evidence to this audit.')
+        : res.status(400).send('A valid audit_id is required to upload evidence.');
+    }
+
+    req.auditRole = getAuditRole(req.user, audit);
+    if (isLocked(audit)) {
+      return res.status(409).send(`The audit is ${getLifecycleState(audit)}; its evidence can no longer be changed.`);
+    }
+
+    const filename = displayFileName(req.file.originalname);
+    let evidenceId = null;
+    let stored;
+    if (req.body.control_id) {
+      const batch = repos.batch();
+      const result = await queueEvidenceRecord(req, batch, { audit, controlId: req.body.control_id, file: req.file });
+      if (result.error) {
+        return sendEvidenceError(res, result);
+      }
+      await batch.commit();
+      searchIndexer.enqueueEvidence(audit.id, result.id);
+      await rescoreForEvidence(audit);
+      evidenceId = result.id;
+      stored = result.record;
+    } else {
+      stored = await storeEvidenceFile(audit.id, req.file);
+      if (stored.error) {
+        return res.status(stored.status).send(stored.error);
+      }
+      await repos.activity.add(audit.id, buildActivityEntry(req, {
+        action: ACTIVITY_ACTIONS.EVIDENCE_UPLOAD,
+        details: { evidence_path: stored.path, evidence_filename: filename, size: stored.size, mimetype: stored.mimetype, sha256: stored.sha256 },
+        at: getTimestamp(),
+      }));
+    }
+    console.log(`[Backend Debug] File uploaded locally: ${stored.path}`);
 
     res.status(200).json({
       message: 'File uploaded successfully',
-      evidence_path: filePath,
-      evidence_filename: req.file.originalname,
+      evidence_id: evidenceId,
+      evidence_path: stored.path,
+      evidence_filename: filename,
+      sha256: stored.sha256,
     });
   } catch (error) {
     console.error('[Backend Error] Error uploading file:', error);
@@ -532,7 +2645,7 @@ try {
 }
 
 
-app.post('/api/generate-recommendation', async (req, res) => {
+app.post('/api/generate-recommendation', auth.authenticate, async (req, res) => {
   try {
     if (!genAIInstance) { // Use the new instance variable
       return res.status(503).send('AI service is not available (API key missing or initialization failed).');
@@ -569,7 +2682,7 @@ Please provide a concise, actionable recommendation for remediation to achieve o
 });
 
 // --- TEMPORARY BULK UPLOAD ENDPOINT FOR CONTROLS ---
-app.post('/api/seed-controls', async (req, res) => {
+app.post('/api/seed-controls', auth.authenticate, auth.requireAdmin, async (req, res) => {
   try {
     const controlsData = req.body;
 
@@ -577,24 +2690,14 @@ app.post('/api/seed-controls', async (req, res) => {
       return res.status(400).send('Request body must be a non-empty array of control objects.');
     }
 
-    const batch = db.batch();
-    const collectionRef = db.collection('controls');
-
-    for (const control of controlsData) {
-      if (!control.id) {
-        console.warn('Skipping control with no ID:', control);
-        continue;
-      }
-      const docRef = collectionRef.doc(control.id);
-      batch.set(docRef, {
-        ...control,
-        created_at: getTimestamp(),
-        updated_at: getTimestamp()
-      }, { merge: false });
+    // Goes through the importer so seeding validates, keeps unchanged controls and records a library version
+    const parsed = parseControlList(controlsData);
+    const report = await upsertControls(repos, parsed, { source: 'seed-controls', createdBy: req.user.uid });
+    if (!report.committed) {
+      return res.status(422).json(report);
     }
 
-    await batch.commit();
-    res.status(201).json({ message: `Successfully seeded ${controlsData.length} controls to Firestore.`, seededCount: controlsData.length });
+    res.status(201).json({ message: `Successfully seeded ${controlsData.length} controls.`, seededCount: controlsData.length, ...report });
   } catch (error) {
     console.error('[Backend Error] Error seeding controls:', error);
     res.status(500).send('Error seeding controls: ' + error.message);
@@ -602,56 +2705,173 @@ app.post('/api/seed-controls', async (req, res) => {
 });
 
 
+// --- Control Library Import ---
+
+// POST: Import controls from the checklist spreadsheet layout (CSV/XLSX) or JSON (multipart field `controlsFile`).
+// Query parameters:
+//   framework_id - framework for rows without a Framework column (e.g. iso27017)
+//   criticality  - criticality for rows without a Criticality column
+//   dryRun=true  - only report what would be created/updated; nothing is written
+// Controls are upserted by ID, so re-importing the same file changes nothing. If any row has an
+// error the import is refused as a whole and the row-level errors are returned.
+app.post('/api/controls/import', auth.authenticate, auth.requireAdmin, controlLibraryUpload.single('controlsFile'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).send('No control library file uploaded (field name: controlsFile).');
+    }
+    const dryRun = req.query.dryRun === 'true';
+
+    const parsed = await parseControlFile(req.file.buffer, {
+      filename: req.file.originalname,
+      defaults: { framework_id: req.query.framework_id, criticality: req.query.criticality },
+    });
+    const report = await upsertControls(repos, parsed, { dryRun, source: `import:${req.file.originalname}`, createdBy: req.user.uid });
+    console.log(`[Backend Debug] Control import (${dryRun ? 'dry run' : 'commit'}) from ${req.file.originalname}:`, JSON.stringify(report.summary));
+
+    if (!dryRun && !report.committed) {
+      return res.status(422).json(report);
+    }
+    res.status(dryRun ? 200 : 201).json(report);
+  } catch (error) {
+    console.error('[Backend Error] Error importing controls:', error);
+    res.status(error.message.startsWith('Unsupported') ? 400 : 500).send('Error importing controls: ' + error.message);
+  }
+});
+
+
+// --- Cross-Framework Control Mappings ---
+
+// POST: Import a crosswalk (CSV/XLSX, multipart field `crosswalkFile`) mapping controls of one
+// framework to controls of another. Columns: Source Framework, Source Control, Target Framework,
+// Target Control, Relationship (equivalent, partial, related) and Notes. ?dryRun=true only reports
+// what would change. Mappings are upserted by control pair; any row error refuses the whole file.
+app.post('/api/control-mappings/import', auth.authenticate, auth.requireAdmin, controlLibraryUpload.single('crosswalkFile'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).send('No crosswalk file uploaded (field name: crosswalkFile).');
+    }
+    const dryRun = req.query.dryRun === 'true';
+
+    const parsed = await parseCrosswalk(req.file.buffer, { filename: req.file.originalname });
+    const report = await upsertMappings(repos, parsed, { dryRun, source: `import:${req.file.originalname}`, createdBy: req.user.uid });
+    console.log(`[Backend Debug] Control mapping import (${dryRun ? 'dry run' : 'commit'}) from ${req.file.originalname}:`, JSON.stringify(report.summary));
+
+    if (!dryRun && !report.committed) {
+      return res.status(422).json(report);
+    }
+    res.status(dryRun ? 200 : 201).json(report);
+  } catch (error) {
+    console.error('[Backend Error] Error importing control mappings:', error);
+    res.status(error.message.startsWith('Unsupported') ? 400 : 500).send('Error importing control mappings: ' + error.message);
+  }
+});
+
+// GET: Control mappings, optionally those of one control (?control_id=) or touching one framework
+// (?framework_id=)
+app.get('/api/control-mappings', auth.authenticate, async (req, res) => {
+  try {
+    let mappings = req.query.control_id
+      ? await repos.controlMappings.listForControl(req.query.control_id)
+      : await repos.controlMappings.list();
+    if (req.query.framework_id) {
+      mappings = mappings.filter(mapping => (mapping.framework_ids || []).includes(req.query.framework_id));
+    }
+    res.status(200).json(mappings.sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true })));
+  } catch (error) {
+    console.error('[Backend Error] Error listing control mappings:', error);
+    res.status(500).send('Error retrieving control mappings: ' + error.message);
+  }
+});
+
+// DELETE: Remove one control mapping
+app.delete('/api/control-mappings/:id', auth.authenticate, auth.requireAdmin, async (req, res) => {
+  try {
+    const mapping = await repos.controlMappings.get(req.params.id);
+    if (!mapping) {
+      return res.status(404).send('Control mapping not found.');
+    }
+    await repos.controlMappings.delete(req.params.id);
+    res.status(200).json({ message: 'Control mapping deleted.', id: req.params.id });
+  } catch (error) {
+    console.error('[Backend Error] Error deleting control mapping:', error);
+    res.status(500).send('Error deleting control mapping: ' + error.message);
+  }
+});
+
+
+// Evidence records of an audit grouped by control, for the reports
+async function loadEvidenceByControl(auditId) {
+  const byControl = new Map();
+  (await repos.evidence.list(auditId)).forEach(record => {
+    if (!byControl.has(record.control_id)) byControl.set(record.control_id, []);
+    byControl.get(record.control_id).push(record);
+  });
+  return byControl;
+}
+
+// Report view of one evidence item (see evidenceItemsForControl). Links are signed so recipients of
+// the report can open them without an account until EVIDENCE_LINK_TTL_DAYS have passed. Files not
+// yet migrated from the uploads folder are listed with a note instead of a link.
+const toEvidenceReportItem = (req, auditId, item) => ({
+  filename: item.filename,
+  link: item.not_migrated ? 'Not migrated (run node migrateEvidence.js)' : signedEvidenceUrl(req, auditId, item.id).url,
+  not_migrated: !!item.not_migrated,
+  question: item.question_index === null || item.question_index === undefined ? null : `Q${item.question_index + 1}`,
+  description: item.description || null,
+  valid_until: item.valid_until || null,
+  expiry_status: evidenceExpiry.status(item.valid_until, toDateString(new Date())),
+  review_status: item.review_status || null,
+  review_comment: item.review_comment || null,
+  sha256: item.sha256 || null,
+  uploaded_by: item.uploaded_by ? item.uploaded_by.name : null,
+  uploaded_at: item.uploaded_at ? toDate(item.uploaded_at).toLocaleDateString() : null,
+});
+
 // NEW ENDPOINT: Generate PDF Report
-app.get('/api/audits/:auditId/report/pdf', async (req, res) => {
+app.get('/api/audits/:auditId/report/pdf', auth.authenticate, auth.requireAuditAccess('auditId'), async (req, res) => {
     try {
         const { auditId } = req.params;
-        const auditDocRef = db.collection('audits').doc(auditId);
-        const auditDoc = await auditDocRef.get();
-
-        if (!auditDoc.exists) {
-            console.error(`[Backend ERROR] PDF Report: Audit with ID ${auditId} not found.`);
-            return res.status(404).send('Audit not found.');
-        }
-
-        const auditData = { id: auditDoc.id, ...auditDoc.data() };
+        const auditData = req.audit;
         console.log(`[Backend DEBUG] PDF Report: Audit Data Fetched:`, auditData.title);
 
-        const frameworksAuditedIds = auditData.frameworks_audited || [];
-        let allControlsForAudit = [];
-        if (frameworksAuditedIds.length > 0) {
-            const chunkSize = 10; // Batching 'in' queries
-            for (let i = 0; i < frameworksAuditedIds.length; i += chunkSize) {
-                const chunk = frameworksAuditedIds.slice(i, i + chunkSize);
-                const controlsQuerySnapshot = await db.collection('controls').where('framework_id', 'in', chunk).get();
-                allControlsForAudit = allControlsForAudit.concat(controlsQuerySnapshot.docs.map(doc => ({ id: doc.id, data: doc.data() })));
-            }
-        }
-        const controlDefinitionsMap = new Map(allControlsForAudit.map(c => [c.id, c.data]));
+        const allControlsForAudit = await loadAuditControls(repos, auditData);
+        const controlDefinitionsMap = new Map(allControlsForAudit.map(c => [c.id, c]));
         console.log(`[Backend DEBUG] PDF Report: Fetched ${controlDefinitionsMap.size} control definitions related to audited frameworks.`);
 
 
-        const responsesRef = auditDocRef.collection('responses');
-        const responsesSnapshot = await responsesRef.get();
+        const responsesList = await repos.responses.list(auditId);
         const auditResponses = {}; // Using an object for easier lookup by control_id
-        responsesSnapshot.docs.forEach(doc => {
-            auditResponses[doc.id] = doc.data();
+        responsesList.forEach(response => {
+            auditResponses[response.id] = response;
         });
         console.log(`[Backend DEBUG] PDF Report: Fetched ${Object.keys(auditResponses).length} audit responses.`);
+        const activityLog = await repos.activity.list(auditId);
+        const evidenceByControl = await loadEvidenceByControl(auditId);
         
         // Filter controls to report on to only include those defined in the audit's frameworks
-        const controlsToReport = Object.values(controlDefinitionsMap).filter(controlDef => 
+        const controlsToReport = Array.from(controlDefinitionsMap.values()).filter(controlDef => 
             auditResponses[controlDef.id] // Only include controls that have a response
         ).sort((a, b) => a.id.localeCompare(b.id)); // Sort by control ID
 
         console.log(`[Backend DEBUG] PDF Report: ${controlsToReport.length} controls will be included in the report.`);
 
+        // Scores are computed live so the report never shows stale stored values
+        const scoring = scoreAudit(allControlsForAudit, responsesList, await loadEvidenceScoringOptions(auditData));
+        const controlScores = new Map(scoring.controls.map(c => [c.control_id, c]));
+
         // Prepare report data structure
         const reportData = {
             audit: {
                 ...auditData,
-                created_at: auditData.created_at ? auditData.created_at.toDate().toLocaleDateString() : 'N/A',
-                updated_at: auditData.updated_at ? auditData.updated_at.toDate().toLocaleDateString() : 'N/A',
+                created_at: auditData.created_at ? toDate(auditData.created_at).toLocaleDateString() : 'N/A',
+                updated_at: auditData.updated_at ? toDate(auditData.updated_at).toLocaleDateString() : 'N/A',
+            },
+            lifecycle: {
+                state: getLifecycleState(auditData),
+                // Only shown once approved; a report from an earlier state carries no approver
+                approved_by: auditData.approval ? auditData.approval.name : null,
+                approved_at: auditData.approval ? toDate(auditData.approval.approved_at).toLocaleDateString() : null,
+                issued_at: auditData.issued ? toDate(auditData.issued.issued_at).toLocaleDateString() : null,
             },
             client: {
                 company_name: auditData.client_company_name || 'N/A',
@@ -666,11 +2886,17 @@ app.get('/api/audits/:auditId/report/pdf', async (req, res) => {
                     objective: controlDef.control_objective || 'N/A',
                     description: controlDef.control_description || 'N/A',
                     compliance_status: response.compliance_status || 'Not Answered',
+                    proposed_compliance_status: response.proposed_compliance_status || null,
+                    status_override_justification: response.status_overridden ? response.status_override_justification : null,
+                    control_score: formatScore(toPercent(controlScores.get(controlDef.id)?.score)),
                     maturity_level: response.maturity_level_selected || 'N/A',
                     justification: response.justification_text || 'None provided',
-                    evidence_filename: response.evidence_filename || 'N/A',
-                    evidence_path: response.evidence_path ? `${req.protocol}://${req.get('host')}${response.evidence_path}` : '#', // Full URL for evidence
+                    evidence: evidenceItemsForControl(evidenceByControl.get(controlDef.id) || [], response, auditId).map(item => toEvidenceReportItem(req, auditId, item)),
                     ai_recommendation: response.ai_recommendation || 'None',
+                    client_remark: response.client_remark || 'None',
+                    auditor_observation: response.auditor_observation || 'None',
+                    risk_rating: response.risk_rating || 'Not Rated',
+                    recommendation: response.recommendation || 'None',
                     questionnaire_answers: (response.question_responses || []).map(qr => ({
                         question_text: qr.question_text,
                         selected_option: qr.option_text || qr.selected_option || 'Not Answered', // Prefer option_text if available
@@ -678,10 +2904,12 @@ app.get('/api/audits/:auditId/report/pdf', async (req, res) => {
                 };
             }),
             summary: {
-                total: auditData.total_controls_in_audit,
-                completed: auditData.completed_controls_in_audit,
-                score: auditData.overall_score,
-                status: auditData.overall_status,
+                total: scoring.total_controls,
+                completed: scoring.completed_controls,
+                progress: scoring.progress_percent,
+                compliance_score: scoring.compliance_score,
+                scored: scoring.scored_controls,
+                status: scoring.overall_status,
                 yes: auditResponses ? Object.values(auditResponses).filter(r => r.compliance_status === 'Yes').length : 0,
                 partial: auditResponses ? Object.values(auditResponses).filter(r => r.compliance_status === 'Partial').length : 0,
                 no: auditResponses ? Object.values(auditResponses).filter(r => r.compliance_status === 'No').length : 0,
@@ -689,6 +2917,14 @@ app.get('/api/audits/:auditId/report/pdf', async (req, res) => {
                 notAnswered: auditResponses ? Object.values(auditResponses).filter(r => r.compliance_status === 'Not Answered').length : 0,
             }
         };
+        // Follow-up audits compare with the audit they follow when the caller can still see it
+        const comparisonResult = auditData.previous_audit_id ? await loadAuditComparison(req, auditData, auditData.previous_audit_id) : {};
+        reportData.comparison = comparisonResult.comparison || null;
+        // Scoped audits list every control of their frameworks with its applicability
+        reportData.applicability = auditData.scope ? applicabilityRows(auditData, allControlsForAudit, await loadOutOfScopeControls(repos, auditData)) : null;
+        const reportEvidence = reportData.controls.flatMap(control => control.evidence);
+        reportData.summary.expiredEvidence = reportEvidence.filter(item => item.expiry_status === 'expired').length;
+        reportData.summary.expiringEvidence = reportEvidence.filter(item => item.expiry_status === 'expiring').length;
         console.log(`[Backend DEBUG] PDF Report: Report Data Summary:`, JSON.stringify(reportData.summary, null, 2));
 
 
@@ -708,8 +2944,16 @@ app.get('/api/audits/:auditId/report/pdf', async (req, res) => {
         doc.moveDown();
         doc.fontSize(12).text(`Client: ${reportData.client.company_name}`);
         doc.text(`Framework: ${reportData.audit.domain_type}`);
-        doc.text(`Status: ${reportData.audit.overall_status}`);
-        doc.text(`Score: ${reportData.audit.overall_score}%`);
+        doc.text(`Lifecycle: ${reportData.lifecycle.state}`);
+        if (reportData.lifecycle.approved_by) {
+            doc.text(`Approved by: ${reportData.lifecycle.approved_by} on ${reportData.lifecycle.approved_at}`);
+        }
+        if (reportData.lifecycle.issued_at) {
+            doc.text(`Issued: ${reportData.lifecycle.issued_at}`);
+        }
+        doc.text(`Status: ${reportData.summary.status}`);
+        doc.text(`Progress: ${reportData.summary.progress}%`);
+        doc.text(`Compliance Score: ${formatScore(reportData.summary.compliance_score)}`);
         doc.moveDown();
 
         doc.fontSize(16).text('Client Details', { underline: true });
@@ -724,10 +2968,54 @@ app.get('/api/audits/:auditId/report/pdf', async (req, res) => {
         doc.moveDown(0.5);
         doc.fontSize(12).text(`Total Controls: ${reportData.summary.total}`);
         doc.text(`Completed Controls: ${reportData.summary.completed}`);
-        doc.text(`Overall Score: ${reportData.summary.score}%`);
+        doc.text(`Progress: ${reportData.summary.progress}%`);
+        doc.text(`Compliance Score: ${formatScore(reportData.summary.compliance_score)} (weighted by criticality over ${reportData.summary.scored} scored controls; Not Applicable excluded)`);
         doc.text(`Compliance Breakdown: Yes (${reportData.summary.yes}), Partial (${reportData.summary.partial}), No (${reportData.summary.no}), N/A (${reportData.summary.notApplicable}), Not Answered (${reportData.summary.notAnswered})`);
+        if (reportData.summary.expiredEvidence > 0 || reportData.summary.expiringEvidence > 0) {
+            doc.text(`Evidence Validity: ${reportData.summary.expiredEvidence} expired, ${reportData.summary.expiringEvidence} expiring within ${evidenceExpiry.warningDays} days`);
+        }
+        if (reportData.applicability) {
+            doc.text(`Scope: ${reportData.summary.total} of ${reportData.applicability.length} controls of the audited frameworks apply (see Scope and Applicability)`);
+        }
         doc.moveDown();
 
+        if (reportData.comparison) {
+            const { previous, summary, controls: comparedControls } = reportData.comparison;
+            const change = reportData.comparison.compliance_score_change;
+            doc.fontSize(16).text('Year-over-Year Comparison', { underline: true });
+            doc.moveDown(0.5);
+            doc.fontSize(12).text(`Previous Audit: ${previous.title}${previous.created_at ? ` (${toDate(previous.created_at).toLocaleDateString()})` : ''}`);
+            doc.text(`Compliance Score: ${formatScore(previous.compliance_score)} -> ${formatScore(reportData.summary.compliance_score)}${change === null ? '' : ` (${change > 0 ? '+' : ''}${change} points)`}`);
+            doc.text(`Controls: ${summary.improved} improved, ${summary.regressed} regressed, ${summary.unchanged} unchanged, ${summary.changed} changed, ${summary.not_assessed} not yet assessed, ${summary.new} new, ${summary.removed} removed`);
+            const movedControls = comparedControls.filter(control => ['improved', 'regressed', 'changed', 'new', 'removed'].includes(control.change));
+            if (movedControls.length > 0) {
+                doc.moveDown(0.5);
+                movedControls.forEach(control => {
+                    doc.fontSize(10).text(`${control.control_id} (${control.change}): ${control.previous_status || '-'} -> ${control.current_status || '-'}${control.control_changed ? ' [control updated]' : ''}`);
+                });
+            }
+            doc.moveDown();
+        }
+
+        if (reportData.applicability) {
+            const scope = auditData.scope;
+            doc.addPage();
+            doc.fontSize(18).text('Scope and Applicability', { align: 'center', underline: true });
+            doc.moveDown();
+            doc.fontSize(12).text(`Frameworks: ${scope.framework_ids.join(', ')}${scope.framework_rationale ? ` - ${scope.framework_rationale}` : ''}`);
+            if (scope.controls) {
+                doc.text(`Controls: ${scope.controls.join(', ')} - ${scope.controls_rationale}`);
+            }
+            doc.moveDown(0.5);
+            reportData.applicability.forEach(row => {
+                doc.fontSize(10).text(`${row.control_id}: ${row.control_objective || 'N/A'}`, { continued: true })
+                    .text(` - ${row.applicable ? 'Applicable' : 'Not applicable'} (${APPLICABILITY_REASON_LABELS[row.reason]})`);
+                if (!row.applicable && row.rationale) {
+                    doc.fontSize(9).text(`    Rationale: ${row.rationale}`);
+                }
+            });
+        }
+
         doc.addPage(); // Start controls on a new page
         doc.fontSize(18).text('Detailed Control Responses', { align: 'center', underline: true });
         doc.moveDown();
@@ -740,10 +3028,29 @@ app.get('/api/audits/:auditId/report/pdf', async (req, res) => {
                 doc.moveDown(0.2);
                 doc.fontSize(10).text(`Description: ${control.description}`);
                 doc.text(`Compliance Status: ${control.compliance_status}`);
+                if (control.status_override_justification) {
+                    doc.text(`Status Override: proposed ${control.proposed_compliance_status} from the answers; ${control.status_override_justification}`);
+                }
+                doc.text(`Control Score: ${control.control_score}`);
                 doc.text(`Maturity Level: ${control.maturity_level}`);
                 doc.text(`Justification: ${control.justification}`);
-                if (control.evidence_path !== '#') {
-                    doc.text(`Evidence: ${control.evidence_filename} (${control.evidence_path})`);
+                doc.text(`Client Remark: ${control.client_remark}`);
+                doc.text(`Auditor Observation: ${control.auditor_observation}`);
+                doc.text(`Risk Rating: ${control.risk_rating}`);
+                doc.text(`Recommendation: ${control.recommendation}`);
+                if (control.evidence.length > 0) {
+                    doc.text(`Evidence (${control.evidence.length}):`);
+                    control.evidence.forEach(item => {
+                        doc.text(`  - ${item.question ? `[${item.question}] ` : ''}${item.filename} (${item.link})`);
+                        const meta = [
+                            item.description,
+                            item.uploaded_by && `uploaded by ${item.uploaded_by} on ${item.uploaded_at}`,
+                            item.valid_until && (item.expiry_status === 'expired' ? `EXPIRED on ${item.valid_until}` : `valid until ${item.valid_until}${item.expiry_status === 'expiring' ? ' (expiring soon)' : ''}`),
+                            item.review_status && `review: ${item.review_status}${item.review_comment ? ` - ${item.review_comment}` : ''}`,
+                        ].filter(Boolean);
+                        if (meta.length > 0) doc.text(`    ${meta.join('; ')}`);
+                        if (item.sha256) doc.text(`    SHA-256: ${item.sha256}`);
+                    });
                 }
                 if (control.ai_recommendation !== 'None') {
                     doc.text(`AI Recommendation: ${control.ai_recommendation}`);
@@ -763,7 +3070,26 @@ app.get('/api/audits/:auditId/report/pdf', async (req, res) => {
                 }
             });
         }
-        
+
+        // Appendix: the audit's activity log, oldest first
+        doc.addPage();
+        doc.fontSize(18).text('Appendix: Activity Log', { align: 'center', underline: true });
+        doc.moveDown();
+        if (activityLog.length === 0) {
+            doc.fontSize(10).text('No activity recorded for this audit.', { align: 'center' });
+        }
+        activityLog.forEach(entry => {
+            const actor = `${entry.actor.name}${entry.actor.role ? ` (${entry.actor.role})` : ''}`;
+            doc.fontSize(10).text(`${toDate(entry.at).toLocaleString()} - ${actor} - ${entry.action}${entry.control_id ? ` - ${entry.control_id}` : ''}`);
+            (entry.changes || []).forEach(change => {
+                doc.fontSize(9).text(`    ${change.field}: ${formatActivityValue(change.before)} -> ${formatActivityValue(change.after)}`);
+            });
+            if (entry.details && entry.details.evidence_filename) {
+                doc.fontSize(9).text(`    Evidence: ${entry.details.evidence_filename}`);
+            }
+            doc.moveDown(0.3);
+        });
+
         doc.end();
 
     } catch (error) {
@@ -774,46 +3100,36 @@ app.get('/api/audits/:auditId/report/pdf', async (req, res) => {
 
 
 // Excel Report Route (UPDATED WITH MORE DEBUGGING)
-app.get('/api/audits/:auditId/checklist/xlsx', async (req, res) => {
+app.get('/api/audits/:auditId/checklist/xlsx', auth.authenticate, auth.requireAuditAccess('auditId'), async (req, res) => {
     const auditId = req.params.auditId;
     console.log(`[Backend DEBUG] --- START Generating Excel checklist for audit ID: ${auditId} ---`);
 
     try {
         // 1. Fetch Audit Details
-        const auditDoc = await db.collection('audits').doc(auditId).get();
-        if (!auditDoc.exists) {
-            console.error(`[Backend ERROR] Excel Report: Audit with ID ${auditId} not found.`);
-            return res.status(404).send('Audit not found.');
-        }
-        const auditData = auditDoc.data();
+        const auditData = req.audit;
         console.log(`[Backend DEBUG] Excel Report: Audit Data Fetched:`, auditData.title);
         console.log(`[Backend DEBUG] Excel Report: Audit Frameworks:`, auditData.frameworks_audited);
 
 
         // 2. Fetch All Control Definitions for the frameworks audited in this audit
-        const frameworksAuditedIds = auditData.frameworks_audited || [];
-        let allControlsForAudit = [];
-        if (frameworksAuditedIds.length > 0) {
-            const chunkSize = 10; // Firestore 'in' query limit
-            for (let i = 0; i < frameworksAuditedIds.length; i += chunkSize) {
-                const chunk = frameworksAuditedIds.slice(i, i + chunkSize);
-                const controlsQuerySnapshot = await db.collection('controls').where('framework_id', 'in', chunk).get();
-                allControlsForAudit = allControlsForAudit.concat(controlsQuerySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
-            }
-        }
+        const allControlsForAudit = await loadAuditControls(repos, auditData);
         const controlDefinitionsMap = new Map(allControlsForAudit.map(c => [c.id, c]));
         console.log(`[Backend DEBUG] Excel Report: Fetched ${allControlsForAudit.length} control definitions related to audited frameworks.`);
 
 
         // 3. Fetch All Audit Responses for this Audit from the subcollection
-        const responsesSnapshot = await db.collection('audits').doc(auditId).collection('responses').get();
+        const responsesList = await repos.responses.list(auditId);
         const auditResponses = {}; // Using an object for easier lookup by control_id
-        responsesSnapshot.docs.forEach(doc => {
-            auditResponses[doc.id] = doc.data();
+        responsesList.forEach(response => {
+            auditResponses[response.id] = response;
         });
         console.log(`[Backend DEBUG] Excel Report: Fetched ${Object.keys(auditResponses).length} audit responses for audit ID: ${auditId}.`);
         console.log(`[Backend DEBUG] Excel Report: Audit Responses Content (first few):`, JSON.stringify(Object.values(auditResponses).slice(0, 3), null, 2));
 
+        const scoring = scoreAudit(allControlsForAudit, responsesList, await loadEvidenceScoringOptions(auditData));
+        const controlScores = new Map(scoring.controls.map(c => [c.control_id, c]));
+        const evidenceByControl = await loadEvidenceByControl(auditId);
+
 
         // Create a new workbook and a worksheet
         const workbook = new ExcelJS.Workbook();
@@ -826,7 +3142,12 @@ app.get('/api/audits/:auditId/checklist/xlsx', async (req, res) => {
             { header: 'Question', key: 'question', width: 60 },
             { header: 'Selected Option', key: 'selectedOption', width: 25 },
             { header: 'Compliance Status', key: 'complianceStatus', width: 20 },
+            { header: 'Control Score', key: 'controlScore', width: 14 },
             { header: 'Justification', key: 'justification', width: 50 },
+            { header: 'Client Remark', key: 'clientRemark', width: 40 },
+            { header: 'Auditor Observations', key: 'auditorObservation', width: 50 },
+            { header: 'Risk', key: 'riskRating', width: 12 },
+            { header: 'Recommendations', key: 'recommendation', width: 50 },
             { header: 'Maturity Level', key: 'maturityLevel', width: 15 },
             { header: 'AI Recommendation', key: 'aiRecommendation', width: 60 },
             { header: 'Evidence Filename', key: 'evidenceFilename', width: 30 },
@@ -860,7 +3181,8 @@ app.get('/api/audits/:auditId/checklist/xlsx', async (req, res) => {
             worksheet.addRow({
                 controlId: 'N/A',
                 controlObjective: 'No controls found for the frameworks associated with this audit.',
-                question: '', selectedOption: '', complianceStatus: '', justification: '',
+                question: '', selectedOption: '', complianceStatus: '', controlScore: '', justification: '',
+                clientRemark: '', auditorObservation: '', riskRating: '', recommendation: '',
                 maturityLevel: '', aiRecommendation: '', evidenceFilename: '', evidenceLink: ''
             });
         }
@@ -870,8 +3192,13 @@ app.get('/api/audits/:auditId/checklist/xlsx', async (req, res) => {
             console.log(`[Backend DEBUG] Excel Report: Processing Control: ${control.id}, Response Found: ${!!response}`);
 
             // Ensure control.questionnaires is an array before iterating
+            // Evidence for a question goes on its row, evidence for the whole control on the first row
+            const evidenceItems = evidenceItemsForControl(evidenceByControl.get(control.id) || [], response, auditId).map(item => ({ ...item, report: toEvidenceReportItem(req, auditId, item) }));
+            const evidenceForRow = (qIndex) => evidenceItems.filter(item => item.question_index === qIndex || (qIndex === 0 && (item.question_index === null || item.question_index === undefined)));
+
             (control.questionnaires || []).forEach((q, qIndex) => {
                 const questionResponse = response?.question_responses?.[qIndex]; // Get specific question response
+                const rowEvidence = evidenceForRow(qIndex);
                 console.log(`  [Backend DEBUG] Excel Report: Q${qIndex} for ${control.id}: Question Text: "${q.question_text}", Selected Option: "${questionResponse?.selected_option || 'N/A'}"`);
 
                 const rowData = {
@@ -880,11 +3207,16 @@ app.get('/api/audits/:auditId/checklist/xlsx', async (req, res) => {
                     question: q.question_text,
                     selectedOption: questionResponse?.option_text || questionResponse?.selected_option || 'Not Answered', // Prefer option_text
                     complianceStatus: qIndex === 0 ? response?.compliance_status || 'Not Answered' : '', // Only show status once
+                    controlScore: qIndex === 0 ? formatScore(toPercent(controlScores.get(control.id)?.score)) : '',
                     justification: qIndex === 0 ? response?.justification_text || 'None Provided' : '', // Only show justification once
+                    clientRemark: qIndex === 0 ? response?.client_remark || '' : '', // Fieldwork columns, once per control
+                    auditorObservation: qIndex === 0 ? response?.auditor_observation || '' : '',
+                    riskRating: qIndex === 0 ? response?.risk_rating || '' : '',
+                    recommendation: qIndex === 0 ? response?.recommendation || '' : '',
                     maturityLevel: qIndex === 0 ? response?.maturity_level_selected || 'N/A' : '', // Only show maturity once
                     aiRecommendation: qIndex === 0 ? response?.ai_recommendation || 'None' : '', // Only show AI recommendation once
-                    evidenceFilename: qIndex === 0 ? response?.evidence_filename || 'N/A' : '', // Only show filename once
-                    evidenceLink: qIndex === 0 && response?.evidence_path ? `${req.protocol}://${req.get('host')}${response.evidence_path}` : 'N/A', // Only show link once
+                    evidenceFilename: rowEvidence.map(item => `${item.report.filename}${item.report.expiry_status === 'expired' ? ' (EXPIRED)' : ''}`).join('\n') || (qIndex === 0 ? 'N/A' : ''),
+                    evidenceLink: rowEvidence.map(item => item.report.link).join('\n') || (qIndex === 0 ? 'N/A' : ''),
                 };
                 worksheet.addRow(rowData);
             });
@@ -895,6 +3227,93 @@ app.get('/api/audits/:auditId/checklist/xlsx', async (req, res) => {
             }
         }
         
+        // Evidence sheet: one row per evidence item with its metadata
+        const evidenceSheet = workbook.addWorksheet('Evidence');
+        evidenceSheet.columns = [
+            { header: 'Control ID', key: 'controlId', width: 15 },
+            { header: 'Question', key: 'question', width: 10 },
+            { header: 'Filename', key: 'filename', width: 30 },
+            { header: 'Description', key: 'description', width: 40 },
+            { header: 'Uploaded By', key: 'uploadedBy', width: 20 },
+            { header: 'Uploaded On', key: 'uploadedAt', width: 14 },
+            { header: 'Valid Until', key: 'validUntil', width: 14 },
+            { header: 'Expiry', key: 'expiry', width: 12 },
+            { header: 'Review Status', key: 'reviewStatus', width: 16 },
+            { header: 'Review Comment', key: 'reviewComment', width: 40 },
+            { header: 'SHA-256', key: 'sha256', width: 66 },
+            { header: 'Link', key: 'link', width: 50 },
+        ];
+        evidenceSheet.getRow(1).eachCell((cell) => {
+            cell.font = { bold: true };
+        });
+        controlsForExcel.forEach(control => {
+            evidenceItemsForControl(evidenceByControl.get(control.id) || [], auditResponses[control.id], auditId).forEach(item => {
+                const report = toEvidenceReportItem(req, auditId, item);
+                evidenceSheet.addRow({
+                    controlId: control.id,
+                    question: report.question || 'Control',
+                    filename: report.filename,
+                    description: report.description || '',
+                    uploadedBy: report.uploaded_by || '',
+                    uploadedAt: report.uploaded_at || '',
+                    validUntil: report.valid_until || '',
+                    expiry: { expired: 'Expired', expiring: 'Expiring', valid: 'Valid' }[report.expiry_status] || '',
+                    reviewStatus: report.review_status || '',
+                    reviewComment: report.review_comment || '',
+                    sha256: report.sha256 || '',
+                    link: report.link,
+                });
+            });
+        });
+
+        // Applicability sheet: every control of the audited frameworks, including those the scope left out
+        const applicabilitySheet = workbook.addWorksheet('Applicability');
+        applicabilitySheet.columns = [
+            { header: 'Control ID', key: 'controlId', width: 15 },
+            { header: 'Framework', key: 'framework', width: 15 },
+            { header: 'Control Objective', key: 'controlObjective', width: 40 },
+            { header: 'Applicable', key: 'applicable', width: 12 },
+            { header: 'Reason', key: 'reason', width: 15 },
+            { header: 'Rationale', key: 'rationale', width: 60 },
+        ];
+        applicabilitySheet.getRow(1).eachCell((cell) => {
+            cell.font = { bold: true };
+        });
+        const applicability = applicabilityRows(auditData, allControlsForAudit, await loadOutOfScopeControls(repos, auditData));
+        applicability.forEach(row => {
+            applicabilitySheet.addRow({
+                controlId: row.control_id,
+                framework: row.framework_id || '',
+                controlObjective: row.control_objective || '',
+                applicable: row.applicable ? 'Yes' : 'No',
+                reason: APPLICABILITY_REASON_LABELS[row.reason],
+                rationale: row.rationale || '',
+            });
+        });
+
+        // Summary sheet with the two audit-level measures
+        const summarySheet = workbook.addWorksheet('Summary');
+        summarySheet.columns = [
+            { header: 'Measure', key: 'measure', width: 30 },
+            { header: 'Value', key: 'value', width: 20 },
+        ];
+        summarySheet.getRow(1).eachCell((cell) => {
+            cell.font = { bold: true };
+        });
+        summarySheet.addRows([
+            { measure: 'Lifecycle', value: getLifecycleState(auditData) },
+            { measure: 'Approved By', value: auditData.approval ? auditData.approval.name : 'Not approved' },
+            { measure: 'Approved On', value: auditData.approval ? toDate(auditData.approval.approved_at).toLocaleDateString() : '' },
+            { measure: 'Status', value: scoring.overall_status },
+            { measure: 'Total Controls', value: scoring.total_controls },
+            { measure: 'Out of Scope Controls', value: applicability.length - scoring.total_controls },
+            { measure: 'Completed Controls', value: scoring.completed_controls },
+            { measure: 'Progress', value: `${scoring.progress_percent}%` },
+            { measure: 'Compliance Score', value: formatScore(scoring.compliance_score) },
+            { measure: 'Scored Controls', value: scoring.scored_controls },
+            { measure: 'Not Applicable Controls', value: scoring.not_applicable_controls },
+        ]);
+
         // Set response headers for file download
         res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
         res.setHeader('Content-Disposition', `attachment; filename=audit_checklist_${auditId}.xlsx`);
@@ -912,10 +3331,66 @@ app.get('/api/audits/:auditId/checklist/xlsx', async (req, res) => {
 });
 
 
-// Start the Express Server
-app.listen(PORT, () => {
-  console.log(`SecUrAuditz Backend listening on port ${PORT}`);
-  console.log(`Access health check at: http://localhost:${PORT}/api/health`);
-  console.log(`File uploads stored in: ${uploadsDir}`);
-  console.log(`TEMPORARY: Use POST http://localhost:${PORT}/api/seed-controls to upload control data.`);
-});
\ No newline at end of file
+const SOA_FORMATS = ['json', 'xlsx', 'pdf'];
+
+// GET: Statement of Applicability of the audit (?format=json (default), xlsx or pdf): every control
+// of its frameworks with applicability, justification, implementation status and evidence links
+app.get('/api/audits/:id/soa', auth.authenticate, auth.requireAuditAccess('id'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!SOA_FORMATS.includes(format)) {
+      return res.status(400).send(`format must be one of: ${SOA_FORMATS.join(', ')}.`);
+    }
+    const audit = req.audit;
+    const applicability = applicabilityRows(audit, await loadAuditControls(repos, audit), await loadOutOfScopeControls(repos, audit));
+    const responsesList = await repos.responses.list(audit.id);
+    const responses = new Map(responsesList.map(response => [response.control_id || response.id, response]));
+    const evidenceByControl = await loadEvidenceByControl(audit.id);
+    const soa = buildStatementOfApplicability({
+      audit,
+      applicability,
+      responses,
+      evidenceFor: controlId => evidenceItemsForControl(evidenceByControl.get(controlId) || [], responses.get(controlId), audit.id)
+        .map(item => ({ evidence_id: item.id, ...toEvidenceReportItem(req, audit.id, item) })),
+      generatedAt: new Date().toISOString(),
+    });
+
+    if (format === 'json') {
+      return res.status(200).json(soa);
+    }
+    if (format === 'xlsx') {
+      const workbook = buildSoaWorkbook(soa);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename=soa_${audit.id}.xlsx`);
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+    const doc = new PDFDocument();
+    const buffers = [];
+    doc.on('data', buffers.push.bind(buffers));
+    doc.on('end', () => {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=soa_${audit.id}.pdf`);
+      res.send(Buffer.concat(buffers));
+    });
+    writeSoaPdf(doc, soa);
+    doc.end();
+  } catch (error) {
+    console.error('[Backend Error] Error generating Statement of Applicability:', error);
+    res.status(500).send('Failed to generate Statement of Applicability: ' + error.message);
+  }
+});
+
+
+// Start the Express Server (skipped when the app is required from a test or script)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`SecUrAuditz Backend listening on port ${PORT}`);
+    console.log(`Access health check at: http://localhost:${PORT}/api/health`);
+    console.log(`Evidence files stored with the ${evidenceFiles.store.name} storage driver.`);
+    expiryReminders.start();
+    console.log(`TEMPORARY: Use POST http://localhost:${PORT}/api/seed-controls to upload control data.`);
+  });
+}
+
+module.exports = app;
\ No newline at end of file
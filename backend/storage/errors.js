@@ -0,0 +1,14 @@
+// backend/storage/errors.js
+// Errors the stores raise for the repositories and routes to recognise by `code`.
+
+// A batch was refused because a document no longer had the value it was expected to have
+// (see batch.expect). Nothing in the batch was written.
+const STALE_WRITE = 'STALE_WRITE';
+
+function staleWriteError(collectionPath, id, field) {
+  const error = new Error(`${collectionPath}/${id} changed since it was read (${field} differs).`);
+  error.code = STALE_WRITE;
+  return error;
+}
+
+module.exports = { STALE_WRITE, staleWriteError };
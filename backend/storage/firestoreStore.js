@@ -0,0 +1,131 @@
+// backend/storage/firestoreStore.js
+// Document store backed by the Firebase Admin SDK (Cloud Firestore).
+
+const { getFirebaseAdmin } = require('../firebaseAdmin');
+const { staleWriteError } = require('./errors');
+
+// Firestore 'in' queries support a limited number of comparison values
+const IN_QUERY_CHUNK_SIZE = 10;
+// Firestore batches are limited to 500 writes
+const MAX_BATCH_WRITES = 500;
+
+function createFirestoreStore(options = {}) {
+  const admin = getFirebaseAdmin(options.serviceAccountPath);
+  const db = admin.firestore();
+
+  const toDoc = (doc) => ({ id: doc.id, ...doc.data() });
+
+  const runQuery = async (collectionPath, where, orderBy) => {
+    let query = db.collection(collectionPath);
+    where.forEach(([field, op, value]) => {
+      query = query.where(field, op, value);
+    });
+    if (orderBy) {
+      query = query.orderBy(orderBy.field, orderBy.direction || 'asc');
+    }
+    const snapshot = await query.get();
+    return snapshot.docs.map(toDoc);
+  };
+
+  const createBatch = () => {
+    const writes = [];
+    const expectations = [];
+
+    // Checks the expectations and applies the first MAX_BATCH_WRITES writes in one transaction;
+    // Firestore retries it when one of the read documents changes before it commits
+    const commitChecked = () => db.runTransaction(async (transaction) => {
+      const refs = expectations.map(({ collectionPath, id }) => db.collection(collectionPath).doc(id));
+      const snapshots = await transaction.getAll(...refs);
+      const staleIdx = expectations.findIndex(({ field, value }, idx) =>
+        ((snapshots[idx].exists ? snapshots[idx].get(field) : null) ?? null) !== value);
+      if (staleIdx !== -1) {
+        const { collectionPath, id, field } = expectations[staleIdx];
+        throw staleWriteError(collectionPath, id, field);
+      }
+      writes.slice(0, MAX_BATCH_WRITES).forEach(write => write(transaction));
+    });
+
+    return {
+      // The commit is refused unless the document's field still holds `value` (a missing document
+      // or field counts as null)
+      expect(collectionPath, id, field, value) {
+        expectations.push({ collectionPath, id, field, value: value ?? null });
+      },
+      set(collectionPath, id, data, opts = {}) {
+        writes.push(b => b.set(db.collection(collectionPath).doc(id), data, { merge: !!opts.merge }));
+      },
+      update(collectionPath, id, data) {
+        writes.push(b => b.update(db.collection(collectionPath).doc(id), data));
+      },
+      delete(collectionPath, id) {
+        writes.push(b => b.delete(db.collection(collectionPath).doc(id)));
+      },
+      async commit() {
+        let first = 0;
+        if (expectations.length > 0) {
+          await commitChecked();
+          first = MAX_BATCH_WRITES;
+        }
+        for (let i = first; i < writes.length; i += MAX_BATCH_WRITES) {
+          const batch = db.batch();
+          writes.slice(i, i + MAX_BATCH_WRITES).forEach(write => write(batch));
+          await batch.commit();
+        }
+      },
+    };
+  };
+
+  return {
+    name: 'firestore',
+
+    now: () => admin.firestore.Timestamp.now(),
+
+    newId: (collectionPath) => db.collection(collectionPath).doc().id,
+
+    async getDoc(collectionPath, id) {
+      const doc = await db.collection(collectionPath).doc(id).get();
+      return doc.exists ? toDoc(doc) : null;
+    },
+
+    // where: array of [field, op, value] tuples; orderBy: { field, direction }
+    async listDocs(collectionPath, { where = [], orderBy } = {}) {
+      // Split large 'in' filters into several queries and concatenate the results
+      const inFilterIndex = where.findIndex(([, op]) => op === 'in');
+      if (inFilterIndex === -1) {
+        return runQuery(collectionPath, where, orderBy);
+      }
+      const [field, , values] = where[inFilterIndex];
+      if (!values || values.length === 0) {
+        return [];
+      }
+      const otherFilters = where.filter((_, idx) => idx !== inFilterIndex);
+      let results = [];
+      for (let i = 0; i < values.length; i += IN_QUERY_CHUNK_SIZE) {
+        const chunk = values.slice(i, i + IN_QUERY_CHUNK_SIZE);
+        results = results.concat(await runQuery(collectionPath, [...otherFilters, [field, 'in', chunk]], orderBy));
+      }
+      return results;
+    },
+
+    async addDoc(collectionPath, data) {
+      const docRef = await db.collection(collectionPath).add(data);
+      return docRef.id;
+    },
+
+    async setDoc(collectionPath, id, data, opts = {}) {
+      await db.collection(collectionPath).doc(id).set(data, { merge: !!opts.merge });
+    },
+
+    async updateDoc(collectionPath, id, data) {
+      await db.collection(collectionPath).doc(id).update(data);
+    },
+
+    async deleteDoc(collectionPath, id) {
+      await db.collection(collectionPath).doc(id).delete();
+    },
+
+    batch: createBatch,
+  };
+}
+
+module.exports = { createFirestoreStore };
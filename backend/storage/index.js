@@ -0,0 +1,34 @@
+// backend/storage/index.js
+// Selects the storage backend from the environment:
+//   STORAGE_BACKEND=firestore (default) - Cloud Firestore via firebase-service-account.json
+//   STORAGE_BACKEND=local               - JSON file at LOCAL_DATA_FILE (default: data/securauditz-db.json)
+//   STORAGE_BACKEND=memory              - in-process only, nothing is persisted (useful for tests)
+
+const path = require('path');
+const { createFirestoreStore } = require('./firestoreStore');
+const { createLocalStore } = require('./localStore');
+const { createRepositories } = require('./repositories');
+const { toDate } = require('./timestamps');
+const { STALE_WRITE } = require('./errors');
+
+const DEFAULT_LOCAL_DATA_FILE = path.join(__dirname, '..', 'data', 'securauditz-db.json');
+
+function createStore(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || 'firestore').toLowerCase();
+  switch (backend) {
+    case 'firestore':
+      return createFirestoreStore({ serviceAccountPath: env.FIREBASE_SERVICE_ACCOUNT_PATH });
+    case 'local':
+      return createLocalStore({ dataFile: env.LOCAL_DATA_FILE || DEFAULT_LOCAL_DATA_FILE });
+    case 'memory':
+      return createLocalStore();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use firestore, local or memory.`);
+  }
+}
+
+function createStorage(env = process.env) {
+  return createRepositories(createStore(env));
+}
+
+module.exports = { createStorage, createStore, createRepositories, toDate, STALE_WRITE };
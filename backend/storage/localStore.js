@@ -0,0 +1,179 @@
+// backend/storage/localStore.js
+// In-process document store, optionally persisted to a single JSON file.
+// Mirrors the subset of Firestore behaviour the repositories rely on so the API,
+// the seeder and tests can run without a Google project.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { staleWriteError } = require('./errors');
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Recursively merges plain objects, like Firestore's set(..., { merge: true })
+function deepMerge(target, source) {
+  const result = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    result[key] = isPlainObject(value) && isPlainObject(result[key]) ? deepMerge(result[key], value) : value;
+  });
+  return result;
+}
+
+function matchesFilter(doc, [field, op, value]) {
+  const fieldValue = doc[field];
+  switch (op) {
+    case '==':
+      return fieldValue === value;
+    case '!=':
+      return fieldValue !== value;
+    case 'in':
+      return Array.isArray(value) && value.includes(fieldValue);
+    case 'array-contains':
+      return Array.isArray(fieldValue) && fieldValue.includes(value);
+    case '<':
+      return fieldValue < value;
+    case '<=':
+      return fieldValue <= value;
+    case '>':
+      return fieldValue > value;
+    case '>=':
+      return fieldValue >= value;
+    default:
+      throw new Error(`Unsupported filter operator for local storage: ${op}`);
+  }
+}
+
+function createLocalStore(options = {}) {
+  const dataFile = options.dataFile ? path.resolve(options.dataFile) : null;
+  let collections = {};
+
+  if (dataFile && fs.existsSync(dataFile)) {
+    collections = JSON.parse(fs.readFileSync(dataFile, 'utf8')).collections || {};
+  }
+
+  const persist = () => {
+    if (!dataFile) return;
+    fs.mkdirSync(path.dirname(dataFile), { recursive: true });
+    // Write to a temporary file first so a crash never leaves a half-written database
+    const tmpFile = `${dataFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ collections }, null, 2));
+    fs.renameSync(tmpFile, dataFile);
+  };
+
+  const collection = (collectionPath) => {
+    if (!collections[collectionPath]) {
+      collections[collectionPath] = {};
+    }
+    return collections[collectionPath];
+  };
+
+  const applySet = (collectionPath, id, data, opts = {}) => {
+    const docs = collection(collectionPath);
+    docs[id] = opts.merge && docs[id] ? deepMerge(docs[id], clone(data)) : clone(data);
+  };
+
+  const applyUpdate = (collectionPath, id, data) => {
+    const docs = collection(collectionPath);
+    if (!docs[id]) {
+      throw new Error(`No document to update: ${collectionPath}/${id}`);
+    }
+    docs[id] = { ...docs[id], ...clone(data) };
+  };
+
+  const applyDelete = (collectionPath, id) => {
+    delete collection(collectionPath)[id];
+  };
+
+  const createBatch = () => {
+    const writes = [];
+    const expectations = [];
+    return {
+      // The commit is refused unless the document's field still holds `value` (a missing document
+      // or field counts as null)
+      expect(collectionPath, id, field, value) {
+        expectations.push({ collectionPath, id, field, value: value ?? null });
+      },
+      set(collectionPath, id, data, opts = {}) {
+        writes.push(() => applySet(collectionPath, id, data, opts));
+      },
+      update(collectionPath, id, data) {
+        writes.push(() => applyUpdate(collectionPath, id, data));
+      },
+      delete(collectionPath, id) {
+        writes.push(() => applyDelete(collectionPath, id));
+      },
+      async commit() {
+        // Checked and applied without yielding, so no other write can get in between
+        const stale = expectations.find(({ collectionPath, id, field, value }) =>
+          ((collection(collectionPath)[id] || {})[field] ?? null) !== value);
+        if (stale) {
+          throw staleWriteError(stale.collectionPath, stale.id, stale.field);
+        }
+        // Apply against a snapshot so a failing write leaves the store untouched
+        const snapshot = clone(collections);
+        try {
+          writes.forEach(write => write());
+        } catch (error) {
+          collections = snapshot;
+          throw error;
+        }
+        persist();
+      },
+    };
+  };
+
+  return {
+    name: dataFile ? 'local' : 'memory',
+
+    now: () => new Date().toISOString(),
+
+    newId: () => crypto.randomBytes(10).toString('hex'),
+
+    async getDoc(collectionPath, id) {
+      const data = collection(collectionPath)[id];
+      return data ? { id, ...clone(data) } : null;
+    },
+
+    async listDocs(collectionPath, { where = [], orderBy } = {}) {
+      let docs = Object.entries(collection(collectionPath))
+        .map(([id, data]) => ({ id, ...clone(data) }))
+        .filter(doc => where.every(filter => matchesFilter(doc, filter)));
+      if (orderBy) {
+        const direction = orderBy.direction === 'desc' ? -1 : 1;
+        docs = docs.sort((a, b) => {
+          if (a[orderBy.field] === b[orderBy.field]) return 0;
+          return a[orderBy.field] > b[orderBy.field] ? direction : -direction;
+        });
+      }
+      return docs;
+    },
+
+    async addDoc(collectionPath, data) {
+      const id = crypto.randomBytes(10).toString('hex');
+      applySet(collectionPath, id, data);
+      persist();
+      return id;
+    },
+
+    async setDoc(collectionPath, id, data, opts = {}) {
+      applySet(collectionPath, id, data, opts);
+      persist();
+    },
+
+    async updateDoc(collectionPath, id, data) {
+      applyUpdate(collectionPath, id, data);
+      persist();
+    },
+
+    async deleteDoc(collectionPath, id) {
+      applyDelete(collectionPath, id);
+      persist();
+    },
+
+    batch: createBatch,
+  };
+}
+
+module.exports = { createLocalStore };
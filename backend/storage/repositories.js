@@ -0,0 +1,257 @@
+// backend/storage/repositories.js
+// Domain repositories (frameworks, controls and their versions and cross-framework mappings, audits,
+// audit responses with their revisions, evidence, search index, activity, users) built on top of a document store. Routes and scripts should go through
+// these instead of the store.
+
+const { toDate } = require('./timestamps');
+
+const responsesPath = (auditId) => `audits/${auditId}/responses`;
+const activityPath = (auditId) => `audits/${auditId}/activity`;
+const evidencePath = (auditId) => `audits/${auditId}/evidence`;
+const searchIndexPath = (auditId) => `audits/${auditId}/search_index`;
+const revisionsPath = (auditId, controlId) => `${responsesPath(auditId)}/${controlId}/revisions`;
+
+// Control snapshots are stored flat as "<control id>@<version>" so one query covers a whole library
+const controlVersionId = (controlId, version) => `${controlId}@${version}`;
+
+function createRepositories(store) {
+  // Queue the write on the caller's batch when one is given, otherwise write immediately
+  const write = (opts, queue, immediate) => (opts.batch ? queue(opts.batch) : immediate());
+
+  const frameworks = {
+    list: () => store.listDocs('frameworks'),
+
+    listByType: (type) => store.listDocs('frameworks', { where: [['type', '==', type]] }),
+
+    get: (id) => store.getDoc('frameworks', id),
+
+    set: (id, data, opts = {}) => write(opts,
+      batch => batch.set('frameworks', id, data, opts),
+      () => store.setDoc('frameworks', id, data, opts)),
+  };
+
+  const controls = {
+    get: (id) => store.getDoc('controls', id),
+
+    listByFrameworkIds: async (frameworkIds) => {
+      if (!frameworkIds || frameworkIds.length === 0) return [];
+      return store.listDocs('controls', { where: [['framework_id', 'in', frameworkIds]] });
+    },
+
+    set: (id, data, opts = {}) => write(opts,
+      batch => batch.set('controls', id, data, opts),
+      () => store.setDoc('controls', id, data, opts)),
+
+    delete: (id, opts = {}) => write(opts,
+      batch => batch.delete('controls', id),
+      () => store.deleteDoc('controls', id)),
+  };
+
+  const controlVersions = {
+    get: (controlId, version) => store.getDoc('control_versions', controlVersionId(controlId, version)),
+
+    // Versions of one control, oldest first
+    listForControl: async (controlId) => {
+      const versions = await store.listDocs('control_versions', { where: [['control_id', '==', controlId]] });
+      return versions.sort((a, b) => a.version - b.version);
+    },
+
+    // Every snapshot recorded up to and including the given library version
+    listUpToLibraryVersion: (libraryVersion) =>
+      store.listDocs('control_versions', { where: [['library_version', '<=', libraryVersion]] }),
+
+    set: (controlId, version, data, opts = {}) => write(opts,
+      batch => batch.set('control_versions', controlVersionId(controlId, version), data, opts),
+      () => store.setDoc('control_versions', controlVersionId(controlId, version), data, opts)),
+  };
+
+  const controlLibraryVersions = {
+    // Newest first
+    list: async () => {
+      const versions = await store.listDocs('control_library_versions');
+      return versions.sort((a, b) => b.version - a.version);
+    },
+
+    get: (version) => store.getDoc('control_library_versions', String(version)),
+
+    latestVersion: async () => {
+      const [latest] = await controlLibraryVersions.list();
+      return latest ? latest.version : 0;
+    },
+
+    set: (version, data, opts = {}) => write(opts,
+      batch => batch.set('control_library_versions', String(version), data, opts),
+      () => store.setDoc('control_library_versions', String(version), data, opts)),
+  };
+
+  // Mappings between controls of different frameworks; each links two controls in both directions
+  const controlMappings = {
+    list: () => store.listDocs('control_mappings'),
+
+    get: (id) => store.getDoc('control_mappings', id),
+
+    // Mappings with the control on either side
+    listForControl: (controlId) => store.listDocs('control_mappings', { where: [['control_ids', 'array-contains', controlId]] }),
+
+    set: (id, data, opts = {}) => write(opts,
+      batch => batch.set('control_mappings', id, data, opts),
+      () => store.setDoc('control_mappings', id, data, opts)),
+
+    delete: (id, opts = {}) => write(opts,
+      batch => batch.delete('control_mappings', id),
+      () => store.deleteDoc('control_mappings', id)),
+  };
+
+  const audits = {
+    newId: () => store.newId('audits'),
+
+    get: (id) => store.getDoc('audits', id),
+
+    // Every audit, for maintenance scripts
+    list: () => store.listDocs('audits'),
+
+    // Audits the user owns or collaborates on, newest first; the soft-deleted ones with { deleted: true }
+    listAccessibleByUser: async (userId, { deleted = false } = {}) => {
+      const owned = await store.listDocs('audits', { where: [['user_id', '==', userId]] });
+      const shared = await store.listDocs('audits', { where: [['collaborators', 'array-contains', userId]] });
+      const byId = new Map([...owned, ...shared].map(audit => [audit.id, audit]));
+      return Array.from(byId.values())
+        .filter(audit => !!audit.deleted_at === deleted)
+        .sort((a, b) => (toDate(b.created_at) || 0) - (toDate(a.created_at) || 0));
+    },
+
+    set: (id, data, opts = {}) => write(opts,
+      batch => batch.set('audits', id, data, opts),
+      () => store.setDoc('audits', id, data, opts)),
+
+    update: (id, data, opts = {}) => write(opts,
+      batch => batch.update('audits', id, data),
+      () => store.updateDoc('audits', id, data)),
+
+    // Makes the batch fail with STALE_WRITE unless the audit is still at this metadata version
+    expectMetadataVersion: (id, metadataVersion, { batch }) => batch.expect('audits', id, 'metadata_version', metadataVersion),
+  };
+
+  const responses = {
+    list: (auditId) => store.listDocs(responsesPath(auditId)),
+
+    get: (auditId, controlId) => store.getDoc(responsesPath(auditId), controlId),
+
+    set: (auditId, controlId, data, opts = {}) => write(opts,
+      batch => batch.set(responsesPath(auditId), controlId, data, opts),
+      () => store.setDoc(responsesPath(auditId), controlId, data, opts)),
+
+    // Makes the batch fail with STALE_WRITE unless the response is still at this revision
+    expectRevision: (auditId, controlId, revision, { batch }) => batch.expect(responsesPath(auditId), controlId, 'revision', revision),
+  };
+
+  const responseRevisions = {
+    // Newest first
+    list: async (auditId, controlId) => {
+      const revisions = await store.listDocs(revisionsPath(auditId, controlId));
+      return revisions.sort((a, b) => b.revision - a.revision);
+    },
+
+    get: (auditId, controlId, revision) => store.getDoc(revisionsPath(auditId, controlId), String(revision)),
+
+    set: (auditId, controlId, revision, data, opts = {}) => write(opts,
+      batch => batch.set(revisionsPath(auditId, controlId), String(revision), data),
+      () => store.setDoc(revisionsPath(auditId, controlId), String(revision), data)),
+  };
+
+  const evidence = {
+    newId: (auditId) => store.newId(evidencePath(auditId)),
+
+    // Oldest first; optionally only one control's records
+    list: async (auditId, { controlId } = {}) => {
+      const where = controlId ? [['control_id', '==', controlId]] : [];
+      const records = await store.listDocs(evidencePath(auditId), { where });
+      return records.sort((a, b) => (toDate(a.uploaded_at) || 0) - (toDate(b.uploaded_at) || 0));
+    },
+
+    get: (auditId, id) => store.getDoc(evidencePath(auditId), id),
+
+    // Records of the audit whose file has the given SHA-256
+    findBySha256: (auditId, sha256) => store.listDocs(evidencePath(auditId), { where: [['sha256', '==', sha256]] }),
+
+    // Records with a validity date (YYYY-MM-DD) on or before the given date
+    listValidUntil: (auditId, date) => store.listDocs(evidencePath(auditId), { where: [['valid_until', '<=', date]] }),
+
+    set: (auditId, id, data, opts = {}) => write(opts,
+      batch => batch.set(evidencePath(auditId), id, data, opts),
+      () => store.setDoc(evidencePath(auditId), id, data, opts)),
+
+    delete: (auditId, id, opts = {}) => write(opts,
+      batch => batch.delete(evidencePath(auditId), id),
+      () => store.deleteDoc(evidencePath(auditId), id)),
+  };
+
+  const searchIndex = {
+    list: (auditId) => store.listDocs(searchIndexPath(auditId)),
+
+    // Entries of the audit containing the (lowercased) term
+    findByTerm: (auditId, term) => store.listDocs(searchIndexPath(auditId), { where: [['terms', 'array-contains', term]] }),
+
+    set: (auditId, id, data, opts = {}) => write(opts,
+      batch => batch.set(searchIndexPath(auditId), id, data),
+      () => store.setDoc(searchIndexPath(auditId), id, data)),
+
+    delete: (auditId, id, opts = {}) => write(opts,
+      batch => batch.delete(searchIndexPath(auditId), id),
+      () => store.deleteDoc(searchIndexPath(auditId), id)),
+  };
+
+  // Append-only: entries can be added and read, never changed
+  const activity = {
+    // Oldest first; optionally only one control's entries
+    list: async (auditId, { controlId } = {}) => {
+      const where = controlId ? [['control_id', '==', controlId]] : [];
+      const entries = await store.listDocs(activityPath(auditId), { where });
+      return entries.sort((a, b) => (toDate(a.at) || 0) - (toDate(b.at) || 0));
+    },
+
+    add: (auditId, entry, opts = {}) => {
+      const id = store.newId(activityPath(auditId));
+      return write(opts,
+        batch => batch.set(activityPath(auditId), id, entry),
+        () => store.setDoc(activityPath(auditId), id, entry));
+    },
+  };
+
+  const users = {
+    get: (id) => store.getDoc('users', id),
+
+    findByEmail: async (email) => {
+      const matches = await store.listDocs('users', { where: [['email', '==', email]] });
+      return matches[0] || null;
+    },
+
+    list: () => store.listDocs('users'),
+
+    newId: () => store.newId('users'),
+
+    set: (id, data, opts = {}) => write(opts,
+      batch => batch.set('users', id, data, opts),
+      () => store.setDoc('users', id, data, opts)),
+  };
+
+  return {
+    backend: store.name,
+    now: store.now,
+    batch: store.batch,
+    frameworks,
+    controls,
+    controlVersions,
+    controlLibraryVersions,
+    controlMappings,
+    audits,
+    responses,
+    responseRevisions,
+    evidence,
+    searchIndex,
+    activity,
+    users,
+  };
+}
+
+module.exports = { createRepositories };
@@ -0,0 +1,15 @@
+// backend/storage/timestamps.js
+
+// Converts a stored timestamp (Firestore Timestamp, Date or ISO string) into a Date
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  if (value instanceof Date) return value;
+  if (typeof value === 'object' && typeof value._seconds === 'number') {
+    return new Date(value._seconds * 1000);
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = { toDate };
@@ -0,0 +1,175 @@
+// backend/test/api.test.js
+// End-to-end checks of the API against a temporary local store.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, authHeader } = require('./helpers');
+
+let api;
+let lead;
+let outsider;
+let client;
+
+test.before(async () => {
+  // The server logs every request; keep the test output readable
+  ['log', 'warn', 'error'].forEach(method => test.mock.method(console, method, () => {}));
+  api = await startApi(['lead', 'outsider', 'client']);
+  lead = authHeader(api.users.lead);
+  outsider = authHeader(api.users.outsider);
+  client = authHeader(api.users.client);
+});
+
+test.after(() => api && api.close());
+
+const createAudit = (body = {}) => api.call('POST', '/api/audits', {
+  title: 'Cloud audit',
+  domain_type: 'Cloud',
+  client_company_name: 'ACME',
+  members: [{ user_id: api.users.client.uid, role: 'client_respondent' }],
+  ...body,
+}, lead);
+
+const answers = async (auditId, controlId, letter) => {
+  const response = await api.call('GET', `/api/audits/${auditId}/responses/${controlId}`, undefined, lead);
+  return response.body.question_responses.map(qr => ({ ...qr, selected_option: letter }));
+};
+
+test('the API runs against the local store', async () => {
+  const health = await api.call('GET', '/api/health');
+  assert.equal(health.status, 200);
+  const audit = await createAudit();
+  assert.equal(audit.status, 201);
+  const loaded = await api.call('GET', `/api/audits/${audit.body.id}`, undefined, lead);
+  assert.equal(loaded.body.title, 'Cloud audit');
+});
+
+test('requests without a valid token are refused', async () => {
+  assert.equal((await api.call('GET', '/api/audits')).status, 401);
+  assert.equal((await api.call('GET', '/api/audits', undefined, { Authorization: 'Bearer not-a-token' })).status, 401);
+});
+
+test('audits are only visible to their team', async () => {
+  const audit = (await createAudit()).body;
+  assert.equal((await api.call('GET', `/api/audits/${audit.id}`, undefined, outsider)).status, 403);
+  const listed = await api.call('GET', '/api/audits', undefined, outsider);
+  assert.equal(listed.body.some(entry => entry.id === audit.id), false);
+});
+
+test('client respondents cannot set the compliance status', async () => {
+  const audit = (await createAudit()).body;
+  const response = await api.call('PUT', `/api/audits/${audit.id}/responses`, {
+    control_id: 'CLD.6.1',
+    question_responses: await answers(audit.id, 'CLD.6.1', 'B'),
+    compliance_status: 'Yes',
+  }, client);
+  assert.equal(response.status, 403);
+});
+
+test('only registered users can join an audit team', async () => {
+  const unknownMember = await createAudit({ members: [{ user_id: 'no-such-user', role: 'auditor' }] });
+  assert.equal(unknownMember.status, 400);
+
+  const audit = (await createAudit()).body;
+  const invited = await api.call('POST', `/api/audits/${audit.id}/members`, { user_id: 'no-such-user', role: 'auditor' }, lead);
+  assert.equal(invited.status, 400);
+  const added = await api.call('POST', `/api/audits/${audit.id}/members`, { user_id: api.users.outsider.uid, role: 'auditor' }, lead);
+  assert.equal(added.status, 201);
+  assert.equal(added.body.email, 'outsider@example.com');
+});
+
+test('rejects unknown statuses and controls outside the audit', async () => {
+  const audit = (await createAudit()).body;
+  const questionResponses = await answers(audit.id, 'CLD.6.1', 'A');
+  const badStatus = await api.call('PUT', `/api/audits/${audit.id}/responses`, { control_id: 'CLD.6.1', question_responses: questionResponses, compliance_status: 'Mostly' }, lead);
+  assert.equal(badStatus.status, 400);
+  const unknownControl = await api.call('PUT', `/api/audits/${audit.id}/responses`, { control_id: 'NOPE.1', question_responses: questionResponses }, lead);
+  assert.equal(unknownControl.status, 404);
+});
+
+test('saves a response, proposes its status and rescores the audit', async () => {
+  const audit = (await createAudit()).body;
+  const saved = await api.call('PUT', `/api/audits/${audit.id}/responses`, {
+    control_id: 'CLD.6.1',
+    question_responses: await answers(audit.id, 'CLD.6.1', 'A'),
+  }, lead);
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.complianceStatus, 'Yes');
+  assert.equal(saved.body.newOverallProgress, 25);
+
+  const loaded = await api.call('GET', `/api/audits/${audit.id}`, undefined, client);
+  assert.equal(loaded.body.progress_percent, 25);
+});
+
+test('a write against an outdated revision is refused', async () => {
+  const audit = (await createAudit()).body;
+  const questionResponses = await answers(audit.id, 'CLD.6.2', 'A');
+  const first = await api.call('PUT', `/api/audits/${audit.id}/responses`, { control_id: 'CLD.6.2', question_responses: questionResponses }, lead);
+  const etag = first.headers.get('etag');
+  await api.call('PUT', `/api/audits/${audit.id}/responses`, { control_id: 'CLD.6.2', question_responses: questionResponses, auditor_observation: 'First' }, { ...lead, 'If-Match': etag });
+  const stale = await api.call('PUT', `/api/audits/${audit.id}/responses`, { control_id: 'CLD.6.2', question_responses: questionResponses, auditor_observation: 'Second' }, { ...lead, 'If-Match': etag });
+  assert.equal(stale.status, 409);
+});
+
+test('evidence is stored once per control', async () => {
+  const audit = (await createAudit()).body;
+  const file = { fields: { control_id: 'CLD.6.1' }, content: 'Key rotation log', filename: 'rotation.txt' };
+  const uploaded = await api.upload(`/api/audits/${audit.id}/evidence`, file, lead);
+  assert.equal(uploaded.status, 201);
+  assert.equal((await api.upload(`/api/audits/${audit.id}/evidence`, file, lead)).status, 409);
+
+  const download = await api.call('GET', `/api/audits/${audit.id}/evidence/${uploaded.body.id}/download`, undefined, client);
+  assert.equal(download.status, 200);
+  assert.equal(download.body, 'Key rotation log');
+});
+
+test('evidence of one audit cannot be read through another', async () => {
+  const audit = (await createAudit()).body;
+  const uploaded = await api.upload(`/api/audits/${audit.id}/evidence`, { fields: { control_id: 'CLD.6.1' }, content: 'Key rotation log', filename: 'rotation.txt' }, lead);
+
+  // A response of another audit cannot point at this audit's file
+  const other = (await createAudit()).body;
+  await api.call('PUT', `/api/audits/${other.id}/responses`, {
+    control_id: 'CLD.6.1',
+    question_responses: await answers(other.id, 'CLD.6.1', 'A'),
+    evidence_path: uploaded.body.path,
+  }, lead);
+  const legacy = await api.call('GET', `/api/audits/${other.id}/evidence/response-CLD.6.1/download`, undefined, lead);
+  assert.equal(legacy.status, 404);
+});
+
+test('the CORS preflight allows PATCH', async () => {
+  const response = await api.call('OPTIONS', '/api/audits/x/evidence/y', undefined, {
+    Origin: 'http://localhost:3001',
+    'Access-Control-Request-Method': 'PATCH',
+  });
+  assert.match(response.headers.get('access-control-allow-methods'), /PATCH/);
+});
+
+test('out-of-scope controls cannot be answered', async () => {
+  const audit = (await createAudit({ scope: { exclusions: [{ control_id: 'CLD.9', rationale: 'Not offered' }] } })).body;
+  const response = await api.call('PUT', `/api/audits/${audit.id}/responses`, { control_id: 'CLD.9.1', question_responses: [] }, lead);
+  assert.equal(response.status, 409);
+});
+
+test('an answer on one framework is offered to the mapped control of another', async () => {
+  const crosswalk = { fileField: 'crosswalkFile', content: 'Source Control,Target Control,Relationship\nCLD.6.1,A.10.1,equivalent\n', filename: 'crosswalk.csv' };
+  assert.equal((await api.upload('/api/control-mappings/import', crosswalk, lead)).status, 403);
+  assert.equal((await api.upload('/api/control-mappings/import', crosswalk, authHeader(api.users.admin))).status, 201);
+
+  const audit = (await createAudit({ scope: { framework_ids: ['iso27017', 'iso27018'], framework_rationale: 'Cloud and PII services' } })).body;
+  await api.call('PUT', `/api/audits/${audit.id}/responses`, {
+    control_id: 'CLD.6.1',
+    question_responses: await answers(audit.id, 'CLD.6.1', 'A'),
+    justification_text: 'Keys are managed in the KMS',
+  }, lead);
+
+  const offers = await api.call('GET', `/api/audits/${audit.id}/responses/A.10.1/mappings`, undefined, client);
+  assert.deepEqual(offers.body.offers.map(offer => [offer.control_id, offer.compliance_status]), [['CLD.6.1', 'Yes']]);
+
+  const applied = await api.call('POST', `/api/audits/${audit.id}/responses/A.10.1/apply-mapping`, { from_control_id: 'CLD.6.1' }, lead);
+  assert.equal(applied.status, 200);
+  assert.equal(applied.body.response.compliance_status, 'Yes');
+  assert.equal(applied.body.response.justification_text, 'Keys are managed in the KMS');
+
+  const coverage = await api.call('GET', `/api/audits/${audit.id}/coverage`, undefined, client);
+  assert.deepEqual(coverage.body.frameworks.map(framework => [framework.framework_id, framework.satisfied]), [['iso27017', 1], ['iso27018', 1]]);
+});
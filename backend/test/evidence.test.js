@@ -0,0 +1,97 @@
+// backend/test/evidence.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEvidencePolicy, sha256 } = require('../evidence/integrity');
+const { createStorage } = require('../storage');
+const { evidenceItemsForControl, copyEvidenceRecord } = require('../models/evidence');
+const { migrateEvidence } = require('../migrateEvidence');
+const { createSearchIndexer } = require('../search/indexer');
+
+// Blob store over a Map, as returned by the storage drivers
+const memoryBlobStore = (files = {}) => {
+  const blobs = new Map(Object.entries(files).map(([key, content]) => [key, Buffer.from(content)]));
+  return {
+    name: 'memory',
+    blobs,
+    put: async (key, buffer) => { blobs.set(key, buffer); },
+    read: async (key) => blobs.get(key) || null,
+    stat: async (key) => (blobs.has(key) ? { size: blobs.get(key).length } : null),
+    delete: async (key) => { blobs.delete(key); },
+  };
+};
+
+test('uploads are checked by content, not by name', () => {
+  const policy = createEvidencePolicy({});
+  const pdf = Buffer.from('%PDF-1.7\n%test\n');
+  assert.equal(policy.inspect({ buffer: pdf, originalname: 'policy.pdf' }).file_type, 'pdf');
+  assert.equal(policy.inspect({ buffer: pdf, originalname: 'policy.pdf' }).sha256, sha256(pdf));
+  assert.match(policy.inspect({ buffer: Buffer.from([0x4d, 0x5a, 0x00, 0x01]), originalname: 'policy.pdf' }).error, /not an accepted evidence type/);
+  assert.match(policy.inspect({ buffer: Buffer.alloc(0), originalname: 'empty.txt' }).error, /empty/);
+});
+
+test('a file saved on a response is only evidence when it is stored under the audit', () => {
+  const response = (evidencePath) => ({ control_id: 'CLD.6.1', evidence_path: evidencePath, evidence_filename: 'scan.pdf' });
+  assert.equal(evidenceItemsForControl([], response('audits/audit-1/evidence-1.pdf'), 'audit-1').length, 1);
+  assert.equal(evidenceItemsForControl([], response('audits/audit-2/evidence-1.pdf'), 'audit-1').length, 0);
+  assert.equal(evidenceItemsForControl([], response('audits/audit-1/../audit-2/evidence-1.pdf'), 'audit-1').length, 0);
+});
+
+test('files not yet migrated from the uploads folder are listed as such', () => {
+  const response = { control_id: 'CLD.6.1', evidence_path: '/uploads/evidenceFile-1.pdf', evidence_filename: 'scan.pdf' };
+  const [item] = evidenceItemsForControl([], response, 'audit-1');
+  assert.equal(item.filename, 'scan.pdf');
+  assert.equal(item.not_migrated, true);
+  assert.equal(evidenceItemsForControl([], { ...response, evidence_path: 'audits/audit-1/evidence-1.pdf' }, 'audit-1')[0].not_migrated, undefined);
+});
+
+test('migration only reuses a stored file with the same content', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const repos = createStorage({ STORAGE_BACKEND: 'memory' });
+  await repos.audits.set('audit-1', { title: 'Legacy audit' });
+  await repos.responses.set('audit-1', 'CLD.6.1', { control_id: 'CLD.6.1', evidence_path: '/uploads/scan.txt' });
+  const legacy = memoryBlobStore({ 'scan.txt': 'Key rotation log' });
+  const evidenceFiles = (target) => ({
+    store: target,
+    locate: (evidencePath) => (evidencePath.startsWith('/uploads/') ? { store: legacy, key: evidencePath.slice('/uploads/'.length) } : { store: target, key: evidencePath }),
+  });
+
+  // Same size, different bytes: left from something else, not an earlier run
+  const clash = memoryBlobStore({ 'audits/audit-1/scan.txt': 'Key rotation LOG' });
+  await assert.rejects(migrateEvidence(repos, evidenceFiles(clash), { keepSource: true }), /different content/);
+
+  const partial = memoryBlobStore({ 'audits/audit-1/scan.txt': 'Key rotation log' });
+  const summary = await migrateEvidence(repos, evidenceFiles(partial), { keepSource: true });
+  assert.equal(summary.files, 1);
+  assert.equal((await repos.responses.get('audit-1', 'CLD.6.1')).evidence_path, 'audits/audit-1/scan.txt');
+});
+
+test('evidence removed during text extraction is not recreated', async () => {
+  const repos = createStorage({ STORAGE_BACKEND: 'memory' });
+  await repos.evidence.set('audit-1', 'e1', { control_id: 'CLD.6.1', filename: 'notes.txt', path: 'audits/audit-1/notes.txt', file_type: 'txt' });
+  const evidenceFiles = {
+    locate: () => ({
+      key: 'notes.txt',
+      store: {
+        read: async () => {
+          await repos.evidence.delete('audit-1', 'e1'); // removed while the worker reads the file
+          return Buffer.from('Key management procedure');
+        },
+      },
+    }),
+  };
+  const status = await createSearchIndexer(repos, evidenceFiles).indexEvidence('audit-1', 'e1');
+  assert.equal(status, null);
+  assert.equal(await repos.evidence.get('audit-1', 'e1'), null);
+  assert.deepEqual(await repos.searchIndex.list('audit-1'), []);
+});
+
+test('copied evidence starts pending review and keeps its origin', () => {
+  const copy = copyEvidenceRecord(
+    { id: 'e1', control_id: 'CLD.6.1', filename: 'kms.txt', path: 'audits/a/evidence-1.txt', review_status: 'Accepted', sha256: 'abc' },
+    { path: 'audits/a/evidence-2.txt', controlId: 'A.10.1', extra: { mapped_from: { control_id: 'CLD.6.1', evidence_id: 'e1' } } },
+  );
+  assert.equal(copy.control_id, 'A.10.1');
+  assert.equal(copy.review_status, 'Pending Review');
+  assert.equal(copy.sha256, 'abc');
+  assert.deepEqual(copy.mapped_from, { control_id: 'CLD.6.1', evidence_id: 'e1' });
+});
@@ -0,0 +1,116 @@
+// backend/test/helpers.js
+// Shared fixtures for the tests: a small control library and an API server running against a
+// temporary local store, so no Firebase project is needed.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { parseControlList, upsertControls } = require('../controlLibrary/importer');
+
+const FRAMEWORKS = [
+  { id: 'iso27017', name: 'ISO/IEC 27017', type: 'Cloud' },
+  { id: 'iso27018', name: 'ISO/IEC 27018', type: 'Cloud' },
+];
+
+// A control with one question per expected answer ('A' or 'B')
+const control = (id, frameworkId, { criticality = 'Medium', questions = 1 } = {}) => ({
+  id,
+  framework_id: frameworkId,
+  control_objective: `Objective of ${id}`,
+  criticality,
+  questionnaires: Array.from({ length: questions }, (_, idx) => ({
+    question_text: `Question ${idx + 1} of ${id}?`,
+    options: { A: 'Yes', B: 'No' },
+    expected_answer: 'A',
+  })),
+});
+
+const CONTROLS = [
+  control('CLD.6.1', 'iso27017', { criticality: 'High', questions: 2 }),
+  control('CLD.6.2', 'iso27017'),
+  control('CLD.9.1', 'iso27017', { criticality: 'Low' }),
+  control('A.10.1', 'iso27018'),
+];
+
+// Repositories on a new temporary directory with the frameworks and controls above
+async function createSeededStorage(dataFile = null) {
+  const repos = createStorage(dataFile ? { STORAGE_BACKEND: 'local', LOCAL_DATA_FILE: dataFile } : { STORAGE_BACKEND: 'memory' });
+  const batch = repos.batch();
+  FRAMEWORKS.forEach(framework => repos.frameworks.set(framework.id, framework, { batch }));
+  await batch.commit();
+  const report = await upsertControls(repos, parseControlList(CONTROLS), { source: 'test' });
+  if (!report.committed) throw new Error(`Test controls did not import: ${JSON.stringify(report.errors)}`);
+  return repos;
+}
+
+// Starts the API on a random port against a seeded local store. Returns { call, upload, users, close }
+// where `users` are the admin and the given users with their Authorization headers.
+async function startApi(userNames = []) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'securauditz-test-'));
+  const dataFile = path.join(dir, 'db.json');
+  await createSeededStorage(dataFile);
+  Object.assign(process.env, {
+    STORAGE_BACKEND: 'local',
+    LOCAL_DATA_FILE: dataFile,
+    AUTH_MODE: 'local',
+    AUTH_JWT_SECRET: 'test-secret',
+    EVIDENCE_STORAGE: 'local',
+    EVIDENCE_LOCAL_DIR: path.join(dir, 'evidence'),
+  });
+  const app = require('../server');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const call = async (method, url, body, headers = {}) => {
+    const response = await fetch(base + url, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const type = response.headers.get('content-type') || '';
+    const data = type.includes('json') ? await response.json() : await response.text();
+    return { status: response.status, body: data, headers: response.headers };
+  };
+
+  // Multipart upload with one file in `fileField`
+  const upload = async (url, { fields = {}, fileField = 'evidenceFile', content, filename }, headers = {}) => {
+    const form = new FormData();
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    form.append(fileField, new Blob([content]), filename);
+    const response = await fetch(base + url, { method: 'POST', headers, body: form });
+    const type = response.headers.get('content-type') || '';
+    return { status: response.status, body: type.includes('json') ? await response.json() : await response.text() };
+  };
+
+  const login = async (email, password) => {
+    const response = await call('POST', '/api/auth/login', { email, password });
+    return { Authorization: `Bearer ${response.body.token}`, uid: response.body.user.id };
+  };
+  await call('POST', '/api/auth/register', { email: 'admin@example.com', password: 'admin-password' });
+  const users = { admin: await login('admin@example.com', 'admin-password') };
+  for (const name of userNames) {
+    await call('POST', '/api/auth/register', { email: `${name}@example.com`, password: `${name}-password` }, { Authorization: users.admin.Authorization });
+    users[name] = await login(`${name}@example.com`, `${name}-password`);
+  }
+
+  const close = async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+  return { call, upload, users, close };
+}
+
+// Only the Authorization header of a test user
+const authHeader = (user) => ({ Authorization: user.Authorization });
+
+module.exports = {
+  FRAMEWORKS,
+  CONTROLS,
+  control,
+  createSeededStorage,
+  startApi,
+  authHeader,
+};
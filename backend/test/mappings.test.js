@@ -0,0 +1,50 @@
+// backend/test/mappings.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCrosswalk, upsertMappings, mappedControls, mappingId } = require('../controlLibrary/mappings');
+const { frameworkCoverage } = require('../scoring/coverage');
+const { CONTROLS, createSeededStorage } = require('./helpers');
+
+const crosswalk = (rows) => parseCrosswalk(Buffer.from(['Source Control,Target Control,Relationship,Notes', ...rows].join('\n')), { filename: 'crosswalk.csv' });
+
+test('reads crosswalk rows and their relationships', async () => {
+  const parsed = await crosswalk(['CLD.6.1,A.10.1,Equal to,Same control', 'CLD.6.2,A.10.1,subset of,', 'CLD.9.1,A.10.1,not related to,', 'CLD.9.1,A.10.1,sometimes,']);
+  assert.deepEqual(parsed.entries.map(entry => entry.mapping.relationship), ['equivalent', 'partial']);
+  assert.equal(parsed.warnings.length, 1);
+  assert.match(parsed.errors[0].message, /Unknown relationship "sometimes"/);
+});
+
+test('stores each control pair once and refuses mappings within one framework', async () => {
+  const repos = await createSeededStorage();
+  const report = await upsertMappings(repos, await crosswalk(['CLD.6.1,A.10.1,equivalent,', 'CLD.6.2,A.10.1,partial,']));
+  assert.equal(report.committed, true);
+  assert.equal(report.summary.created, 2);
+  const stored = await repos.controlMappings.get(mappingId('A.10.1', 'CLD.6.1'));
+  assert.deepEqual(stored.framework_ids, ['iso27017', 'iso27018']);
+
+  const again = await upsertMappings(repos, await crosswalk(['CLD.6.1,A.10.1,equivalent,']));
+  assert.equal(again.summary.unchanged, 1);
+  // The other way round is the same pair
+  await upsertMappings(repos, await crosswalk(['A.10.1,CLD.6.1,equivalent,']));
+  assert.equal((await repos.controlMappings.list()).length, 2);
+
+  const sameFramework = await upsertMappings(repos, await crosswalk(['CLD.6.1,CLD.6.2,equivalent,']));
+  assert.equal(sameFramework.committed, false);
+  assert.match(sameFramework.errors[0].message, /two different frameworks/);
+});
+
+test('coverage counts controls satisfied through mappings per framework', () => {
+  const mappings = [
+    { id: 'm1', source_control_id: 'CLD.6.1', target_control_id: 'A.10.1', source_framework_id: 'iso27017', target_framework_id: 'iso27018', relationship: 'equivalent' },
+  ];
+  assert.deepEqual(mappedControls(mappings, 'A.10.1').map(mapped => mapped.control_id), ['CLD.6.1']);
+
+  const responses = new Map([['CLD.6.1', { compliance_status: 'Yes' }]]);
+  const { frameworks } = frameworkCoverage(CONTROLS, responses, mappings);
+  const iso27018 = frameworks.find(framework => framework.framework_id === 'iso27018');
+  assert.equal(iso27018.satisfied_through_mappings, 1);
+  assert.deepEqual(iso27018.controls_through_mappings[0].satisfied_by.map(by => by.control_id), ['CLD.6.1']);
+
+  const partial = frameworkCoverage(CONTROLS, new Map([['CLD.6.1', { compliance_status: 'Partial' }]]), mappings);
+  assert.equal(partial.frameworks.find(framework => framework.framework_id === 'iso27018').partially_satisfied_through_mappings, 1);
+});
@@ -0,0 +1,49 @@
+// backend/test/responses.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateFieldworkFields, resolveComplianceStatus } = require('../models/responses');
+const { responseEtag, ifMatchSatisfied, summarizeConflicts } = require('../models/concurrency');
+
+test('validates fieldwork fields and statuses', () => {
+  assert.equal(validateFieldworkFields({ risk_rating: 'High', compliance_status: 'Partial' }), null);
+  assert.match(validateFieldworkFields({ risk_rating: 'Severe' }), /risk_rating/);
+  assert.match(validateFieldworkFields({ compliance_status: 'Mostly' }), /compliance_status/);
+  assert.match(validateFieldworkFields({ auditor_observation: 'x'.repeat(5001) }), /at most 5000/);
+});
+
+test('an assessor override needs a justification', () => {
+  const decision = resolveComplianceStatus({ proposed: 'Yes', requested: { compliance_status: 'No' }, canAssess: true });
+  assert.match(decision.error, /status_override_justification is required/);
+
+  const override = resolveComplianceStatus({ proposed: 'Yes', requested: { compliance_status: 'No', status_override_justification: 'Gaps seen on site' }, canAssess: true });
+  assert.deepEqual(override, { compliance_status: 'No', status_overridden: true, status_override_justification: 'Gaps seen on site' });
+});
+
+test('an override survives saves that leave the status and the answers alone', () => {
+  const existing = { compliance_status: 'No', status_overridden: true, status_override_justification: 'Gaps seen on site' };
+  const kept = resolveComplianceStatus({ proposed: 'Yes', requested: { auditor_observation: 'Noted' }, existing, canAssess: true });
+  assert.equal(kept.compliance_status, 'No');
+  assert.equal(kept.status_override_justification, 'Gaps seen on site');
+
+  const respondent = resolveComplianceStatus({ proposed: 'Yes', requested: {}, existing, canAssess: false, answersChanged: true });
+  assert.equal(respondent.compliance_status, 'No');
+
+  const reanswered = resolveComplianceStatus({ proposed: 'Partial', requested: {}, existing, canAssess: true, answersChanged: true });
+  assert.deepEqual(reanswered, { compliance_status: 'Partial', status_overridden: false, status_override_justification: null });
+});
+
+test('If-Match is checked against the response revision', () => {
+  const req = (ifMatch) => ({ get: (name) => (name === 'If-Match' ? ifMatch : undefined) });
+  assert.equal(ifMatchSatisfied(req(undefined), responseEtag({ revision: 3 })), true);
+  assert.equal(ifMatchSatisfied(req('"r3"'), responseEtag({ revision: 3 })), true);
+  assert.equal(ifMatchSatisfied(req('"r2"'), responseEtag({ revision: 3 })), false);
+});
+
+test('conflicts are the fields both sides changed differently', () => {
+  const conflicts = summarizeConflicts({
+    base: { compliance_status: 'No', risk_rating: 'Low' },
+    current: { compliance_status: 'Yes', risk_rating: 'Low' },
+    submitted: { compliance_status: 'Partial', risk_rating: 'High' },
+  });
+  assert.deepEqual(conflicts.map(conflict => conflict.field), ['compliance_status']);
+});
@@ -0,0 +1,34 @@
+// backend/test/scope.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchesControl, validateScope, applyScope } = require('../models/scope');
+const { CONTROLS } = require('./helpers');
+
+test('scope entries match control ids and families', () => {
+  assert.equal(matchesControl('CLD.6', 'CLD.6.1'), true);
+  assert.equal(matchesControl('CLD.6.*', 'CLD.6.2'), true);
+  assert.equal(matchesControl('CLD.6', 'CLD.66.1'), false);
+  assert.equal(matchesControl('CLD.6.1', 'CLD.6.1'), true);
+});
+
+test('every narrowing of the scope needs a rationale', () => {
+  assert.equal(validateScope(undefined), null);
+  assert.match(validateScope({ controls: ['CLD.6'] }), /rationale/);
+  assert.match(validateScope({ exclusions: [{ control_id: 'CLD.6.2' }] }), /rationale/);
+  assert.equal(validateScope({ controls: ['CLD.6'], controls_rationale: 'Engagement covers CLD.6' }), null);
+});
+
+test('splits the controls into in scope and out of scope with the reason', () => {
+  const { inScope, outOfScope, unmatched } = applyScope(CONTROLS, {
+    controls: ['CLD.6', 'CLD.99'],
+    controls_rationale: 'Identity only',
+    exclusions: [{ control_id: 'CLD.6.2', rationale: 'Not offered' }],
+  });
+  assert.deepEqual(inScope.map(c => c.id), ['CLD.6.1']);
+  assert.deepEqual(outOfScope.map(entry => [entry.control.id, entry.reason]), [
+    ['CLD.6.2', 'excluded'],
+    ['CLD.9.1', 'not_selected'],
+    ['A.10.1', 'not_selected'],
+  ]);
+  assert.deepEqual(unmatched, ['CLD.99']);
+});
@@ -0,0 +1,49 @@
+// backend/test/scoring.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreAudit, proposeComplianceStatus } = require('../scoring');
+const { compareAudits } = require('../scoring/comparison');
+const { control } = require('./helpers');
+
+const answered = (controlDef, letter, status) => ({
+  control_id: controlDef.id,
+  question_responses: controlDef.questionnaires.map((q, idx) => ({ question_index: idx, selected_option: letter })),
+  compliance_status: status,
+});
+
+test('proposes the status the answers point to', () => {
+  const twoQuestions = control('CLD.6.1', 'iso27017', { questions: 2 });
+  assert.equal(proposeComplianceStatus(twoQuestions, [{ selected_option: 'A' }, { selected_option: 'A' }]).status, 'Yes');
+  assert.equal(proposeComplianceStatus(twoQuestions, [{ selected_option: 'A' }, { selected_option: 'B' }]).status, 'Partial');
+  assert.equal(proposeComplianceStatus(twoQuestions, [{ selected_option: 'A' }]).status, null);
+});
+
+test('progress counts complete controls and compliance is weighted by criticality', () => {
+  const high = control('CLD.6.1', 'iso27017', { criticality: 'High' });
+  const low = control('CLD.9.1', 'iso27017', { criticality: 'Low' });
+  const open = control('CLD.6.2', 'iso27017');
+  const result = scoreAudit([high, low, open], [answered(high, 'A', 'Yes'), answered(low, 'B', 'No')]);
+
+  assert.equal(result.progress_percent, 67);
+  assert.equal(result.overall_status, 'In Progress');
+  // High (weight 3) scores 1, Low (weight 1) scores 0; the unanswered control is not scored
+  assert.equal(result.compliance_score, 75);
+  assert.equal(result.scored_controls, 2);
+});
+
+test('controls with unaccepted evidence are not complete when review is required', () => {
+  const def = control('CLD.6.1', 'iso27017');
+  const responses = [answered(def, 'A', 'Yes')];
+  assert.equal(scoreAudit([def], responses).progress_percent, 100);
+  assert.equal(scoreAudit([def], responses, { unacceptedEvidence: new Map([['CLD.6.1', 1]]) }).progress_percent, 0);
+});
+
+test('compares the statuses of two audits control by control', () => {
+  const a = control('CLD.6.1', 'iso27017');
+  const b = control('CLD.6.2', 'iso27017');
+  const comparison = compareAudits(
+    { audit: { id: 'previous' }, controls: [a, b], responses: [answered(a, 'B', 'No'), answered(b, 'A', 'Yes')] },
+    { audit: { id: 'current' }, controls: [a, b], responses: [answered(a, 'A', 'Yes'), answered(b, 'B', 'No')] },
+  );
+  assert.deepEqual(comparison.controls.map(c => c.change), ['improved', 'regressed']);
+});
@@ -0,0 +1,63 @@
+// backend/test/storage.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, STALE_WRITE } = require('../storage');
+
+test('memory store filters with the Firestore operators the repositories use', async () => {
+  const repos = createStorage({ STORAGE_BACKEND: 'memory' });
+  await repos.controlMappings.set('a', { control_ids: ['CLD.6.1', 'A.10.1'], relationship: 'equivalent' });
+  await repos.controlMappings.set('b', { control_ids: ['CLD.6.2', 'A.11.1'], relationship: 'partial' });
+
+  const mapped = await repos.controlMappings.listForControl('A.10.1');
+  assert.deepEqual(mapped.map(mapping => mapping.id), ['a']);
+
+  await repos.frameworks.set('iso27017', { type: 'Cloud' });
+  await repos.frameworks.set('iso27001', { type: 'ISMS' });
+  assert.deepEqual((await repos.frameworks.listByType('Cloud')).map(framework => framework.id), ['iso27017']);
+});
+
+test('batched writes are applied on commit, and merges keep the other fields', async () => {
+  const repos = createStorage({ STORAGE_BACKEND: 'memory' });
+  const batch = repos.batch();
+  repos.audits.set('audit-1', { title: 'Before', progress_percent: 0 }, { batch });
+  assert.equal(await repos.audits.get('audit-1'), null);
+  await batch.commit();
+
+  await repos.audits.set('audit-1', { title: 'After' }, { merge: true });
+  assert.deepEqual(await repos.audits.get('audit-1'), { id: 'audit-1', title: 'After', progress_percent: 0 });
+});
+
+test('a batch expecting an outdated revision writes nothing', async () => {
+  const repos = createStorage({ STORAGE_BACKEND: 'memory' });
+  await repos.responses.set('audit-1', 'CLD.6.1', { revision: 2, compliance_status: 'Yes' });
+
+  const batch = repos.batch();
+  repos.responses.set('audit-1', 'CLD.6.1', { revision: 3, compliance_status: 'No' }, { batch });
+  repos.audits.set('audit-1', { progress_percent: 0 }, { batch });
+  repos.responses.expectRevision('audit-1', 'CLD.6.1', 1, { batch });
+  await assert.rejects(batch.commit(), { code: STALE_WRITE });
+  assert.equal((await repos.responses.get('audit-1', 'CLD.6.1')).compliance_status, 'Yes');
+  assert.equal(await repos.audits.get('audit-1'), null);
+
+  // A document that does not exist yet is expected with no value
+  const first = repos.batch();
+  repos.audits.set('audit-2', { metadata_version: 1 }, { batch: first });
+  repos.audits.expectMetadataVersion('audit-2', undefined, { batch: first });
+  await first.commit();
+  assert.equal((await repos.audits.get('audit-2')).metadata_version, 1);
+});
+
+test('local store persists to its data file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'securauditz-store-'));
+  const env = { STORAGE_BACKEND: 'local', LOCAL_DATA_FILE: path.join(dir, 'db.json') };
+  try {
+    await createStorage(env).frameworks.set('iso27017', { name: 'ISO/IEC 27017', type: 'Cloud' });
+    const reopened = createStorage(env);
+    assert.equal((await reopened.frameworks.get('iso27017')).name, 'ISO/IEC 27017');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});